@@ -2,8 +2,13 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./ProtocolFee.sol";
+import "./RoundRefunds.sol";
+import "./TicketRanges.sol";
+
+contract EthRewardPool is ReentrancyGuard, ProtocolFee, RoundRefunds {
+    using TicketRanges for TicketRanges.Range[];
 
-contract EthRewardPool is ReentrancyGuard {
     address public owner;
     uint256 public roundId;
     uint256 public roundStart;
@@ -16,18 +21,30 @@ contract EthRewardPool is ReentrancyGuard {
 
     mapping(address => bool) public hasJoined;
 
+    // Every wei contributed is one ticket, so the odds follow the contribution.
+    // Kept per round, a new round starts empty without clearing the last one.
+    mapping(uint256 => TicketRanges.Range[]) private contributionRanges;
+    mapping(uint256 => mapping(address => uint256)) private contributions;
+
     // mapping reward history??
     mapping(uint256 => address payable) public rewardHistory;
 
+    // Rewards are not sent to the winner but kept here until they claim them,
+    // so a winner that cannot receive ETH does not hold up the next round
+    mapping(address => uint256) public claimable;
+    uint256 public totalClaimable;
+
     // letting people know whats happening in contract - every event has emit
     event ParticipantJoined(address indexed participant, uint256 amount);
     event RewardDistributed(address indexed recipient, uint256 amount, uint256 roundId);
     event NewRoundStarted(uint256 roundId);
+    event PrizeClaimable(address indexed winner, uint256 amount, uint256 roundId);
+    event PrizeClaimed(address indexed winner, uint256 amount);
 
 
 
     // runs before everything
-    constructor() {
+    constructor() ProtocolFee(msg.sender) {
         owner = msg.sender;
         roundId = 1;
 
@@ -36,9 +53,13 @@ contract EthRewardPool is ReentrancyGuard {
         emit NewRoundStarted(roundId);
     }
 
-    // 
+    // An expired round nobody joined has nothing to pay out, so it starts
+    // over with its first participant instead of staying closed
     modifier roundOpen() {
-
+        if (participants.length == 0 && block.timestamp >= roundStart + ROUND_DURATION) {
+            roundStart = block.timestamp;
+            emit NewRoundStarted(roundId);
+        }
 
         require(block.timestamp < roundStart + ROUND_DURATION, "Round closed");
 
@@ -48,13 +69,21 @@ contract EthRewardPool is ReentrancyGuard {
 
 
     // Modifier roundOpen is checked before joinPool executes. 
+    // Joining again in the same round adds to the contribution
     function joinPool() external payable roundOpen nonReentrant {
-        require(!hasJoined[msg.sender], "Already joined this round");
         require(msg.value >= MIN_CONTRIBUTION, "Minimum contribution is 0.01 ETH");
 
+        if (participants.length == 0) {
+            _lockRoundFee();
+        }
+
         // .push??? payable???
-        participants.push(payable(msg.sender));
-        hasJoined[msg.sender] = true;
+        if (!hasJoined[msg.sender]) {
+            participants.push(payable(msg.sender));
+            hasJoined[msg.sender] = true;
+        }
+        contributions[roundId][msg.sender] += msg.value;
+        contributionRanges[roundId].push(msg.sender, msg.value);
 
         // now participant has joined!
 
@@ -66,8 +95,25 @@ contract EthRewardPool is ReentrancyGuard {
         return participants;
     }
 
+    // The round's pot, the protocol fee is taken from it at payout
     function getPoolBalance() external view returns (uint256) {
-        return address(this).balance;
+        return _roundBalance();
+    }
+
+    function getContribution(address participant) external view returns (uint256) {
+        return contributions[roundId][participant];
+    }
+
+    // Each participant's contribution, in the order of getParticipants()
+    function getContributions() external view returns (uint256[] memory amounts) {
+        amounts = new uint256[](participants.length);
+        for (uint256 i = 0; i < participants.length; i++) {
+            amounts[i] = contributions[roundId][participants[i]];
+        }
+    }
+
+    function getTotalContributions() public view returns (uint256) {
+        return contributionRanges[roundId].total();
     }
 
     /// ⚠️ Pseudo-randomness for testing/school project only
@@ -79,24 +125,41 @@ contract EthRewardPool is ReentrancyGuard {
 
 
 
+    // Pays out an expired round, or cancels it when fewer than minPlayers joined
     function distributeReward() external nonReentrant {
         require(block.timestamp >= roundStart + ROUND_DURATION, "Round not finished");
         require(participants.length > 0, "No participants");
+        if (participants.length < minPlayers) {
+            _cancelRound(roundId, getTotalContributions());
+            _startNextRound();
+            return;
+        }
 
-        // choose a winner! 
-        uint256 index = _random() % participants.length;
-        address payable winner = participants[index];
-
-        // payment occurs
-        uint256 prize = address(this).balance;
+        // choose a winner! the winning wei decides, so bigger contributions win more often
+        uint256 winningWei = _random() % getTotalContributions();
+        address payable winner = payable(contributionRanges[roundId].ownerOf(winningWei));
 
-        //???
-        (bool success, ) = winner.call{value: prize}("");
-        require(success, "Reward transfer failed");
+        // the reward, minus the protocol fee, waits for the winner to claim it
+        uint256 prize = _takeFee(_roundBalance());
+        claimable[winner] += prize;
+        totalClaimable += prize;
 
         rewardHistory[roundId] = winner;
+        emit PrizeClaimable(winner, prize, roundId);
         emit RewardDistributed(winner, prize, roundId);
 
+        _startNextRound();
+    }
+
+    // The owner can call off the round at any time, participants claim back
+    // their contributions with claimRefund
+    function cancelRound() external onlyRoundAdmin nonReentrant {
+        require(participants.length > 0, "No participants");
+        _cancelRound(roundId, getTotalContributions());
+        _startNextRound();
+    }
+
+    function _startNextRound() private {
         // Reset round
         for (uint256 i = 0; i < participants.length; i++) {
             hasJoined[participants[i]] = false;
@@ -108,6 +171,40 @@ contract EthRewardPool is ReentrancyGuard {
         emit NewRoundStarted(roundId);
     }
 
+    // Send the caller every reward they won and have not claimed yet
+    function claim() external nonReentrant {
+        uint256 amount = claimable[msg.sender];
+        require(amount > 0, "Nothing to claim");
+        claimable[msg.sender] = 0;
+        totalClaimable -= amount;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Claim transfer failed");
+
+        emit PrizeClaimed(msg.sender, amount);
+    }
+
+    // The balance minus fees, rewards and refunds waiting to be claimed
+    function _roundBalance() internal view returns (uint256) {
+        return _prizeBalance() - totalClaimable - refundsOwed;
+    }
+
+    function _paidIn(uint256 _roundId, address participant) internal view override returns (uint256) {
+        return contributions[_roundId][participant];
+    }
+
+    function _clearPaid(uint256 _roundId, address participant) internal override {
+        contributions[_roundId][participant] = 0;
+    }
+
+    function _feeAdmin() internal view override returns (address) {
+        return owner;
+    }
+
+    function _roundAdmin() internal view override returns (address) {
+        return owner;
+    }
+
     function getRewardRecipient(uint256 _roundId) external view returns (address payable) {
         return rewardHistory[_roundId];
     }
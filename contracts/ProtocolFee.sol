@@ -0,0 +1,165 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title ProtocolFee
+ * @dev A fee in basis points taken from every payout into a treasury balance
+ * the owner withdraws. Fee changes are announced FEE_CHANGE_DELAY ahead, so
+ * players can see them coming before they enter a round, and a round is
+ * charged the fee in force when its first player entered.
+ */
+abstract contract ProtocolFee {
+    uint256 public constant MAX_FEE_BPS = 1000; // 10%
+    uint256 public constant FEE_CHANGE_DELAY = 2 days;
+    uint256 private constant BPS_DENOMINATOR = 10000;
+
+    address public treasury;
+    // Fees taken and not yet withdrawn, held by the contract next to the prize pool
+    uint256 public accruedFees;
+    uint256 public pendingFeeBps;
+    // When pendingFeeBps takes over, 0 while no change is scheduled
+    uint256 public feeChangeTime;
+    uint256 private activeFeeBps;
+    // Fee the current round's payout is charged, fixed by its first entry
+    uint256 public roundFeeBps;
+
+    event FeeAccrued(uint256 amount, uint256 accruedFees);
+    event FeesWithdrawn(address indexed treasury, uint256 amount);
+    event FeeChangeScheduled(uint256 feeBps, uint256 effectiveTime);
+    event FeeChangeCancelled(uint256 feeBps);
+    event FeeChanged(uint256 oldFeeBps, uint256 newFeeBps);
+    event TreasuryChanged(address indexed treasury);
+
+    modifier onlyFeeAdmin() {
+        require(msg.sender == _feeAdmin(), "Only owner can call this function");
+        _;
+    }
+
+    constructor(address _treasury) {
+        treasury = _treasury;
+    }
+
+    /**
+     * @dev Account allowed to change the fee and withdraw it
+     */
+    function _feeAdmin() internal view virtual returns (address);
+
+    /**
+     * @dev Fee a round opened now is charged, a scheduled change included once its time has come
+     */
+    function feeBps() public view returns (uint256) {
+        return _feeChangeDue() ? pendingFeeBps : activeFeeBps;
+    }
+
+    /**
+     * @dev Get the fee settings: current fee, scheduled change (0 time if
+     * none), treasury, fees waiting to be withdrawn and the fee of the round
+     * being played
+     */
+    function getFeeConfig() public view returns (
+        uint256 _feeBps,
+        uint256 _pendingFeeBps,
+        uint256 _feeChangeTime,
+        address _treasury,
+        uint256 _accruedFees,
+        uint256 _roundFeeBps
+    ) {
+        bool due = _feeChangeDue();
+        return (
+            feeBps(),
+            due ? 0 : pendingFeeBps,
+            due ? 0 : feeChangeTime,
+            treasury,
+            accruedFees,
+            roundFeeBps
+        );
+    }
+
+    /**
+     * @dev Announce a new fee, charged from FEE_CHANGE_DELAY from now.
+     * Replaces a change that has not taken effect yet.
+     */
+    function scheduleFeeChange(uint256 newFeeBps) public onlyFeeAdmin {
+        require(newFeeBps <= MAX_FEE_BPS, "Fee above maximum");
+        _applyFeeChange();
+        pendingFeeBps = newFeeBps;
+        feeChangeTime = block.timestamp + FEE_CHANGE_DELAY;
+        emit FeeChangeScheduled(newFeeBps, feeChangeTime);
+    }
+
+    /**
+     * @dev Drop the scheduled fee change before it takes effect
+     */
+    function cancelFeeChange() public onlyFeeAdmin {
+        require(feeChangeTime != 0 && !_feeChangeDue(), "No fee change scheduled");
+        emit FeeChangeCancelled(pendingFeeBps);
+        pendingFeeBps = 0;
+        feeChangeTime = 0;
+    }
+
+    /**
+     * @dev Send future withdrawals to a new treasury
+     */
+    function setTreasury(address _treasury) public onlyFeeAdmin {
+        require(_treasury != address(0), "Treasury cannot be the zero address");
+        treasury = _treasury;
+        emit TreasuryChanged(_treasury);
+    }
+
+    /**
+     * @dev Send every accrued fee to the treasury
+     */
+    function withdrawFees() public onlyFeeAdmin {
+        uint256 amount = accruedFees;
+        require(amount > 0, "No fees to withdraw");
+        accruedFees = 0;
+
+        (bool success, ) = treasury.call{value: amount}("");
+        require(success, "Fee transfer failed");
+
+        emit FeesWithdrawn(treasury, amount);
+    }
+
+    /**
+     * @dev The contract's balance minus the fees it holds for the treasury
+     */
+    function _prizeBalance() internal view returns (uint256) {
+        return address(this).balance - accruedFees;
+    }
+
+    /**
+     * @dev Fix the current fee for the round a first entry opens. Its payout
+     * is charged that fee even if a change takes effect before the draw.
+     */
+    function _lockRoundFee() internal {
+        _applyFeeChange();
+        roundFeeBps = activeFeeBps;
+    }
+
+    /**
+     * @dev Keep the round's fee on a `gross` payout and return what the winner gets
+     */
+    function _takeFee(uint256 gross) internal returns (uint256) {
+        _applyFeeChange();
+        uint256 fee = (gross * roundFeeBps) / BPS_DENOMINATOR;
+        if (fee > 0) {
+            accruedFees += fee;
+            emit FeeAccrued(fee, accruedFees);
+        }
+        return gross - fee;
+    }
+
+    function _feeChangeDue() private view returns (bool) {
+        return feeChangeTime != 0 && block.timestamp >= feeChangeTime;
+    }
+
+    function _applyFeeChange() private {
+        if (!_feeChangeDue()) {
+            return;
+        }
+        emit FeeChanged(activeFeeBps, pendingFeeBps);
+        activeFeeBps = pendingFeeBps;
+        pendingFeeBps = 0;
+        feeChangeTime = 0;
+    }
+}
@@ -0,0 +1,275 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./ProtocolFee.sol";
+import "./RoundRefunds.sol";
+import "./TicketRanges.sol";
+
+/**
+ * @title Raffle
+ * @dev A simple ETH raffle/lottery contract
+ */
+contract Raffle is ProtocolFee, RoundRefunds {
+    using TicketRanges for TicketRanges.Range[];
+
+    uint256 public constant MAX_TICKETS_PER_ENTRY = 100;
+
+    address public owner;
+    uint256 public entryFee;
+    // Distinct players of the current round, in order of their first purchase
+    address[] public players;
+    address public lastWinner;
+    uint256 public lastWinAmount;
+    bool public isActive;
+
+    // Ticket purchases and counts per round, so a new round starts empty
+    // without clearing the previous one
+    uint256 public roundId;
+    mapping(uint256 => TicketRanges.Range[]) private ticketRanges;
+    mapping(uint256 => mapping(address => uint256)) private ticketCounts;
+    // The entry fee of each cancelled round, which its tickets are refunded at
+    mapping(uint256 => uint256) private refundPrice;
+    // Prizes are not sent to the winner but kept here until they claim them,
+    // so a winner that cannot receive ETH does not hold up the draw
+    mapping(address => uint256) public claimable;
+    uint256 public totalClaimable;
+    
+    event PlayerEntered(address indexed player, uint256 amount, uint256 tickets);
+    event WinnerPicked(address indexed winner, uint256 amount);
+    event RaffleStarted(uint256 entryFee);
+    event RaffleClosed();
+    event PrizeClaimable(address indexed winner, uint256 amount, uint256 roundId);
+    event PrizeClaimed(address indexed winner, uint256 amount);
+    
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only owner can call this function");
+        _;
+    }
+    
+    modifier raffleActive() {
+        require(isActive, "Raffle is not active");
+        _;
+    }
+    
+    constructor(uint256 _entryFee) ProtocolFee(msg.sender) {
+        owner = msg.sender;
+        entryFee = _entryFee;
+        isActive = true;
+        roundId = 1;
+        emit RaffleStarted(_entryFee);
+    }
+    
+    /**
+     * @dev Enter the raffle with a single ticket by sending the entry fee
+     */
+    function enter() public payable {
+        buyTickets(1);
+    }
+    
+    /**
+     * @dev Buy `count` tickets by sending the entry fee for each. Every
+     * ticket is one chance to win.
+     */
+    function buyTickets(uint256 count) public payable raffleActive {
+        require(count > 0 && count <= MAX_TICKETS_PER_ENTRY, "Invalid ticket count");
+        require(msg.value == entryFee * count, "Incorrect entry fee");
+        require(msg.sender != owner, "Owner cannot enter the raffle");
+        
+        if (players.length == 0) {
+            _lockRoundFee();
+        }
+
+        mapping(address => uint256) storage counts = ticketCounts[roundId];
+        if (counts[msg.sender] == 0) {
+            players.push(msg.sender);
+        }
+        counts[msg.sender] += count;
+        ticketRanges[roundId].push(msg.sender, count);
+        emit PlayerEntered(msg.sender, msg.value, count);
+    }
+    
+    /**
+     * @dev Get the current prize pool, before the protocol fee
+     */
+    function getPrizePool() public view returns (uint256) {
+        return _pot();
+    }
+    
+    /**
+     * @dev Get all players
+     */
+    function getPlayers() public view returns (address[] memory) {
+        return players;
+    }
+    
+    /**
+     * @dev Get number of players
+     */
+    function getPlayerCount() public view returns (uint256) {
+        return players.length;
+    }
+    
+    /**
+     * @dev Get the number of tickets sold this round
+     */
+    function getTicketCount() public view returns (uint256) {
+        return ticketRanges[roundId].total();
+    }
+    
+    /**
+     * @dev Get a player's tickets this round
+     */
+    function getTickets(address player) public view returns (uint256) {
+        return ticketCounts[roundId][player];
+    }
+    
+    /**
+     * @dev Get each player's tickets, in the order of getPlayers()
+     */
+    function getTicketCounts() public view returns (uint256[] memory counts) {
+        counts = new uint256[](players.length);
+        for (uint256 i = 0; i < players.length; i++) {
+            counts[i] = ticketCounts[roundId][players[i]];
+        }
+    }
+    
+    /**
+     * @dev Pick a winner (pseudo-random, not production-ready)
+     * In production, use Chainlink VRF or similar oracle for true randomness.
+     * A round with fewer than minPlayers players is cancelled instead.
+     */
+    function pickWinner() public onlyOwner raffleActive {
+        require(players.length > 0, "No players in the raffle");
+        if (players.length < minPlayers) {
+            _cancel();
+            return;
+        }
+        
+        // Pseudo-random number generation (NOT SECURE FOR PRODUCTION)
+        uint256 ticketCount = getTicketCount();
+        uint256 winningTicket = uint256(
+            keccak256(
+                abi.encodePacked(
+                    block.timestamp,
+                    block.prevrandao,
+                    ticketCount
+                )
+            )
+        ) % ticketCount;
+        
+        address winner = ticketRanges[roundId].ownerOf(winningTicket);
+        uint256 prizeAmount = _takeFee(_pot());
+        claimable[winner] += prizeAmount;
+        totalClaimable += prizeAmount;
+        
+        lastWinner = winner;
+        lastWinAmount = prizeAmount;
+        emit PrizeClaimable(winner, prizeAmount, roundId);
+        
+        // Reset the raffle
+        delete players;
+        roundId++;
+        
+        emit WinnerPicked(winner, prizeAmount);
+    }
+    
+    /**
+     * @dev Send the caller every prize they won and have not claimed yet
+     */
+    function claim() public {
+        uint256 amount = claimable[msg.sender];
+        require(amount > 0, "Nothing to claim");
+        claimable[msg.sender] = 0;
+        totalClaimable -= amount;
+        
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Claim transfer failed");
+        
+        emit PrizeClaimed(msg.sender, amount);
+    }
+    
+    /**
+     * @dev Call off the current round, its players can claim back what they paid
+     */
+    function cancelRound() public onlyOwner {
+        require(players.length > 0, "No players in the raffle");
+        _cancel();
+    }
+    
+    /**
+     * @dev Start a new raffle with a new entry fee
+     */
+    function startNewRaffle(uint256 _entryFee) public onlyOwner {
+        require(players.length == 0, "Current raffle must be completed first");
+        entryFee = _entryFee;
+        isActive = true;
+        emit RaffleStarted(_entryFee);
+    }
+    
+    /**
+     * @dev Close the raffle (no new entries allowed)
+     */
+    function closeRaffle() public onlyOwner {
+        isActive = false;
+        emit RaffleClosed();
+    }
+    
+    /**
+     * @dev Activate the raffle
+     */
+    function activateRaffle() public onlyOwner {
+        isActive = true;
+    }
+    
+    function _cancel() private {
+        refundPrice[roundId] = entryFee;
+        _cancelRound(roundId, getTicketCount() * entryFee);
+        delete players;
+        roundId++;
+    }
+    
+    /**
+     * @dev The balance minus fees, prizes and refunds held for others
+     */
+    function _pot() private view returns (uint256) {
+        return _prizeBalance() - totalClaimable - refundsOwed;
+    }
+    
+    function _paidIn(uint256 _roundId, address player) internal view override returns (uint256) {
+        return ticketCounts[_roundId][player] * refundPrice[_roundId];
+    }
+    
+    function _clearPaid(uint256 _roundId, address player) internal override {
+        ticketCounts[_roundId][player] = 0;
+    }
+    
+    function _feeAdmin() internal view override returns (address) {
+        return owner;
+    }
+    
+    function _roundAdmin() internal view override returns (address) {
+        return owner;
+    }
+    
+    /**
+     * @dev Get raffle info
+     */
+    function getRaffleInfo() public view returns (
+        uint256 _entryFee,
+        uint256 _playerCount,
+        uint256 _prizePool,
+        bool _isActive,
+        address _lastWinner,
+        uint256 _lastWinAmount
+    ) {
+        return (
+            entryFee,
+            players.length,
+            _pot(),
+            isActive,
+            lastWinner,
+            lastWinAmount
+        );
+    }
+}
+
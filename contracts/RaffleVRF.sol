@@ -0,0 +1,351 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@chainlink/contracts/src/v0.8/vrf/VRFConsumerBaseV2.sol";
+import "@chainlink/contracts/src/v0.8/vrf/interfaces/VRFCoordinatorV2Interface.sol";
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./ProtocolFee.sol";
+import "./RoundRefunds.sol";
+
+/**
+ * @title RaffleVRF
+ * @dev Timed ETH raffle that selects winners with Chainlink VRF v2
+ */
+contract RaffleVRF is VRFConsumerBaseV2, ReentrancyGuard, ProtocolFee, RoundRefunds {
+    uint16 private constant REQUEST_CONFIRMATIONS = 3;
+    uint32 private constant NUM_WORDS = 1;
+    // How long a request may go unanswered before the owner can request again
+    uint256 public constant REQUEST_TIMEOUT = 1 hours;
+
+    VRFCoordinatorV2Interface private immutable vrfCoordinator;
+    bytes32 private immutable gasLane;
+    uint64 private immutable subscriptionId;
+    uint32 private immutable callbackGasLimit;
+
+    address public owner;
+    uint256 public entryFee;
+    uint256 public raffleDuration;
+    address[] public players;
+    address public lastWinner;
+    uint256 public lastWinAmount;
+    bool public isActive;
+    uint256 public roundNumber;
+    uint256 public roundStartTime;
+    uint256 public lastRequestId;
+    uint256 public lastRequestTime;
+    bool public requestPending;
+
+    // Prizes are not sent from the VRF callback but kept here until the winner
+    // claims them: a reverting callback is never retried by the coordinator
+    mapping(address => uint256) public claimable;
+    uint256 public totalClaimable;
+
+    // What each player paid into each round, and how many distinct players
+    // the current round has: `players` lists every entry
+    mapping(uint256 => mapping(address => uint256)) private paid;
+    uint256 private uniquePlayers;
+
+    event PlayerEntered(address indexed player, uint256 amount);
+    event WinnerPicked(address indexed winner, uint256 amount);
+    event RaffleStarted(uint256 entryFee);
+    event RaffleClosed();
+    event RandomnessRequested(uint256 indexed requestId, uint256 timestamp);
+    event PrizeClaimable(address indexed winner, uint256 amount, uint256 roundNumber);
+    event PrizeClaimed(address indexed winner, uint256 amount);
+
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Only owner can call this function");
+        _;
+    }
+
+    modifier raffleActive() {
+        require(isActive, "Raffle is not active");
+        _;
+    }
+
+    constructor(
+        address _vrfCoordinator,
+        bytes32 _gasLane,
+        uint64 _subscriptionId,
+        uint32 _callbackGasLimit,
+        uint256 _entryFee,
+        uint256 _raffleDuration
+    ) VRFConsumerBaseV2(_vrfCoordinator) ProtocolFee(msg.sender) {
+        vrfCoordinator = VRFCoordinatorV2Interface(_vrfCoordinator);
+        gasLane = _gasLane;
+        subscriptionId = _subscriptionId;
+        callbackGasLimit = _callbackGasLimit;
+
+        owner = msg.sender;
+        entryFee = _entryFee;
+        raffleDuration = _raffleDuration;
+        isActive = true;
+        roundNumber = 1;
+        roundStartTime = block.timestamp;
+        emit RaffleStarted(_entryFee);
+    }
+
+    /**
+     * @dev Enter the current round by sending the entry fee
+     */
+    function enter() public payable raffleActive {
+        require(!requestPending, "Winner selection pending");
+        require(block.timestamp < roundStartTime + raffleDuration, "Raffle period has ended");
+        require(msg.value == entryFee, "Incorrect entry fee");
+        require(msg.sender != owner, "Owner cannot enter the raffle");
+
+        if (players.length == 0) {
+            _lockRoundFee();
+        }
+        if (paid[roundNumber][msg.sender] == 0) {
+            uniquePlayers++;
+        }
+
+        paid[roundNumber][msg.sender] += msg.value;
+        players.push(msg.sender);
+        emit PlayerEntered(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Get the current prize pool, before the protocol fee
+     */
+    function getPrizePool() public view returns (uint256) {
+        return _roundBalance();
+    }
+
+    /**
+     * @dev Get all players
+     */
+    function getPlayers() public view returns (address[] memory) {
+        return players;
+    }
+
+    /**
+     * @dev Get number of players
+     */
+    function getPlayerCount() public view returns (uint256) {
+        return players.length;
+    }
+
+    /**
+     * @dev Whether the current round is accepting entries
+     */
+    function isOpen() public view returns (bool) {
+        return isActive && !requestPending && block.timestamp < roundStartTime + raffleDuration;
+    }
+
+    /**
+     * @dev Seconds left before the current round stops accepting entries
+     */
+    function getTimeRemaining() public view returns (uint256) {
+        uint256 endTime = roundStartTime + raffleDuration;
+        if (block.timestamp >= endTime) {
+            return 0;
+        }
+        return endTime - block.timestamp;
+    }
+
+    /**
+     * @dev Request a random winner from Chainlink VRF.
+     * The winner is drawn when the coordinator calls back into fulfillRandomWords.
+     * A round with fewer than minPlayers players is cancelled instead.
+     */
+    function pickWinner() public onlyOwner raffleActive {
+        require(players.length > 0, "No players in the raffle");
+        require(!requestPending, "VRF request already pending");
+        if (uniquePlayers < minPlayers) {
+            _cancel();
+            return;
+        }
+
+        requestPending = true;
+        _requestRandomness();
+    }
+
+    /**
+     * @dev Call off the current round, its players can claim back what they
+     * paid. A pending request is dropped and its late answer ignored.
+     */
+    function cancelRound() public onlyOwner {
+        require(players.length > 0, "No players in the raffle");
+        _cancel();
+    }
+
+    /**
+     * @dev Replace a request the coordinator has not answered within
+     * REQUEST_TIMEOUT, e.g. after topping up an empty subscription. A late
+     * answer to the old request is ignored.
+     */
+    function retryRequest() public onlyOwner {
+        require(requestPending, "No VRF request pending");
+        require(block.timestamp >= lastRequestTime + REQUEST_TIMEOUT, "VRF request not timed out");
+        _requestRandomness();
+    }
+
+    function _requestRandomness() private {
+        uint256 requestId = vrfCoordinator.requestRandomWords(
+            gasLane,
+            subscriptionId,
+            REQUEST_CONFIRMATIONS,
+            callbackGasLimit,
+            NUM_WORDS
+        );
+        lastRequestId = requestId;
+        lastRequestTime = block.timestamp;
+
+        emit RandomnessRequested(requestId, block.timestamp);
+    }
+
+    /**
+     * @dev VRF callback: credit the winner and open the next round. It never
+     * reverts, as the coordinator does not call back a second time.
+     */
+    function fulfillRandomWords(uint256 _requestId, uint256[] memory _randomWords) internal override {
+        // A request replaced by retryRequest
+        if (!requestPending || _requestId != lastRequestId) {
+            return;
+        }
+
+        address winner = players[_randomWords[0] % players.length];
+        uint256 prizeAmount = _takeFee(_roundBalance());
+        claimable[winner] += prizeAmount;
+        totalClaimable += prizeAmount;
+
+        lastWinner = winner;
+        lastWinAmount = prizeAmount;
+        emit PrizeClaimable(winner, prizeAmount, roundNumber);
+
+        _startNextRound();
+        emit WinnerPicked(winner, prizeAmount);
+    }
+
+    function _cancel() private {
+        // Every entry of a round is paid at the same entry fee
+        _cancelRound(roundNumber, players.length * entryFee);
+        _startNextRound();
+    }
+
+    function _startNextRound() private {
+        delete players;
+        uniquePlayers = 0;
+        requestPending = false;
+        roundNumber++;
+        roundStartTime = block.timestamp;
+    }
+
+    /**
+     * @dev Send the caller every prize they won and have not claimed yet
+     */
+    function claim() public nonReentrant {
+        uint256 amount = claimable[msg.sender];
+        require(amount > 0, "Nothing to claim");
+        claimable[msg.sender] = 0;
+        totalClaimable -= amount;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Claim transfer failed");
+
+        emit PrizeClaimed(msg.sender, amount);
+    }
+
+    /**
+     * @dev Start a new raffle with a new entry fee
+     */
+    function startNewRaffle(uint256 _entryFee) public onlyOwner {
+        require(players.length == 0, "Current raffle must be completed first");
+        require(!requestPending, "VRF request already pending");
+        entryFee = _entryFee;
+        isActive = true;
+        roundStartTime = block.timestamp;
+        emit RaffleStarted(_entryFee);
+    }
+
+    /**
+     * @dev Close the raffle (no new entries allowed)
+     */
+    function closeRaffle() public onlyOwner {
+        isActive = false;
+        emit RaffleClosed();
+    }
+
+    /**
+     * @dev Activate the raffle
+     */
+    function activateRaffle() public onlyOwner {
+        isActive = true;
+    }
+
+    /**
+     * @dev Whether a VRF request is waiting to be fulfilled
+     */
+    function isRequestPending() public view returns (bool) {
+        return requestPending;
+    }
+
+    /**
+     * @dev The balance minus fees, prizes and refunds waiting to be claimed
+     */
+    function _roundBalance() internal view returns (uint256) {
+        return _prizeBalance() - totalClaimable - refundsOwed;
+    }
+
+    function _paidIn(uint256 _roundNumber, address player) internal view override returns (uint256) {
+        return paid[_roundNumber][player];
+    }
+
+    function _clearPaid(uint256 _roundNumber, address player) internal override {
+        paid[_roundNumber][player] = 0;
+    }
+
+    function _feeAdmin() internal view override returns (address) {
+        return owner;
+    }
+
+    function _roundAdmin() internal view override returns (address) {
+        return owner;
+    }
+
+    /**
+     * @dev Get the VRF configuration this raffle was deployed with
+     */
+    function getVRFConfig() public view returns (
+        address _vrfCoordinator,
+        bytes32 _gasLane,
+        uint64 _subscriptionId,
+        uint32 _callbackGasLimit
+    ) {
+        return (
+            address(vrfCoordinator),
+            gasLane,
+            subscriptionId,
+            callbackGasLimit
+        );
+    }
+
+    /**
+     * @dev Get raffle info
+     */
+    function getRaffleInfo() public view returns (
+        uint256 _entryFee,
+        uint256 _playerCount,
+        uint256 _prizePool,
+        bool _isActive,
+        address _lastWinner,
+        uint256 _lastWinAmount,
+        uint256 _roundNumber,
+        bool _isOpen,
+        uint256 _timeRemaining
+    ) {
+        return (
+            entryFee,
+            players.length,
+            _roundBalance(),
+            isActive,
+            lastWinner,
+            lastWinAmount,
+            roundNumber,
+            isOpen(),
+            getTimeRemaining()
+        );
+    }
+}
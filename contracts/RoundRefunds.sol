@@ -0,0 +1,83 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title RoundRefunds
+ * @dev Rounds that are called off instead of paying a winner. What a
+ * cancelled round's players paid in is set aside in refundsOwed, out of every
+ * later prize pool, and each player takes back exactly that with claimRefund().
+ * Rounds with fewer than minPlayers players are cancelled when they are drawn.
+ */
+abstract contract RoundRefunds {
+    // Payments into cancelled rounds not yet refunded, held next to the prize pool
+    uint256 public refundsOwed;
+    uint256 public minPlayers = 1;
+    mapping(uint256 => bool) public roundCancelled;
+
+    event RoundCancelled(uint256 indexed roundId, uint256 refunds);
+    event RefundClaimed(address indexed player, uint256 indexed roundId, uint256 amount);
+    event MinPlayersChanged(uint256 minPlayers);
+
+    modifier onlyRoundAdmin() {
+        require(msg.sender == _roundAdmin(), "Only owner can call this function");
+        _;
+    }
+
+    /**
+     * @dev Account allowed to cancel rounds and set the minimum
+     */
+    function _roundAdmin() internal view virtual returns (address);
+
+    /**
+     * @dev What `player` paid into `roundId`, still held for them
+     */
+    function _paidIn(uint256 roundId, address player) internal view virtual returns (uint256);
+
+    /**
+     * @dev Forget `player`'s payment into `roundId` once it is refunded
+     */
+    function _clearPaid(uint256 roundId, address player) internal virtual;
+
+    /**
+     * @dev The refund `player` can claim from `roundId`, 0 unless it was cancelled
+     */
+    function getRefund(uint256 roundId, address player) public view returns (uint256) {
+        return roundCancelled[roundId] ? _paidIn(roundId, player) : 0;
+    }
+
+    /**
+     * @dev Cancel rounds drawn with fewer than `_minPlayers` players
+     */
+    function setMinPlayers(uint256 _minPlayers) public onlyRoundAdmin {
+        require(_minPlayers > 0, "Minimum players must be at least 1");
+        minPlayers = _minPlayers;
+        emit MinPlayersChanged(_minPlayers);
+    }
+
+    /**
+     * @dev Take back what the caller paid into a cancelled round
+     */
+    function claimRefund(uint256 roundId) public {
+        require(roundCancelled[roundId], "Round not cancelled");
+        uint256 amount = _paidIn(roundId, msg.sender);
+        require(amount > 0, "Nothing to refund");
+        _clearPaid(roundId, msg.sender);
+        refundsOwed -= amount;
+
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "Refund transfer failed");
+
+        emit RefundClaimed(msg.sender, roundId, amount);
+    }
+
+    /**
+     * @dev Mark `roundId` cancelled and set aside `paidIn`, the total its
+     * players paid, for refunds. ETH that reached the contract any other way
+     * is not owed to anyone and stays in the prize pool.
+     */
+    function _cancelRound(uint256 roundId, uint256 paidIn) internal {
+        roundCancelled[roundId] = true;
+        refundsOwed += paidIn;
+        emit RoundCancelled(roundId, paidIn);
+    }
+}
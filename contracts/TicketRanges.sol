@@ -0,0 +1,52 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title TicketRanges
+ * @dev Weighted draws without one array slot per ticket. Each purchase is
+ * stored once, as its buyer and the running total after it, so purchase i
+ * owns the tickets [ranges[i - 1].end, ranges[i].end). The owner of a ticket
+ * is found by binary search, in O(log purchases) reads.
+ */
+library TicketRanges {
+    struct Range {
+        address owner;
+        uint96 end;
+    }
+
+    /**
+     * @dev Append `count` tickets for `owner`, returns the new total
+     */
+    function push(Range[] storage ranges, address owner, uint256 count) internal returns (uint256) {
+        uint256 end = total(ranges) + count;
+        require(end <= type(uint96).max, "Too many tickets");
+        ranges.push(Range(owner, uint96(end)));
+        return end;
+    }
+
+    /**
+     * @dev Tickets sold across all purchases
+     */
+    function total(Range[] storage ranges) internal view returns (uint256) {
+        return ranges.length == 0 ? 0 : ranges[ranges.length - 1].end;
+    }
+
+    /**
+     * @dev Owner of ticket number `ticket`, which must be below total()
+     */
+    function ownerOf(Range[] storage ranges, uint256 ticket) internal view returns (address) {
+        require(ticket < total(ranges), "Ticket out of range");
+        uint256 low = 0;
+        uint256 high = ranges.length - 1;
+        // First range ending after the ticket
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (ranges[mid].end > ticket) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return ranges[low].owner;
+    }
+}
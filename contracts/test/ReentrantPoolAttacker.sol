@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../EthREwardPool.sol";
+
+// Joins an EthRewardPool and, when its reward is sent, calls claim() again
+// from receive() to be paid twice. The nested call's outcome is recorded
+// instead of bubbled up, so the tests can check it was rejected while the
+// claim went through.
+contract ReentrantPoolAttacker {
+    EthRewardPool public immutable pool;
+
+    uint256 public payouts;
+    bool public reentered;
+    string public failure;
+
+    constructor(EthRewardPool _pool) {
+        pool = _pool;
+    }
+
+    function join() external payable {
+        pool.joinPool{value: msg.value}();
+    }
+
+    function claim() external {
+        pool.claim();
+    }
+
+    receive() external payable {
+        payouts++;
+        try pool.claim() {
+            reentered = true;
+        } catch Error(string memory reason) {
+            failure = reason;
+        }
+    }
+}
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../Raffle.sol";
+
+// Enters a Raffle and, when refunded from a cancelled round, calls
+// claimRefund again from receive() to be refunded twice. The nested call's
+// outcome is recorded instead of bubbled up, so the tests can check it was
+// rejected while the refund went through.
+contract ReentrantRefundAttacker {
+    Raffle public immutable raffle;
+
+    uint256 public refunds;
+    uint256 private refundingRound;
+    bool public reentered;
+    string public failure;
+
+    constructor(Raffle _raffle) {
+        raffle = _raffle;
+    }
+
+    function enter() external payable {
+        raffle.enter{value: msg.value}();
+    }
+
+    function claimRefund(uint256 roundId) external {
+        refundingRound = roundId;
+        raffle.claimRefund(roundId);
+    }
+
+    receive() external payable {
+        refunds++;
+        try raffle.claimRefund(refundingRound) {
+            reentered = true;
+        } catch Error(string memory reason) {
+            failure = reason;
+        }
+    }
+}
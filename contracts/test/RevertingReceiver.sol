@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../EthREwardPool.sol";
+import "../Raffle.sol";
+import "../RaffleVRF.sol";
+
+// An EthRewardPool participant or raffle player that cannot be paid, like a
+// contract wallet without a payable fallback
+contract RevertingReceiver {
+    function join(EthRewardPool pool) external payable {
+        pool.joinPool{value: msg.value}();
+    }
+
+    function enter(RaffleVRF raffle) external payable {
+        raffle.enter{value: msg.value}();
+    }
+
+    function enterRaffle(Raffle raffle) external payable {
+        raffle.enter{value: msg.value}();
+    }
+
+    function claim(EthRewardPool pool) external {
+        pool.claim();
+    }
+
+    receive() external payable {
+        revert("RevertingReceiver: no payments");
+    }
+}
@@ -0,0 +1,143 @@
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import puppeteer from "puppeteer";
+import { TASK_NODE_CREATE_SERVER } from "hardhat/builtin-tasks/task-names.js";
+import deploymentsLib from "../scripts/lib/deployments.cjs";
+import multicallLib from "../scripts/lib/multicall.cjs";
+
+const { Deployments } = deploymentsLib;
+const { ensureMulticall3 } = multicallLib;
+
+// Everything the frontend needs to run against the in-process Hardhat
+// network, without a wallet extension or any network access:
+// - a JSON-RPC server over the network, like `npx hardhat node`
+// - the contracts, deployed the way the deploy task does it
+// - the app built by Vite with that deployment in place of the committed
+//   frontend/src/contracts files, which are left untouched, and served by
+//   `vite preview`
+// - a headless browser
+
+const FRONTEND_DIR = fileURLToPath(new URL("../frontend", import.meta.url));
+const CONTRACTS_DIR = path.join(FRONTEND_DIR, "src", "contracts");
+
+// Serve the test deployment's registry and ABIs instead of the files on disk
+function deploymentPlugin(files) {
+  return {
+    name: "e2e-deployment",
+    enforce: "pre",
+    load(id) {
+      const [file] = id.split("?");
+      if (path.dirname(file) === CONTRACTS_DIR && files[path.basename(file)]) {
+        return JSON.stringify(files[path.basename(file)]);
+      }
+      return null;
+    }
+  };
+}
+
+// A production build served by `vite preview`. The dev server would pause
+// the first page load to pre-bundle dependencies and can reload the page
+// when it finds more, which makes timings in the specs unpredictable.
+async function startFrontend(files, env) {
+  // Vite is a frontend dependency, use the copy the app is built with
+  const { build, preview } = await import(
+    pathToFileURL(path.join(FRONTEND_DIR, "node_modules", "vite", "dist", "node", "index.js"))
+  );
+
+  // Settings come from this directory only, so a developer's .env.local
+  // cannot point the tests at another chain or an indexer
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "raffle-e2e-frontend-"));
+  fs.writeFileSync(
+    path.join(dir, ".env"),
+    Object.entries(env).map(([key, value]) => `${key}=${value}`).join("\n") + "\n"
+  );
+
+  const config = {
+    root: FRONTEND_DIR,
+    configFile: path.join(FRONTEND_DIR, "vite.config.js"),
+    envDir: dir,
+    logLevel: "error",
+    plugins: [deploymentPlugin(files)],
+    build: { outDir: path.join(dir, "dist"), emptyOutDir: true }
+  };
+
+  try {
+    await build(config);
+    const server = await preview({ ...config, preview: { host: "127.0.0.1" } });
+    return {
+      url: server.resolvedUrls.local[0],
+      async close() {
+        await server.close();
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    };
+  } catch (error) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+/**
+ * Start the E2E environment for `contracts`, a list of [contractName, args]
+ * pairs deployed in that order. Resolves with the app URL, the JSON-RPC URL,
+ * the deployment records by name, the browser and close().
+ */
+export async function startEnvironment(hre, { contracts }) {
+  // Stopped in reverse order by close(), or as soon as a later step fails
+  const started = [];
+  const close = async () => {
+    while (started.length > 0) await started.pop()();
+  };
+
+  try {
+    const rpc = await hre.run(TASK_NODE_CREATE_SERVER, {
+      hostname: "127.0.0.1",
+      port: 0,
+      provider: hre.network.provider
+    });
+    const { address, port } = await rpc.listen();
+    started.push(() => rpc.close());
+    const rpcUrl = `http://${address}:${port}`;
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "raffle-e2e-deployments-"));
+    started.push(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const deployments = new Deployments(hre, { dir, force: true, log: () => {} });
+    const records = {};
+    for (const [contractName, args] of contracts) {
+      records[contractName] = (await deployments.deploy(contractName, args)).record;
+    }
+    await ensureMulticall3(hre, deployments);
+
+    // Only the test chain is offered, so "wrong network" means any other chain
+    const bundle = await deployments.frontendBundle();
+    const files = {
+      "networks.json": {
+        [bundle.chainId]: { name: "Hardhat Local", rpcUrl, explorerUrl: "", contracts: bundle.contracts }
+      },
+      ...Object.fromEntries(bundle.artifacts.map((artifact) => [`${artifact.contractName}.json`, artifact]))
+    };
+
+    const frontend = await startFrontend(files, {
+      VITE_NETWORK_ID: bundle.chainId,
+      VITE_RPC_URL: rpcUrl,
+      VITE_TX_CONFIRMATIONS: 1,
+      VITE_INDEXER_URL: "",
+      VITE_CONTRACT_BACKEND: ""
+    });
+    started.push(() => frontend.close());
+
+    // Chrome will not start its sandbox as root, which is how containers run it
+    const browser = await puppeteer.launch({
+      headless: true,
+      args: process.getuid?.() === 0 ? ["--no-sandbox"] : []
+    });
+    started.push(() => browser.close());
+
+    return { url: frontend.url, rpcUrl, chainId: bundle.chainId, records, browser, close };
+  } catch (error) {
+    await close();
+    throw error;
+  }
+}
@@ -0,0 +1,304 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { startEnvironment } from "./environment.js";
+import { TestWallet } from "./wallet.js";
+
+const { ethers } = hre;
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+describe("Raffle frontend", function () {
+  // Building the app and starting Chrome take a while
+  this.timeout(120000);
+
+  const entryFee = ethers.parseEther("0.01");
+  const otherChainId = 1;
+  let env;
+  let raffle;
+  let owner;
+  let player1;
+  let player2;
+  let snapshot;
+  let context;
+  let page;
+  let wallet;
+
+  // Open the app in a fresh page with a wallet on `account`
+  async function openApp(account, walletOptions = {}) {
+    page = await context.newPage();
+    wallet = new TestWallet(hre.network.provider, {
+      account: account.address,
+      chainId: env.chainId,
+      ...walletOptions
+    });
+    await wallet.install(page);
+    await page.goto(env.url);
+    await waitForInfo("Entry Fee:", "0.01 ETH");
+  }
+
+  const waitForText = (text) =>
+    page.waitForFunction((expected) => document.body.innerText.includes(expected), {}, text);
+
+  const waitForInfo = (label, value) =>
+    page.waitForFunction(
+      (expectedLabel, expectedValue) => [...document.querySelectorAll(".info-item")].some(
+        (item) => item.querySelector(".label").textContent === expectedLabel &&
+          item.querySelector(".value").textContent === expectedValue
+      ),
+      {},
+      label,
+      value
+    );
+
+  const hasText = async (text) => (await page.evaluate(() => document.body.innerText)).includes(text);
+
+  // Locators wait for the button to be visible and enabled
+  const click = (text, scope) =>
+    page.locator(`${scope ? `${scope} ` : ""}button::-p-text("${text}")`).click();
+
+  async function connect() {
+    await click("Connect Wallet");
+    await waitForText("Connected:");
+  }
+
+  // Open the preflight dialog with `action` and send once the simulation passed
+  async function sendThroughPreflight(action) {
+    await click(action);
+    await click("Confirm in wallet", ".preflight-dialog");
+  }
+
+  before(async function () {
+    [owner, player1, player2] = await ethers.getSigners();
+    env = await startEnvironment(hre, { contracts: [["Raffle", [entryFee]]] });
+    raffle = await ethers.getContractAt("Raffle", env.records.Raffle.address);
+  });
+
+  after(async function () {
+    await env?.close();
+  });
+
+  // Every test starts from the freshly deployed raffle, with its own cookies
+  // and localStorage so no transaction history carries over
+  beforeEach(async function () {
+    snapshot = await ethers.provider.send("evm_snapshot", []);
+    context = await env.browser.createBrowserContext();
+  });
+
+  afterEach(async function () {
+    await context.close();
+    await ethers.provider.send("evm_revert", [snapshot]);
+  });
+
+  describe("Connecting", function () {
+    it("Should show the raffle read-only until the wallet connects", async function () {
+      await openApp(player1);
+
+      expect(await hasText("Read-only mode")).to.equal(true);
+      await waitForInfo("Status:", "🟢 Active");
+      // Only the silent reconnect check, the user was not prompted
+      expect(wallet.requests.map(({ method }) => method)).to.not.include("eth_requestAccounts");
+    });
+
+    it("Should connect the wallet's account on the test chain", async function () {
+      await openApp(player1);
+      await connect();
+
+      expect(await hasText(`Connected: ${shortAddress(player1.address)}`)).to.equal(true);
+      await waitForText("🌐 Hardhat Local");
+      expect(await hasText("Read-only mode")).to.equal(false);
+    });
+
+    it("Should stay read-only when the user rejects the connection", async function () {
+      await openApp(player1);
+      wallet.rejectNext("eth_requestAccounts");
+      await click("Connect Wallet");
+
+      await waitForText("Error connecting to MetaMask: You rejected the request in your wallet");
+      expect(await page.$("button.connect-btn")).to.not.equal(null);
+    });
+  });
+
+  describe("Wrong network", function () {
+    it("Should switch a wallet on another chain to the test chain", async function () {
+      await openApp(player1, { chainId: otherChainId, chains: [otherChainId, env.chainId] });
+      await connect();
+      await waitForText("Wrong Network Detected");
+      expect(await hasText(`No raffle is deployed on chain ${otherChainId}`)).to.equal(true);
+
+      await click("Switch to Hardhat Local");
+      await waitForText("Connected to Hardhat Local");
+      expect(await hasText("Wrong Network Detected")).to.equal(false);
+      expect(Number(wallet.chainId)).to.equal(env.chainId);
+    });
+
+    it("Should add the test chain to a wallet that does not know it", async function () {
+      await openApp(player1, { chainId: otherChainId, chains: [otherChainId] });
+      await connect();
+      await click("Switch to Hardhat Local");
+      await waitForText("Connected to Hardhat Local");
+
+      expect(wallet.addedChains).to.have.length(1);
+      expect(wallet.addedChains[0]).to.include({ chainId: ethers.toQuantity(env.chainId), chainName: "Hardhat Local" });
+      expect(wallet.addedChains[0].rpcUrls).to.deep.equal([env.rpcUrl]);
+    });
+
+    it("Should report a rejected network switch", async function () {
+      await openApp(player1, { chainId: otherChainId, chains: [otherChainId, env.chainId] });
+      await connect();
+      wallet.rejectNext("wallet_switchEthereumChain");
+      await click("Switch to Hardhat Local");
+
+      await waitForText("Failed to switch to Hardhat Local: You rejected the request in your wallet");
+      expect(await hasText("Wrong Network Detected")).to.equal(true);
+    });
+
+    it("Should follow the wallet when it moves to another chain", async function () {
+      await openApp(player1);
+      await connect();
+      await waitForText("Connected to Hardhat Local");
+
+      await wallet.switchChain(otherChainId);
+      await waitForText("Wrong Network Detected");
+    });
+  });
+
+  describe("Playing", function () {
+    it("Should enter the raffle after the preflight check", async function () {
+      await openApp(player1);
+      await connect();
+      await sendThroughPreflight("Enter Raffle");
+
+      await waitForText("✅ Confirmed");
+      await waitForInfo("Players:", "1");
+      await page.waitForSelector(".players-list li.me");
+      expect(await raffle.getPlayers()).to.deep.equal([player1.address]);
+    });
+
+    it("Should buy several tickets and show each player's chance to win", async function () {
+      await raffle.connect(player2).enter({ value: entryFee });
+      await openApp(player1);
+      await connect();
+      await page.locator(".ticket-selector input").fill("3");
+      await click("Enter Raffle with 3 tickets (0.03 ETH)");
+
+      await waitForText("Your chance to win becomes 75%.");
+      await click("Confirm in wallet", ".preflight-dialog");
+      await waitForText("✅ Confirmed");
+      await waitForInfo("Your Chance:", "75%");
+      await waitForInfo("Players:", "2");
+      await page.waitForFunction(
+        () => document.querySelector(".players-list li.me")?.textContent.includes("3 tickets · 75%")
+      );
+      expect(await raffle.getTickets(player1.address)).to.equal(3n);
+    });
+
+    it("Should leave the raffle unchanged when the user rejects the transaction", async function () {
+      await openApp(player1);
+      await connect();
+      wallet.rejectNext("eth_sendTransaction");
+      await sendThroughPreflight("Enter Raffle");
+
+      await waitForText("🚫 Rejected");
+      expect(await hasText("You rejected the request in your wallet")).to.equal(true);
+      expect(await raffle.getPlayerCount()).to.equal(0n);
+    });
+
+    it("Should stop an entry the wallet cannot pay for before it is sent", async function () {
+      await ethers.provider.send("hardhat_setBalance", [player1.address, "0x0"]);
+      await openApp(player1);
+      await connect();
+      await click("Enter Raffle");
+
+      await waitForText("⛔ This transaction would fail: Not enough ETH to cover the amount plus gas");
+      expect(await page.$(".preflight-dialog .enter-btn")).to.equal(null);
+      expect(wallet.requests.map(({ method }) => method)).to.not.include("eth_sendTransaction");
+    });
+
+    it("Should let the owner pick a winner", async function () {
+      await raffle.connect(player1).enter({ value: entryFee });
+      await raffle.connect(player2).enter({ value: entryFee });
+      await openApp(owner);
+      await connect();
+      await waitForText("Owner Console");
+
+      await sendThroughPreflight("Pick Winner");
+      await waitForText("✅ Confirmed");
+
+      // Owner actions re-read the raffle once confirmed
+      const winner = await raffle.lastWinner();
+      expect([player1.address, player2.address]).to.include(winner);
+      await page.waitForFunction(
+        (address) => document.querySelector(".last-winner")?.textContent.includes(address),
+        {},
+        winner
+      );
+      await waitForInfo("Players:", "0");
+    });
+  });
+
+  describe("Protocol fee", function () {
+    it("Should show the fee and net prize and let the owner withdraw the fees", async function () {
+      await raffle.scheduleFeeChange(500);
+      await ethers.provider.send("evm_increaseTime", [Number(await raffle.FEE_CHANGE_DELAY())]);
+      await raffle.connect(player1).enter({ value: entryFee });
+      await raffle.connect(player2).enter({ value: entryFee });
+      await raffle.pickWinner();
+      await raffle.connect(player1).enter({ value: entryFee });
+
+      await openApp(owner);
+      await connect();
+      await waitForInfo("Protocol Fee:", "5% (0.0005 ETH)");
+      await waitForInfo("Net Prize:", "0.0095 ETH");
+      await waitForText("Accrued: 0.001 ETH");
+
+      await sendThroughPreflight("Withdraw Fees");
+      await waitForText("✅ Confirmed");
+      await waitForText("Accrued: 0.0 ETH");
+      expect(await raffle.accruedFees()).to.equal(0n);
+    });
+  });
+
+  describe("Cancelled rounds", function () {
+    it("Should let a player claim back what they paid into a cancelled round", async function () {
+      await raffle.connect(player1).buyTickets(2, { value: entryFee * 2n });
+      await raffle.cancelRound();
+
+      await openApp(player1);
+      await connect();
+      await waitForText("Round 1 was cancelled — claim your refund of 0.02 ETH");
+      await sendThroughPreflight("Claim Refund");
+
+      await waitForText("✅ Confirmed");
+      await page.waitForFunction(() => !document.querySelector(".refund-banner"));
+      expect(await raffle.getRefund(1, player1.address)).to.equal(0n);
+    });
+
+    it("Should let the owner cancel a round from the console", async function () {
+      await raffle.connect(player1).enter({ value: entryFee });
+      await openApp(owner);
+      await connect();
+      await waitForText("Round Controls");
+
+      await sendThroughPreflight("Cancel Round");
+      await waitForText("✅ Confirmed");
+      await waitForInfo("Players:", "0");
+      expect(await raffle.roundCancelled(1)).to.equal(true);
+    });
+  });
+
+  describe("Live updates", function () {
+    it("Should show entries and winners from other wallets without a reload", async function () {
+      await openApp(player1);
+      await connect();
+
+      await raffle.connect(player2).enter({ value: entryFee });
+      await waitForText(`Player ${shortAddress(player2.address)} entered with 0.01 ETH`);
+      await waitForInfo("Players:", "1");
+      await waitForInfo("Prize Pool:", "0.01 ETH");
+
+      await raffle.connect(owner).pickWinner();
+      await waitForText(`🎉 Winner: ${shortAddress(player2.address)} won 0.01 ETH!`);
+      await waitForInfo("Players:", "0");
+    });
+  });
+});
@@ -0,0 +1,145 @@
+import { toQuantity } from "ethers";
+
+// A stand-in for MetaMask. The page gets a window.ethereum whose requests are
+// answered here, in the test process: wallet methods (accounts, chain
+// switching) are handled by TestWallet and everything else is sent to the
+// Hardhat network, which signs transactions with its unlocked accounts.
+
+// Error codes from EIP-1193 and MetaMask
+export const USER_REJECTED = 4001;
+export const UNRECOGNIZED_CHAIN = 4902;
+export const INTERNAL_ERROR = -32603;
+
+// Runs in the page before any of the app's scripts
+function injectProvider() {
+  const listeners = new Map();
+
+  window.ethereum = {
+    isMetaMask: true,
+    async request({ method, params = [] }) {
+      const { result, error } = await window.__testWalletRequest({ method, params });
+      if (error) {
+        throw Object.assign(new Error(error.message), error);
+      }
+      return result;
+    },
+    on(event, listener) {
+      if (!listeners.has(event)) listeners.set(event, new Set());
+      listeners.get(event).add(listener);
+      return this;
+    },
+    removeListener(event, listener) {
+      listeners.get(event)?.delete(listener);
+      return this;
+    }
+  };
+
+  window.__testWalletEmit = (event, payload) => {
+    listeners.get(event)?.forEach((listener) => listener(payload));
+  };
+}
+
+const walletError = (code, message) => Object.assign(new Error(message), { code });
+
+export class TestWallet {
+  /**
+   * - provider: EIP-1193 provider of the Hardhat network
+   * - account: address the wallet connects with, one of Hardhat's accounts
+   * - chainId: chain the wallet starts on
+   * - chains: chainIds the wallet already knows, it can switch to these
+   *   without wallet_addEthereumChain
+   */
+  constructor(provider, { account, chainId, chains = [chainId] }) {
+    this.provider = provider;
+    this.account = account;
+    this.chainId = toQuantity(chainId);
+    this.chains = new Set(chains.map((id) => toQuantity(id)));
+    this.authorized = false;
+    this.page = null;
+
+    // Methods the user will turn down the next time they are requested
+    this.rejections = new Set();
+    // Every request the page made, in order, for assertions
+    this.requests = [];
+    // Params of each accepted wallet_addEthereumChain
+    this.addedChains = [];
+  }
+
+  /**
+   * Inject window.ethereum into `page`. Call before page.goto().
+   */
+  async install(page) {
+    this.page = page;
+    await page.exposeFunction("__testWalletRequest", (request) => this.handle(request));
+    await page.evaluateOnNewDocument(injectProvider);
+  }
+
+  // The user dismisses the next prompt for `method`
+  rejectNext(method) {
+    this.rejections.add(method);
+  }
+
+  // The user picks another network in the wallet
+  async switchChain(chainId) {
+    this.chainId = toQuantity(chainId);
+    this.chains.add(this.chainId);
+    await this.emit("chainChanged", this.chainId);
+  }
+
+  async emit(event, payload) {
+    await this.page.evaluate((name, value) => window.__testWalletEmit(name, value), event, payload);
+  }
+
+  // Resolves with { result } or { error }, which the page turns into a throw
+  async handle({ method, params }) {
+    this.requests.push({ method, params });
+    try {
+      if (this.rejections.delete(method)) {
+        throw walletError(USER_REJECTED, "User rejected the request.");
+      }
+      return { result: await this.answer(method, params) };
+    } catch (error) {
+      // Only plain data crosses into the page. Node errors without a code are
+      // reported the way MetaMask does, as an internal JSON-RPC error
+      return { error: { code: error.code ?? INTERNAL_ERROR, message: error.message, data: error.data } };
+    }
+  }
+
+  async answer(method, params) {
+    switch (method) {
+      case "eth_requestAccounts":
+        this.authorized = true;
+        return [this.account];
+      case "eth_accounts":
+        return this.authorized ? [this.account] : [];
+      case "eth_chainId":
+        return this.chainId;
+      case "net_version":
+        return String(Number(this.chainId));
+      case "wallet_switchEthereumChain": {
+        const [{ chainId }] = params;
+        if (!this.chains.has(toQuantity(chainId))) {
+          throw walletError(UNRECOGNIZED_CHAIN, `Unrecognized chain ID "${chainId}".`);
+        }
+        await this.switchChain(chainId);
+        return null;
+      }
+      case "wallet_addEthereumChain": {
+        // MetaMask offers to switch to the chain it just added
+        const [chain] = params;
+        this.addedChains.push(chain);
+        await this.switchChain(chain.chainId);
+        return null;
+      }
+      case "eth_sendTransaction": {
+        const [tx] = params;
+        if (tx.from && tx.from.toLowerCase() !== this.account.toLowerCase()) {
+          throw walletError(USER_REJECTED, `Cannot sign for ${tx.from}, the wallet is on ${this.account}`);
+        }
+        return this.provider.request({ method, params: [{ ...tx, from: this.account }] });
+      }
+      default:
+        return this.provider.request({ method, params });
+    }
+  }
+}
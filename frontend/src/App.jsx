@@ -1,238 +1,453 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef, useSyncExternalStore } from 'react';
 import { ethers } from 'ethers';
 import './App.css';
-import RaffleABI from './contracts/Raffle.json';
-import contractAddress from './contracts/contract-address.json';
-
-// Sepolia Testnet Configuration
-const SEPOLIA_CHAIN_ID = '0xaa36a7'; // 11155111 in hex
-const SEPOLIA_NETWORK = {
-  chainId: SEPOLIA_CHAIN_ID,
-  chainName: 'Sepolia Testnet',
-  nativeCurrency: {
-    name: 'Sepolia ETH',
-    symbol: 'ETH',
-    decimals: 18
-  },
-  rpcUrls: ['https://sepolia.infura.io/v3/a29782d9c5a64d6dbacaa40a4c4fc262'],
-  blockExplorerUrls: ['https://sepolia.etherscan.io']
-};
-
-function App() {
-  const [account, setAccount] = useState(null);
-  const [contract, setContract] = useState(null);
-  const [provider, setProvider] = useState(null);
-  const [raffleInfo, setRaffleInfo] = useState({
+import { EventStream, MulticallReader } from '../../sdk';
+import { getAvailableBackends } from './adapters';
+import { RPC_URL, TX_CONFIRMATIONS } from './config';
+import { createTxTracker, TX_STATUS } from './lib/txTracker';
+import { normalizeError } from './lib/errors';
+import { simulateCall, sendCall } from './lib/preflight';
+import { formatChance, totalWeight, weightOf } from './lib/odds';
+import { currentFeeBps, formatBps, payoutFeeBps, splitPrize } from './lib/fees';
+import {
+  getNetwork,
+  getDefaultNetwork,
+  getSupportedNetworks,
+  toHexChainId,
+  walletChainParams
+} from './networks';
+import RoundHistory from './components/RoundHistory';
+import PlayerDashboard from './components/PlayerDashboard';
+import AdminPanel from './components/AdminPanel';
+import FeePanel from './components/FeePanel';
+import RoundPanel from './components/RoundPanel';
+import TransactionList from './components/TransactionList';
+import PreflightDialog from './components/PreflightDialog';
+
+const DEFAULT_NETWORK = getDefaultNetwork();
+const SUPPORTED_NETWORKS = getSupportedNetworks();
+
+// Public view calls go through this provider until a wallet is connected
+const READ_RPC_URL = RPC_URL || DEFAULT_NETWORK?.rpcUrl;
+const READ_PROVIDER = DEFAULT_NETWORK && READ_RPC_URL
+  ? new ethers.JsonRpcProvider(READ_RPC_URL, DEFAULT_NETWORK.chainId, { staticNetwork: true })
+  : null;
+
+const TX_TRACKER = createTxTracker({
+  storage: window.localStorage,
+  confirmations: TX_CONFIRMATIONS
+});
+
+const INITIAL_CHAIN_STATE = {
+  info: {
+    owner: null,
     entryFee: '0',
     playerCount: 0,
     prizePool: '0',
     isActive: false,
     lastWinner: ethers.ZeroAddress,
-    lastWinAmount: '0'
+    lastWinAmount: '0',
+    roundId: null,
+    minPlayers: 1,
+    // A single ticket until the raffle's limit is loaded
+    maxTicketsPerEntry: 1,
+    roundEndsAt: null,
+    clockOffset: 0,
+    feeBps: 0,
+    pendingFeeBps: 0,
+    feeChangeTime: null,
+    treasury: null,
+    accruedFees: '0',
+    roundFeeBps: 0
+  },
+  players: []
+};
+
+const shortAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+const formatCountdown = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+function App() {
+  const [account, setAccount] = useState(null);
+  const [signer, setSigner] = useState(null);
+  const [chainId, setChainId] = useState(null);
+  const [backendId, setBackendId] = useState(null);
+  // Contract state read at one block, then kept current by applying events
+  const [chainState, setChainState] = useState(INITIAL_CHAIN_STATE);
+  const [syncKey, setSyncKey] = useState(0);
+  const { info: raffleInfo, players } = chainState;
+  const [contribution, setContribution] = useState('');
+  const [tickets, setTickets] = useState('1');
+  // The connected account's unclaimed rewards, for games that hold them,
+  // and its refunds from cancelled rounds
+  const [claim, setClaim] = useState(null);
+  const [refundState, setRefundState] = useState(null);
+  const [now, setNow] = useState(() => Date.now());
+  const [message, setMessage] = useState(() => {
+    if (typeof window.ethereum === 'undefined' && !READ_PROVIDER) {
+      return 'Please install MetaMask to use this dApp';
+    }
+    return '';
   });
-  const [players, setPlayers] = useState([]);
-  const [loading, setLoading] = useState(false);
-  const [message, setMessage] = useState('');
   const [networkError, setNetworkError] = useState(false);
-
+  const [preflight, setPreflight] = useState(null);
+  const walletListeners = useRef(false);
+  const transactions = useSyncExternalStore(TX_TRACKER.subscribe, TX_TRACKER.getSnapshot);
+  const loading = transactions.some((tx) => tx.status === TX_STATUS.SIGNING);
+
+  // The wallet's chain once connected, otherwise the read-only default
+  const network = useMemo(
+    () => (signer ? getNetwork(chainId) : DEFAULT_NETWORK),
+    [signer, chainId]
+  );
+  const backends = useMemo(() => getAvailableBackends(network), [network]);
+  const backend = backends.find((b) => b.adapter.id === backendId) ?? backends[0];
+  const adapter = backend?.adapter;
+  const isPool = adapter?.id === 'pool';
+
+  // Read-only until a wallet connects, then the same contract is upgraded to the signer
+  const contract = useMemo(() => {
+    const runner = signer ?? READ_PROVIDER;
+    if (!runner || !backend) return null;
+    return new ethers.Contract(backend.address, backend.adapter.abi).connect(runner);
+  }, [signer, backend]);
+  // Shared by every load, so reads issued together go out as one Multicall3
+  // eth_call and repeated reads within a couple of seconds hit the cache
+  const reader = useMemo(() => {
+    if (!contract) return null;
+    return new MulticallReader(contract.runner.provider ?? contract.runner, {
+      address: network.contracts.Multicall3?.address
+    });
+  }, [contract, network]);
+  const readOnly = contract !== null && !signer;
+  const isOwner = Boolean(
+    account && raffleInfo.owner && account.toLowerCase() === raffleInfo.owner.toLowerCase()
+  );
+  // Odds are each player's tickets (or pool wei) over the round's total
+  const roundWeight = totalWeight(players);
+  const myWeight = account ? weightOf(players, account) : 0n;
+  const ticketCount = Number(tickets);
+  const validTickets = Boolean(adapter) && Number.isInteger(ticketCount) && ticketCount >= 1 &&
+    ticketCount <= raffleInfo.maxTicketsPerEntry;
+
+  // Throw the local state away and read it again from the chain
+  const reload = useCallback(() => setSyncKey((key) => key + 1), []);
+
+  const claimable = claim && claim.account === account && claim.contract === contract ? claim.amount : 0n;
+  const loadClaimable = useCallback(() => {
+    if (!adapter?.claims || !contract || !account) return;
+    adapter.claims.load(contract, account)
+      .then((amount) => setClaim({ account, contract, amount }))
+      .catch((error) => console.error('Error loading claimable rewards:', error));
+  }, [adapter, contract, account]);
+
+  const refunds = refundState && refundState.account === account && refundState.contract === contract
+    ? refundState.refunds
+    : [];
+  const deployBlock = backend?.deployBlock;
+  const loadRefunds = useCallback(() => {
+    if (!adapter?.refunds || !contract || !account) return;
+    adapter.refunds.load(contract, account, { fromBlock: deployBlock })
+      .then((found) => setRefundState({ account, contract, refunds: found }))
+      .catch((error) => console.error('Error loading refunds:', error));
+  }, [adapter, contract, account, deployBlock]);
+
+  // Every distribution or cancellation starts a new round, and may have paid
+  // this account or owe it a refund
   useEffect(() => {
-    initializeProvider();
-  }, []);
+    loadClaimable();
+    loadRefunds();
+  }, [loadClaimable, loadRefunds, raffleInfo.roundId]);
 
+  // Snapshot the state at the current block, then stream every later event
+  // into it. The stream backfills from its last block after a dropped
+  // connection or a sleeping tab, so nothing is refetched per event.
   useEffect(() => {
-    if (contract) {
-      loadRaffleInfo();
-      loadPlayers();
-
-      // Set up event listeners
-      contract.on('PlayerEntered', (player, amount) => {
-        setMessage(`Player ${player.slice(0, 6)}...${player.slice(-4)} entered with ${ethers.formatEther(amount)} ETH`);
-        loadRaffleInfo();
-        loadPlayers();
-      });
-
-      contract.on('WinnerPicked', (winner, amount) => {
-        setMessage(`🎉 Winner: ${winner.slice(0, 6)}...${winner.slice(-4)} won ${ethers.formatEther(amount)} ETH!`);
-        loadRaffleInfo();
-        loadPlayers();
-      });
+    if (!contract || !reader) return;
+    const provider = contract.runner.provider ?? contract.runner;
+    let stream = null;
+    let cancelled = false;
+
+    const onEvents = (events) => {
+      // A scan that was in flight when the effect was torn down
+      if (cancelled) return;
+      setChainState((state) => events.reduce(adapter.applyEvent, state));
+      for (const { name, args } of events) {
+        if (name === adapter.events.entered) {
+          setMessage(`Player ${shortAddress(args[0])} entered with ${ethers.formatEther(args[1])} ETH`);
+        } else if (name === adapter.events.settled) {
+          setMessage(`🎉 Winner: ${shortAddress(args[0])} won ${ethers.formatEther(args[1])} ETH!`);
+        } else if (name === 'RoundCancelled') {
+          setMessage(`Round ${args.roundId} was cancelled, its players can claim a refund`);
+        }
+      }
+    };
+
+    provider.getBlockNumber()
+      .then((blockNumber) => Promise.all([
+        adapter.loadInfo(contract, { blockTag: blockNumber, reader }),
+        adapter.loadPlayers(contract, { blockTag: blockNumber, reader })
+      ]).then(([info, loadedPlayers]) => {
+        if (cancelled) return;
+        setChainState({ info, players: [...loadedPlayers] });
+        stream = new EventStream(contract, adapter.events.all, {
+          fromBlock: blockNumber + 1,
+          onEvents,
+          // A reorg undid events already applied, start again from a snapshot
+          onRemoved: reload,
+          onError: (error) => console.error('Error syncing events:', error)
+        });
+        stream.start();
+      }))
+      .catch((error) => console.error('Error loading raffle state:', error));
+
+    // Timers are throttled in background tabs, catch up as soon as it is visible again
+    const onVisible = () => {
+      if (document.visibilityState === 'visible') stream?.sync();
+    };
+    document.addEventListener('visibilitychange', onVisible);
+
+    return () => {
+      cancelled = true;
+      stream?.stop();
+      document.removeEventListener('visibilitychange', onVisible);
+    };
+  }, [contract, adapter, reader, syncKey, reload]);
+
+  // Pick up transactions that were still pending when the page was reloaded
+  useEffect(() => {
+    if (!contract) return;
+    TX_TRACKER.resume(contract.runner.provider ?? contract.runner, network.chainId, contract.interface);
+  }, [contract, network]);
 
-      return () => {
-        contract.removeAllListeners();
-      };
+  // Tick once a second while a round countdown or a fee change is pending
+  useEffect(() => {
+    if (raffleInfo.roundEndsAt === null && raffleInfo.feeChangeTime === null) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [raffleInfo.roundEndsAt, raffleInfo.feeChangeTime]);
+
+  const chainNow = Math.floor(now / 1000) + raffleInfo.clockOffset;
+  const secondsLeft = raffleInfo.roundEndsAt === null
+    ? null
+    : Math.max(0, raffleInfo.roundEndsAt - chainNow);
+  const roundExpired = secondsLeft === 0;
+  // An expired pool round nobody joined starts over with the next join
+  const joinClosed = roundExpired && raffleInfo.playerCount > 0;
+
+  // The fee a round opened now is charged, a change still waiting for its
+  // time (in local seconds, ready to display) and the fee of this round's payout
+  const feeBps = currentFeeBps(raffleInfo, chainNow);
+  const pendingFeeChange = raffleInfo.feeChangeTime !== null && chainNow < raffleInfo.feeChangeTime
+    ? { feeBps: raffleInfo.pendingFeeBps, time: raffleInfo.feeChangeTime - raffleInfo.clockOffset }
+    : null;
+  const roundFeeBps = payoutFeeBps(raffleInfo, chainNow);
+  const prizeSplit = splitPrize(raffleInfo.prizePool, roundFeeBps);
+
+  // A BrowserProvider is bound to a single chain, so build a new signer
+  // whenever the wallet moves to another network
+  const connectToChain = useCallback(async (hexChainId) => {
+    const walletChainId = Number(hexChainId);
+    setChainId(walletChainId);
+
+    const walletNetwork = getNetwork(walletChainId);
+    if (getAvailableBackends(walletNetwork).length === 0) {
+      setSigner(null);
+      setNetworkError(true);
+      setMessage(`⚠️ No raffle is deployed on chain ${walletChainId}`);
+      return;
     }
-  }, [contract]);
 
-  const checkAndSwitchNetwork = async () => {
-    if (typeof window.ethereum === 'undefined') {
-      setMessage('Please install MetaMask to use this dApp');
-      return false;
-    }
+    const provider = new ethers.BrowserProvider(window.ethereum);
+    setSigner(await provider.getSigner());
+    setNetworkError(false);
+    setMessage(`🌐 Connected to ${walletNetwork.name}`);
+  }, []);
 
+  const switchNetwork = async (target) => {
     try {
-      const chainId = await window.ethereum.request({ method: 'eth_chainId' });
-
-      if (chainId !== SEPOLIA_CHAIN_ID) {
-        setNetworkError(true);
-        setMessage('⚠️ Please switch to Sepolia Testnet');
-
+      await window.ethereum.request({
+        method: 'wallet_switchEthereumChain',
+        params: [{ chainId: toHexChainId(target.chainId) }],
+      });
+    } catch (switchError) {
+      // This error code indicates that the chain has not been added to MetaMask
+      if (switchError.code === 4902) {
         try {
-          // Try to switch to Sepolia
           await window.ethereum.request({
-            method: 'wallet_switchEthereumChain',
-            params: [{ chainId: SEPOLIA_CHAIN_ID }],
+            method: 'wallet_addEthereumChain',
+            params: [walletChainParams(target)],
           });
-          setNetworkError(false);
-          setMessage('✅ Switched to Sepolia Testnet');
-          return true;
-        } catch (switchError) {
-          // This error code indicates that the chain has not been added to MetaMask
-          if (switchError.code === 4902) {
-            try {
-              await window.ethereum.request({
-                method: 'wallet_addEthereumChain',
-                params: [SEPOLIA_NETWORK],
-              });
-              setNetworkError(false);
-              setMessage('✅ Sepolia Testnet added and switched');
-              return true;
-            } catch (addError) {
-              console.error('Error adding Sepolia network:', addError);
-              setMessage('❌ Failed to add Sepolia network');
-              return false;
-            }
-          } else {
-            console.error('Error switching network:', switchError);
-            setMessage('❌ Failed to switch to Sepolia network');
-            return false;
-          }
+        } catch (addError) {
+          console.error(`Error adding ${target.name}:`, addError);
+          setMessage(`❌ Failed to add ${target.name}: ${normalizeError(addError).message}`);
         }
+      } else {
+        console.error('Error switching network:', switchError);
+        setMessage(`❌ Failed to switch to ${target.name}: ${normalizeError(switchError).message}`);
       }
-
-      setNetworkError(false);
-      return true;
-    } catch (error) {
-      console.error('Error checking network:', error);
-      return false;
     }
   };
 
-  const initializeProvider = async () => {
+  const initializeProvider = useCallback(async () => {
     if (typeof window.ethereum !== 'undefined') {
       try {
-        // Check and switch to Sepolia network
-        const isCorrectNetwork = await checkAndSwitchNetwork();
-        if (!isCorrectNetwork) {
-          return;
-        }
-
         const provider = new ethers.BrowserProvider(window.ethereum);
-        setProvider(provider);
 
         // Request account access
         const accounts = await provider.send('eth_requestAccounts', []);
         setAccount(accounts[0]);
 
-        // Initialize contract
-        const signer = await provider.getSigner();
-        const raffleContract = new ethers.Contract(
-          contractAddress.Raffle,
-          RaffleABI.abi,
-          signer
-        );
-        setContract(raffleContract);
-
-        // Listen for account changes
-        window.ethereum.on('accountsChanged', (accounts) => {
-          setAccount(accounts[0]);
-          window.location.reload();
-        });
+        // The contract for the selected backend is built from this signer
+        await connectToChain(await provider.send('eth_chainId', []));
 
-        // Listen for network changes
-        window.ethereum.on('chainChanged', (chainId) => {
-          window.location.reload();
-        });
+        if (!walletListeners.current) {
+          walletListeners.current = true;
+
+          // Listen for account changes
+          window.ethereum.on('accountsChanged', (accounts) => {
+            setAccount(accounts[0]);
+            window.location.reload();
+          });
+
+          // Follow network changes to that chain's deployment
+          window.ethereum.on('chainChanged', connectToChain);
+        }
       } catch (error) {
         console.error('Error initializing provider:', error);
-        setMessage('Error connecting to MetaMask');
+        setMessage(`Error connecting to MetaMask: ${normalizeError(error).message}`);
       }
     } else {
       setMessage('Please install MetaMask to use this dApp');
     }
+  }, [connectToChain]);
+
+  useEffect(() => {
+    if (typeof window.ethereum === 'undefined') return;
+    // Reconnect without a prompt if this site is already authorised, otherwise
+    // stay read-only until the user clicks Connect Wallet
+    window.ethereum.request({ method: 'eth_accounts' }).then((accounts) => {
+      if (accounts.length > 0) {
+        initializeProvider();
+      }
+    });
+  }, [initializeProvider]);
+
+  // Each transaction gets its own entry in the tracker, the buttons are only
+  // held while the wallet is asking for a signature
+  const sendTransaction = (label, send) => {
+    return TX_TRACKER.track(label, send, {
+      chainId: network.chainId,
+      provider: signer.provider,
+      iface: contract.interface
+    });
   };
 
-  const loadRaffleInfo = async () => {
+  // Every write is simulated first, the wallet only opens from the preflight
+  // dialog once the simulation has passed
+  const requestTransaction = ({ label, makeCall, describe, onSuccess }) => {
     if (!contract) return;
+    const id = Date.now();
+    let call;
     try {
-      const info = await contract.getRaffleInfo();
-      setRaffleInfo({
-        entryFee: ethers.formatEther(info[0]),
-        playerCount: Number(info[1]),
-        prizePool: ethers.formatEther(info[2]),
-        isActive: info[3],
-        lastWinner: info[4],
-        lastWinAmount: ethers.formatEther(info[5])
-      });
+      call = makeCall();
     } catch (error) {
-      console.error('Error loading raffle info:', error);
+      setPreflight({ id, label, outcome: '', result: { ok: false, error: normalizeError(error) } });
+      return;
     }
+
+    setPreflight({ id, label, outcome: describe(call), call, result: null, onSuccess });
+    simulateCall(contract, call).then((result) => {
+      setPreflight((current) => (current?.id === id ? { ...current, result } : current));
+    });
   };
 
-  const loadPlayers = async () => {
-    if (!contract) return;
-    try {
-      const playersList = await contract.getPlayers();
-      setPlayers(playersList);
-    } catch (error) {
-      console.error('Error loading players:', error);
-    }
+  const confirmPreflight = async () => {
+    const { label, call, onSuccess } = preflight;
+    setPreflight(null);
+    const receipt = await sendTransaction(label, () => sendCall(contract, call));
+    if (receipt) onSuccess?.();
   };
 
-  const enterRaffle = async () => {
-    if (!contract) return;
-    setLoading(true);
-    setMessage('');
-    try {
-      const tx = await contract.enter({
-        value: ethers.parseEther(raffleInfo.entryFee)
-      });
-      setMessage('Transaction submitted. Waiting for confirmation...');
-      await tx.wait();
-      setMessage('Successfully entered the raffle!');
-    } catch (error) {
-      console.error('Error entering raffle:', error);
-      setMessage(`Error: ${error.reason || error.message}`);
-    }
-    setLoading(false);
+  const enterRaffle = () => {
+    requestTransaction({
+      label: isPool ? 'Join pool' : 'Enter raffle',
+      makeCall: () => adapter.enter({ entryFee: raffleInfo.entryFee, amount: contribution, tickets: ticketCount }),
+      describe: (call) => {
+        const pool = ethers.formatEther(ethers.parseEther(raffleInfo.prizePool) + call.value);
+        const weight = adapter.entryWeight(call);
+        const playerCount = raffleInfo.playerCount + (myWeight === 0n ? 1 : 0);
+        return `You pay ${ethers.formatEther(call.value)} ETH and the prize pool grows to ${pool} ETH ` +
+          `across ${playerCount} players. Your chance to win becomes ` +
+          `${formatChance(myWeight + weight, roundWeight + weight)}.`;
+      },
+      onSuccess: () => {
+        setContribution('');
+        setTickets('1');
+      }
+    });
   };
 
-  const pickWinner = async () => {
-    if (!contract) return;
-    setLoading(true);
-    setMessage('');
-    try {
-      const tx = await contract.pickWinner();
-      setMessage('Picking winner... Please wait...');
-      await tx.wait();
-      setMessage('Winner picked successfully!');
-    } catch (error) {
-      console.error('Error picking winner:', error);
-      setMessage(`Error: ${error.reason || error.message}`);
-    }
-    setLoading(false);
+  const pickWinner = () => {
+    requestTransaction({
+      label: isPool ? 'Distribute reward' : 'Pick winner',
+      makeCall: () => adapter.settle(),
+      describe: () => {
+        if (raffleInfo.playerCount < raffleInfo.minPlayers) {
+          return `Fewer than ${raffleInfo.minPlayers} players entered, so the round is cancelled instead ` +
+            `and its ${raffleInfo.playerCount} players can claim back the ${raffleInfo.prizePool} ETH they paid.`;
+        }
+        const fee = roundFeeBps > 0 ? ` after the ${formatBps(roundFeeBps)} fee of ${prizeSplit.fee} ETH` : '';
+        return isPool
+          ? `A random participant out of ${raffleInfo.playerCount} receives ${prizeSplit.net} ETH${fee} ` +
+            `and round ${raffleInfo.roundId + 1} starts.`
+          : `A random player out of ${raffleInfo.playerCount} wins ${prizeSplit.net} ETH${fee} to claim.`;
+      }
+    });
+  };
+
+  const claimRewards = () => {
+    requestTransaction({
+      label: 'Claim rewards',
+      makeCall: () => adapter.claims.claim(),
+      describe: () => `${ethers.formatEther(claimable)} ETH is sent to your wallet.`,
+      onSuccess: loadClaimable
+    });
+  };
+
+  const claimRefund = ({ roundId, amount }) => {
+    requestTransaction({
+      label: `Claim refund for round ${roundId}`,
+      makeCall: () => adapter.refunds.claim(roundId),
+      describe: () => `The ${ethers.formatEther(amount)} ETH you paid into round ${roundId} is sent back to your wallet.`,
+      onSuccess: loadRefunds
+    });
+  };
+
+  const runOwnerAction = (operation) => {
+    requestTransaction({
+      label: operation.label,
+      makeCall: operation.makeCall,
+      describe: () => `${operation.outcome} (${operation.transition})`,
+      // activateRaffle emits no event, so owner actions re-read the state
+      onSuccess: reload
+    });
   };
 
   return (
     <div className="App">
       <header className="App-header">
         <h1>🎰 Crypto Raffle dApp</h1>
-        <p className="subtitle">ETH Reward Pool - Sepolia Testnet</p>
+        <p className="subtitle">ETH Reward Pool - {network?.name ?? 'No network configured'}</p>
       </header>
 
       {account ? (
         <div className="account-info">
           <p>Connected: {account.slice(0, 6)}...{account.slice(-4)}</p>
-          <p className="network-badge">🌐 Sepolia Testnet</p>
+          <p className="network-badge">🌐 {getNetwork(chainId)?.name ?? `Chain ${chainId}`}</p>
         </div>
       ) : (
         <button onClick={initializeProvider} className="connect-btn">
@@ -240,23 +455,65 @@ function App() {
         </button>
       )}
 
+      {readOnly && (
+        <div className="read-only-banner">
+          👀 Read-only mode - connect a wallet to take part
+        </div>
+      )}
+
       {networkError && (
         <div className="network-warning">
           <p>⚠️ Wrong Network Detected</p>
-          <button onClick={checkAndSwitchNetwork} className="switch-network-btn">
-            Switch to Sepolia Testnet
-          </button>
+          {SUPPORTED_NETWORKS.map((target) => (
+            <button
+              key={target.chainId}
+              onClick={() => switchNetwork(target)}
+              className="switch-network-btn"
+            >
+              Switch to {target.name}
+            </button>
+          ))}
         </div>
       )}
 
       {message && <div className="message">{message}</div>}
 
+      <TransactionList transactions={transactions} onDismiss={TX_TRACKER.dismiss} />
+
+      {preflight && (
+        <PreflightDialog
+          preflight={preflight}
+          onConfirm={confirmPreflight}
+          onCancel={() => setPreflight(null)}
+        />
+      )}
+
+      {network && backends.length === 0 && (
+        <div className="message">
+          No deployed contract found on {network.name}. Run the deploy script first.
+        </div>
+      )}
+
+      {backends.length > 1 && (
+        <div className="backend-selector">
+          {backends.map(({ adapter: option }) => (
+            <button
+              key={option.id}
+              onClick={() => setBackendId(option.id)}
+              className={`backend-btn ${option.id === adapter.id ? 'selected' : ''}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+
       <div className="raffle-container">
         <div className="raffle-info">
-          <h2>Raffle Information</h2>
+          <h2>{isPool ? `Pool Information - Round ${raffleInfo.roundId ?? ''}` : 'Raffle Information'}</h2>
           <div className="info-grid">
             <div className="info-item">
-              <span className="label">Entry Fee:</span>
+              <span className="label">{isPool ? 'Min Contribution:' : 'Entry Fee:'}</span>
               <span className="value">{raffleInfo.entryFee} ETH</span>
             </div>
             <div className="info-item">
@@ -264,56 +521,227 @@ function App() {
               <span className="value">{raffleInfo.prizePool} ETH</span>
             </div>
             <div className="info-item">
-              <span className="label">Players:</span>
-              <span className="value">{raffleInfo.playerCount}</span>
+              <span className="label">Protocol Fee:</span>
+              <span className="value">{formatBps(roundFeeBps)} ({prizeSplit.fee} ETH)</span>
             </div>
             <div className="info-item">
-              <span className="label">Status:</span>
-              <span className={`value ${raffleInfo.isActive ? 'active' : 'inactive'}`}>
-                {raffleInfo.isActive ? '🟢 Active' : '🔴 Inactive'}
-              </span>
+              <span className="label">Net Prize:</span>
+              <span className="value">{prizeSplit.net} ETH</span>
             </div>
+            <div className="info-item">
+              <span className="label">Players:</span>
+              <span className="value">{raffleInfo.playerCount}</span>
+            </div>
+            {account && (
+              <div className="info-item">
+                <span className="label">Your Chance:</span>
+                <span className="value">{formatChance(myWeight, roundWeight)}</span>
+              </div>
+            )}
+            {isPool ? (
+              <div className="info-item">
+                <span className="label">Time Left:</span>
+                <span className={`value ${joinClosed ? 'inactive' : 'active'}`}>
+                  {secondsLeft === null
+                    ? '-'
+                    : joinClosed
+                      ? '⏰ Round ended'
+                      : roundExpired ? '⏳ Restarts with the next join' : formatCountdown(secondsLeft)}
+                </span>
+              </div>
+            ) : (
+              <div className="info-item">
+                <span className="label">Status:</span>
+                <span className={`value ${raffleInfo.isActive ? 'active' : 'inactive'}`}>
+                  {raffleInfo.isActive ? '🟢 Active' : '🔴 Inactive'}
+                </span>
+              </div>
+            )}
           </div>
 
+          {pendingFeeChange && (
+            <p className="fee-notice">
+              📢 The fee changes to {formatBps(pendingFeeChange.feeBps)} on{' '}
+              {new Date(pendingFeeChange.time * 1000).toLocaleString()}, for rounds first entered after that.
+            </p>
+          )}
+
           {raffleInfo.lastWinner !== ethers.ZeroAddress && (
             <div className="last-winner">
               <h3>Last Winner</h3>
               <p>{raffleInfo.lastWinner}</p>
-              <p className="win-amount">{raffleInfo.lastWinAmount} ETH</p>
+              {raffleInfo.lastWinAmount !== null && (
+                <p className="win-amount">{raffleInfo.lastWinAmount} ETH</p>
+              )}
             </div>
           )}
         </div>
 
-        <div className="actions">
-          <button
-            onClick={enterRaffle}
-            disabled={loading || !raffleInfo.isActive || !account}
-            className="action-btn enter-btn"
-          >
-            {loading ? 'Processing...' : `Enter Raffle (${raffleInfo.entryFee} ETH)`}
-          </button>
-
-          <button
-            onClick={pickWinner}
-            disabled={loading || raffleInfo.playerCount === 0 || !account}
-            className="action-btn winner-btn"
-          >
-            {loading ? 'Processing...' : 'Pick Winner (Owner Only)'}
-          </button>
-        </div>
+        {isPool ? (
+          <div className="actions">
+            <input
+              type="number"
+              min={raffleInfo.entryFee}
+              step="any"
+              placeholder="Amount in ETH"
+              value={contribution}
+              onChange={(e) => setContribution(e.target.value)}
+              disabled={loading || joinClosed || !account}
+              className="amount-input"
+            />
+
+            <button
+              onClick={enterRaffle}
+              disabled={loading || joinClosed || !account || !(Number(contribution) > 0)}
+              className="action-btn enter-btn"
+            >
+              {loading ? 'Confirm in wallet...' : 'Join Pool'}
+            </button>
+
+            <button
+              onClick={pickWinner}
+              disabled={loading || !roundExpired || raffleInfo.playerCount === 0 || !account}
+              className="action-btn winner-btn"
+            >
+              {loading ? 'Confirm in wallet...' : 'Distribute Reward'}
+            </button>
+          </div>
+        ) : (
+          <div className="actions">
+            {adapter && (
+              <label className="ticket-selector">
+                Tickets
+                <input
+                  type="number"
+                  min="1"
+                  max={raffleInfo.maxTicketsPerEntry}
+                  step="1"
+                  value={tickets}
+                  onChange={(e) => setTickets(e.target.value)}
+                  disabled={loading || !raffleInfo.isActive || !account || isOwner}
+                  className="amount-input"
+                />
+              </label>
+            )}
+
+            <button
+              onClick={enterRaffle}
+              disabled={loading || !raffleInfo.isActive || !account || isOwner || !validTickets}
+              title={isOwner ? 'The owner cannot enter the raffle' : undefined}
+              className="action-btn enter-btn"
+            >
+              {loading
+                ? 'Confirm in wallet...'
+                : validTickets
+                  ? `Enter Raffle with ${adapter.formatWeight(BigInt(ticketCount))} ` +
+                    `(${ethers.formatEther(ethers.parseEther(raffleInfo.entryFee) * BigInt(ticketCount))} ETH)`
+                  : adapter
+                    ? `Enter Raffle (1 to ${raffleInfo.maxTicketsPerEntry} tickets)`
+                    : 'Enter Raffle'}
+            </button>
+          </div>
+        )}
+
+        {claimable > 0n && (
+          <div className="claim-banner">
+            <span>🎁 You have {ethers.formatEther(claimable)} ETH to claim</span>
+            <button onClick={claimRewards} disabled={loading} className="action-btn winner-btn">
+              {loading ? 'Confirm in wallet...' : 'Claim'}
+            </button>
+          </div>
+        )}
+
+        {refunds.map((refund) => (
+          <div key={String(refund.roundId)} className="claim-banner refund-banner">
+            <span>
+              ⚠️ Round {String(refund.roundId)} was cancelled — claim your refund of{' '}
+              {ethers.formatEther(refund.amount)} ETH
+            </span>
+            <button onClick={() => claimRefund(refund)} disabled={loading} className="action-btn enter-btn">
+              {loading ? 'Confirm in wallet...' : 'Claim Refund'}
+            </button>
+          </div>
+        ))}
+
+        {adapter?.admin && !isOwner && raffleInfo.owner && (
+          <p className="owner-note">
+            🔒 Winners are picked by the raffle owner ({raffleInfo.owner.slice(0, 6)}...{raffleInfo.owner.slice(-4)}),
+            who also opens and closes rounds.
+          </p>
+        )}
+
+        {adapter?.admin && isOwner && (
+          <AdminPanel
+            key={`${network.chainId}-${backend.address}`}
+            adapter={adapter}
+            raffleInfo={raffleInfo}
+            feeBps={roundFeeBps}
+            disabled={loading}
+            onAction={runOwnerAction}
+          />
+        )}
+
+        {adapter?.roundAdmin && isOwner && (
+          <RoundPanel
+            key={`${network.chainId}-${backend.address}`}
+            adapter={adapter}
+            raffleInfo={raffleInfo}
+            disabled={loading}
+            onAction={runOwnerAction}
+          />
+        )}
+
+        {adapter?.feeAdmin && isOwner && (
+          <FeePanel
+            key={`${network.chainId}-${backend.address}`}
+            adapter={adapter}
+            raffleInfo={raffleInfo}
+            feeBps={feeBps}
+            pendingChange={pendingFeeChange}
+            disabled={loading}
+            onAction={runOwnerAction}
+          />
+        )}
 
         {players.length > 0 && (
           <div className="players-list">
             <h3>Current Players ({players.length})</h3>
             <ul>
-              {players.map((player, index) => (
-                <li key={index}>
-                  {player.slice(0, 6)}...{player.slice(-4)}
+              {players.map((player) => (
+                <li
+                  key={player.address}
+                  className={account && player.address.toLowerCase() === account.toLowerCase() ? 'me' : ''}
+                >
+                  <span>{player.address.slice(0, 6)}...{player.address.slice(-4)}</span>
+                  {adapter && (
+                    <span className="player-odds">
+                      {adapter.formatWeight(player.weight)} · {formatChance(player.weight, roundWeight)}
+                    </span>
+                  )}
                 </li>
               ))}
             </ul>
           </div>
         )}
+
+        {contract && account && (
+          <PlayerDashboard
+            key={`${network.chainId}-${backend.address}-${account}`}
+            contract={contract}
+            adapter={adapter}
+            account={account}
+            fromBlock={backend.deployBlock}
+          />
+        )}
+
+        {contract && (
+          <RoundHistory
+            key={`${network.chainId}-${backend.address}`}
+            contract={contract}
+            adapter={adapter}
+            fromBlock={backend.deployBlock}
+          />
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,42 @@
+import { raffleAdapter } from './raffleAdapter';
+import { raffleVRFAdapter } from './raffleVRFAdapter';
+import { poolAdapter } from './poolAdapter';
+
+// Each adapter describes one contract to the UI. Write operations (enter,
+// settle, admin.*, roundAdmin.*, feeAdmin.*, claims.claim, refunds.claim)
+// return { method, args, value } call descriptors, which lib/preflight
+// simulates before anything is sent to the wallet.
+export const ADAPTERS = {
+  [raffleAdapter.id]: raffleAdapter,
+  [raffleVRFAdapter.id]: raffleVRFAdapter,
+  [poolAdapter.id]: poolAdapter
+};
+
+/**
+ * Backends deployed on the given network, in the order they should be offered.
+ * VITE_CONTRACT_BACKEND ("raffle", "vrf" or "pool") pins the app to a single one.
+ */
+export function getAvailableBackends(network) {
+  if (!network) return [];
+
+  const toBackend = (adapter) => {
+    const deployment = network.contracts[adapter.contractName];
+    return deployment && {
+      adapter,
+      address: deployment.address,
+      deployBlock: deployment.blockNumber ?? 0
+    };
+  };
+
+  const configured = import.meta.env.VITE_CONTRACT_BACKEND;
+  if (configured) {
+    const adapter = ADAPTERS[configured];
+    if (!adapter) {
+      throw new Error(`Unknown VITE_CONTRACT_BACKEND "${configured}"`);
+    }
+    const backend = toBackend(adapter);
+    return backend ? [backend] : [];
+  }
+
+  return Object.values(ADAPTERS).map(toBackend).filter(Boolean);
+}
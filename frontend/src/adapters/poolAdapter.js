@@ -0,0 +1,192 @@
+import { ethers } from 'ethers';
+import { MulticallReader, parseFeeConfig } from '../../../sdk';
+import EthRewardPoolABI from '../contracts/EthRewardPool.json';
+import { addWeight } from '../lib/odds';
+import { FEE_EVENTS, applyFeeEvent, feeFields, lockRoundFee } from '../lib/fees';
+import { REFUND_EVENTS, loadRefunds } from '../lib/refunds';
+
+// Direct calls, still coalesced, for callers without a shared reader
+const readerFor = (contract) => new MulticallReader(contract.runner.provider ?? contract.runner);
+
+// Timed reward pool: anyone can join with any amount above the minimum while
+// the round is open, and anyone can distribute the reward once it expires.
+export const poolAdapter = {
+  id: 'pool',
+  contractName: 'EthRewardPool',
+  label: 'ETH Reward Pool',
+  abi: EthRewardPoolABI.abi,
+  events: {
+    entered: 'ParticipantJoined',
+    settled: 'RewardDistributed',
+    cancelled: 'RoundCancelled',
+    refunded: 'RefundClaimed',
+    all: ['ParticipantJoined', 'RewardDistributed', 'NewRoundStarted', ...FEE_EVENTS, ...REFUND_EVENTS]
+  },
+
+  // Every read goes through the reader, so with Multicall3 this is two
+  // eth_calls: the round state, then the previous round's recipient
+  async loadInfo(contract, { blockTag = 'latest', reader = readerFor(contract) } = {}) {
+    const read = (method, args) => reader.read(contract, method, args, { blockTag });
+    const [
+      owner, roundId, roundStart, roundDuration, minContribution, balance, participants, feeConfig, minPlayers, timestamp
+    ] = await Promise.all([
+      read('owner'),
+      read('roundId'),
+      read('roundStart'),
+      read('ROUND_DURATION'),
+      read('MIN_CONTRIBUTION'),
+      read('getPoolBalance'),
+      read('getParticipants'),
+      read('getFeeConfig'),
+      read('minPlayers'),
+      reader.getBlockTimestamp({ blockTag })
+    ]);
+    const lastWinner = roundId > 1n
+      ? await read('getRewardRecipient', [roundId - 1n])
+      : ethers.ZeroAddress;
+    const roundEndsAt = Number(roundStart + roundDuration);
+
+    return {
+      owner,
+      entryFee: ethers.formatEther(minContribution),
+      playerCount: participants.length,
+      prizePool: ethers.formatEther(balance),
+      isActive: timestamp < roundEndsAt,
+      lastWinner,
+      // The pool does not store payout amounts, only the recipient
+      lastWinAmount: null,
+      roundId: Number(roundId),
+      minPlayers: Number(minPlayers),
+      roundDuration: Number(roundDuration),
+      roundEndsAt,
+      // Chain time can drift from the local clock (e.g. evm_increaseTime)
+      clockOffset: timestamp - Math.floor(Date.now() / 1000),
+      ...feeFields(parseFeeConfig(feeConfig))
+    };
+  },
+
+  settledRoundId(log) {
+    return Number(log.args.roundId);
+  },
+
+  // Participants weighted by the wei they contributed
+  async loadPlayers(contract, { blockTag = 'latest', reader = readerFor(contract) } = {}) {
+    const [participants, contributions] = await Promise.all([
+      reader.read(contract, 'getParticipants', [], { blockTag }),
+      reader.read(contract, 'getContributions', [], { blockTag })
+    ]);
+    return participants.map((address, i) => ({ address, weight: contributions[i] }));
+  },
+
+  // Fold one streamed event into { info, players }
+  applyEvent({ info, players }, event) {
+    switch (event.name) {
+      case 'ParticipantJoined': {
+        // Joining again adds to the contribution
+        const joined = addWeight(players, event.args.participant, event.args.amount);
+        return {
+          info: {
+            ...lockRoundFee(info, players),
+            playerCount: joined.length,
+            prizePool: ethers.formatEther(ethers.parseEther(info.prizePool) + event.args.amount)
+          },
+          players: joined
+        };
+      }
+      // The recipient can claim the pool minus the fee, which FeeAccrued reports
+      case 'RewardDistributed':
+        return {
+          info: {
+            ...info,
+            playerCount: 0,
+            prizePool: ethers.formatEther(0n),
+            lastWinner: event.args.recipient
+          },
+          players: []
+        };
+      // NewRoundStarted follows with the next round
+      case 'RoundCancelled':
+        return {
+          info: { ...info, playerCount: 0, prizePool: ethers.formatEther(0n) },
+          players: []
+        };
+      case 'MinPlayersChanged':
+        return { info: { ...info, minPlayers: Number(event.args.minPlayers) }, players };
+      case 'NewRoundStarted':
+        return {
+          info: {
+            ...info,
+            roundId: Number(event.args.roundId),
+            roundEndsAt: event.timestamp + info.roundDuration,
+            isActive: true
+          },
+          players
+        };
+      default:
+        return { info: applyFeeEvent(info, event), players };
+    }
+  },
+
+  enter({ amount }) {
+    return { method: 'joinPool', args: [], value: ethers.parseEther(amount) };
+  },
+
+  entryWeight(call) {
+    return call.value;
+  },
+
+  formatWeight(weight) {
+    return `${ethers.formatEther(weight)} ETH`;
+  },
+
+  settle() {
+    return { method: 'distributeReward', args: [] };
+  },
+
+  // Rewards wait in the pool until the winner claims them
+  claims: {
+    load(contract, account, { reader = readerFor(contract) } = {}) {
+      return reader.read(contract, 'claimable', [account]);
+    },
+
+    claim() {
+      return { method: 'claim', args: [] };
+    }
+  },
+
+  refunds: {
+    load: loadRefunds,
+
+    claim(roundId) {
+      return { method: 'claimRefund', args: [roundId] };
+    }
+  },
+
+  // The pool runs on its own clock, the owner can only call a round off and
+  // operate the fee
+  admin: null,
+
+  roundAdmin: {
+    cancel() {
+      return { method: 'cancelRound', args: [] };
+    },
+
+    setMinPlayers({ minPlayers }) {
+      return { method: 'setMinPlayers', args: [minPlayers] };
+    }
+  },
+
+  feeAdmin: {
+    withdraw() {
+      return { method: 'withdrawFees', args: [] };
+    },
+
+    scheduleChange({ feeBps }) {
+      return { method: 'scheduleFeeChange', args: [feeBps] };
+    },
+
+    cancelChange() {
+      return { method: 'cancelFeeChange', args: [] };
+    }
+  }
+};
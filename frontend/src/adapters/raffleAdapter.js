@@ -0,0 +1,192 @@
+import { ethers } from 'ethers';
+import { RaffleClient } from '../../../sdk';
+import { addWeight } from '../lib/odds';
+import { FEE_EVENTS, applyFeeEvent, feeFields, lockRoundFee } from '../lib/fees';
+import { REFUND_EVENTS, loadRefunds } from '../lib/refunds';
+
+const { calls } = RaffleClient;
+
+// Fixed entry fee raffle: the owner picks a winner whenever they like.
+// Contract access goes through the shared RaffleClient SDK.
+export const raffleAdapter = {
+  id: 'raffle',
+  contractName: 'Raffle',
+  label: 'Raffle',
+  abi: RaffleClient.abi,
+  events: {
+    entered: 'PlayerEntered',
+    settled: 'WinnerPicked',
+    cancelled: 'RoundCancelled',
+    refunded: 'RefundClaimed',
+    all: ['PlayerEntered', 'WinnerPicked', 'RaffleStarted', 'RaffleClosed', ...FEE_EVENTS, ...REFUND_EVENTS]
+  },
+
+  // With a MulticallReader both loads go out as a single eth_call
+  async loadInfo(contract, { blockTag, reader } = {}) {
+    const client = new RaffleClient(contract.target, contract.runner, { reader });
+    const [info, owner, feeConfig, roundId, minPlayers, maxTicketsPerEntry] = await Promise.all([
+      client.getInfo({ blockTag }),
+      client.getOwner({ blockTag }),
+      client.getFeeConfig({ blockTag }),
+      client.getRoundId({ blockTag }),
+      client.getMinPlayers({ blockTag }),
+      client.getMaxTicketsPerEntry({ blockTag })
+    ]);
+    return {
+      owner,
+      entryFee: ethers.formatEther(info.entryFee),
+      playerCount: info.playerCount,
+      prizePool: ethers.formatEther(info.prizePool),
+      isActive: info.isActive,
+      lastWinner: info.lastWinner,
+      lastWinAmount: ethers.formatEther(info.lastWinAmount),
+      roundId: Number(roundId),
+      minPlayers: Number(minPlayers),
+      maxTicketsPerEntry: Number(maxTicketsPerEntry),
+      roundEndsAt: null,
+      clockOffset: 0,
+      ...feeFields(feeConfig)
+    };
+  },
+
+  // WinnerPicked carries no round number, rounds are counted from deployment
+  // with the cancelled ones included
+  settledRoundId() {
+    return null;
+  },
+
+  // Players weighted by their tickets
+  async loadPlayers(contract, { blockTag, reader } = {}) {
+    const client = new RaffleClient(contract.target, contract.runner, { reader });
+    const [players, tickets] = await Promise.all([
+      client.getPlayers({ blockTag }),
+      client.getTicketCounts({ blockTag })
+    ]);
+    return players.map((address, i) => ({ address, weight: tickets[i] }));
+  },
+
+  // Fold one streamed event into { info, players }. activateRaffle emits no
+  // event, so reopening is only picked up by a full reload.
+  applyEvent({ info, players }, event) {
+    switch (event.name) {
+      case 'PlayerEntered': {
+        const entered = addWeight(players, event.args.player, event.args.tickets);
+        return {
+          info: {
+            ...lockRoundFee(info, players),
+            playerCount: entered.length,
+            prizePool: ethers.formatEther(ethers.parseEther(info.prizePool) + event.args.amount)
+          },
+          players: entered
+        };
+      }
+      // The winner is paid the pool minus the fee, which FeeAccrued reports
+      case 'WinnerPicked':
+        return {
+          info: {
+            ...info,
+            playerCount: 0,
+            prizePool: ethers.formatEther(0n),
+            lastWinner: event.args.winner,
+            lastWinAmount: ethers.formatEther(event.args.amount),
+            roundId: info.roundId + 1
+          },
+          players: []
+        };
+      // The round's pot is set aside for refunds and the next round starts empty
+      case 'RoundCancelled':
+        return {
+          info: { ...info, playerCount: 0, prizePool: ethers.formatEther(0n), roundId: info.roundId + 1 },
+          players: []
+        };
+      case 'MinPlayersChanged':
+        return { info: { ...info, minPlayers: Number(event.args.minPlayers) }, players };
+      case 'RaffleStarted':
+        return {
+          info: { ...info, entryFee: ethers.formatEther(event.args.entryFee), isActive: true },
+          players
+        };
+      case 'RaffleClosed':
+        return { info: { ...info, isActive: false }, players };
+      default:
+        return { info: applyFeeEvent(info, event), players };
+    }
+  },
+
+  enter({ entryFee, tickets }) {
+    return calls.buyTickets(tickets, ethers.parseEther(entryFee) * BigInt(tickets));
+  },
+
+  // What an enter() call adds to the player's odds
+  entryWeight(call) {
+    return BigInt(call.args[0]);
+  },
+
+  formatWeight(weight) {
+    return `${weight} ticket${weight === 1n ? '' : 's'}`;
+  },
+
+  settle() {
+    return calls.pickWinner();
+  },
+
+  // Prizes wait in the raffle until the winner claims them
+  claims: {
+    load(contract, account, { reader } = {}) {
+      return new RaffleClient(contract.target, contract.runner, { reader }).getClaimable(account);
+    },
+
+    claim() {
+      return calls.claim();
+    }
+  },
+
+  refunds: {
+    load: loadRefunds,
+
+    claim(roundId) {
+      return calls.claimRefund(roundId);
+    }
+  },
+
+  // Owner-only operations offered by the admin console, settle included
+  admin: {
+    close() {
+      return calls.closeRaffle();
+    },
+
+    activate() {
+      return calls.activateRaffle();
+    },
+
+    startNew({ entryFee }) {
+      return calls.startNewRaffle(ethers.parseEther(entryFee));
+    }
+  },
+
+  // Owner-only round operations, offered by the round console
+  roundAdmin: {
+    cancel() {
+      return calls.cancelRound();
+    },
+
+    setMinPlayers({ minPlayers }) {
+      return calls.setMinPlayers(minPlayers);
+    }
+  },
+
+  // Owner-only fee operations, offered by the fee console
+  feeAdmin: {
+    withdraw() {
+      return calls.withdrawFees();
+    },
+
+    scheduleChange({ feeBps }) {
+      return calls.scheduleFeeChange(feeBps);
+    },
+
+    cancelChange() {
+      return calls.cancelFeeChange();
+    }
+  }
+};
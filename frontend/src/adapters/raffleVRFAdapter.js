@@ -0,0 +1,81 @@
+import { ethers } from 'ethers';
+import { RaffleVRFClient } from '../../../sdk';
+import { addWeight } from '../lib/odds';
+import { feeFields } from '../lib/fees';
+import { raffleAdapter } from './raffleAdapter';
+
+const { calls } = RaffleVRFClient;
+
+// Timed raffle drawn by Chainlink VRF: pickWinner only requests randomness and
+// the winner is credited when the coordinator answers. Entries are single
+// tickets, otherwise it is played, settled, refunded and administered like the
+// Raffle, whose call descriptors it shares.
+export const raffleVRFAdapter = {
+  ...raffleAdapter,
+  id: 'vrf',
+  contractName: 'RaffleVRF',
+  label: 'VRF Raffle',
+  abi: RaffleVRFClient.abi,
+
+  async loadInfo(contract, { blockTag, reader } = {}) {
+    const client = new RaffleVRFClient(contract.target, contract.runner, { reader });
+    const [info, owner, feeConfig, minPlayers] = await Promise.all([
+      client.getInfo({ blockTag }),
+      client.getOwner({ blockTag }),
+      client.getFeeConfig({ blockTag }),
+      client.getMinPlayers({ blockTag })
+    ]);
+    return {
+      owner,
+      entryFee: ethers.formatEther(info.entryFee),
+      playerCount: info.playerCount,
+      prizePool: ethers.formatEther(info.prizePool),
+      isActive: info.isActive,
+      lastWinner: info.lastWinner,
+      lastWinAmount: ethers.formatEther(info.lastWinAmount),
+      roundId: info.roundNumber,
+      minPlayers: Number(minPlayers),
+      maxTicketsPerEntry: 1,
+      roundEndsAt: null,
+      clockOffset: 0,
+      ...feeFields(feeConfig)
+    };
+  },
+
+  // getPlayers() lists every entry, a player who entered twice holds two tickets
+  async loadPlayers(contract, { blockTag, reader } = {}) {
+    const client = new RaffleVRFClient(contract.target, contract.runner, { reader });
+    const entries = await client.getPlayers({ blockTag });
+    return entries.reduce((players, address) => addWeight(players, address, 1n), []);
+  },
+
+  // PlayerEntered carries no ticket count, every entry is one ticket
+  applyEvent(state, event) {
+    if (event.name !== 'PlayerEntered') {
+      return raffleAdapter.applyEvent(state, event);
+    }
+    return raffleAdapter.applyEvent(state, {
+      ...event,
+      args: { player: event.args.player, amount: event.args.amount, tickets: 1n }
+    });
+  },
+
+  enter({ entryFee }) {
+    return calls.enter(ethers.parseEther(entryFee));
+  },
+
+  entryWeight() {
+    return 1n;
+  },
+
+  // Prizes wait in the raffle until the winner claims them
+  claims: {
+    load(contract, account, { reader } = {}) {
+      return new RaffleVRFClient(contract.target, contract.runner, { reader }).getClaimable(account);
+    },
+
+    claim() {
+      return calls.claim();
+    }
+  }
+};
@@ -0,0 +1,107 @@
+import { useState } from 'react';
+import { ethers } from 'ethers';
+import { splitPrize } from '../lib/fees';
+
+const ACTIVE = '🟢 Active';
+const CLOSED = '🔴 Closed';
+
+const isValidFee = (value) => {
+  try {
+    ethers.parseEther(value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+// Actions are confirmed in the preflight dialog, which also simulates them
+function AdminPanel({ adapter, raffleInfo, feeBps, disabled, onAction }) {
+  const [newFee, setNewFee] = useState(raffleInfo.entryFee);
+  const { isActive, playerCount, entryFee } = raffleInfo;
+  const state = isActive ? ACTIVE : CLOSED;
+
+  // Each owner operation with the state it moves the raffle to and, when the
+  // contract would reject it right now, the reason it is unavailable
+  const operations = [
+    {
+      id: 'pick',
+      label: 'Pick Winner',
+      transition: `${ACTIVE}, ${playerCount} players → ${ACTIVE}, 0 players`,
+      blockedBy: !isActive
+        ? 'The raffle is closed'
+        : playerCount === 0 ? 'No players in the raffle' : null,
+      outcome: playerCount < raffleInfo.minPlayers
+        ? `Fewer than ${raffleInfo.minPlayers} players entered, so the round is cancelled and refunded instead.`
+        : `A random player out of ${playerCount} wins ${splitPrize(raffleInfo.prizePool, feeBps).net} ETH to claim.`,
+      makeCall: () => adapter.settle()
+    },
+    {
+      id: 'close',
+      label: 'Close Raffle',
+      transition: `${state} → ${CLOSED}`,
+      blockedBy: isActive ? null : 'The raffle is already closed',
+      outcome: 'Players cannot enter until the raffle is activated again.',
+      makeCall: () => adapter.admin.close()
+    },
+    {
+      id: 'activate',
+      label: 'Activate Raffle',
+      transition: `${state} → ${ACTIVE}`,
+      blockedBy: isActive ? 'The raffle is already active' : null,
+      outcome: `Players can enter again at ${entryFee} ETH.`,
+      makeCall: () => adapter.admin.activate()
+    },
+    {
+      id: 'start',
+      label: 'Start New Raffle',
+      transition: `${state}, ${entryFee} ETH → ${ACTIVE}, ${newFee || '?'} ETH`,
+      blockedBy: playerCount > 0
+        ? 'The current round must be completed first'
+        : !isValidFee(newFee) ? 'Enter a valid entry fee' : null,
+      outcome: `A new round opens with an entry fee of ${newFee} ETH.`,
+      makeCall: () => adapter.admin.startNew({ entryFee: newFee })
+    }
+  ];
+
+  return (
+    <div className="admin-panel">
+      <h3>🛠️ Owner Console</h3>
+      <p className="admin-state">
+        Current state: <strong>{state}</strong> · {playerCount} players · {entryFee} ETH entry fee
+      </p>
+
+      <label className="admin-fee">
+        New entry fee (ETH)
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={newFee}
+          onChange={(e) => setNewFee(e.target.value)}
+          disabled={disabled}
+          className="amount-input"
+        />
+      </label>
+
+      <ul>
+        {operations.map((operation) => (
+          <li key={operation.id}>
+            <div>
+              <span className="admin-transition">{operation.transition}</span>
+              {operation.blockedBy && <span className="admin-blocked">{operation.blockedBy}</span>}
+            </div>
+            <button
+              onClick={() => onAction(operation)}
+              disabled={disabled || operation.blockedBy !== null}
+              className="history-btn"
+            >
+              {operation.label}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default AdminPanel;
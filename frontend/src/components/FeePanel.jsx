@@ -0,0 +1,97 @@
+import { useState } from 'react';
+import { MAX_FEE_BPS, formatBps } from '../lib/fees';
+
+const shorten = (value) => `${value.slice(0, 6)}...${value.slice(-4)}`;
+
+// Percent typed by the owner, in basis points, or null when out of range
+const toBps = (percent) => {
+  if (percent.trim() === '' || !Number.isFinite(Number(percent))) return null;
+  const bps = Math.round(Number(percent) * 100);
+  return bps >= 0 && bps <= MAX_FEE_BPS ? bps : null;
+};
+
+// The owner's fee operations, confirmed in the preflight dialog like the
+// rest of the console. `feeBps` is the fee a round opened now is charged and
+// `pendingChange` a scheduled change that has not taken effect yet.
+function FeePanel({ adapter, raffleInfo, feeBps, pendingChange, disabled, onAction }) {
+  const [newFee, setNewFee] = useState(String(feeBps / 100));
+  const { accruedFees, treasury } = raffleInfo;
+  const newFeeBps = toBps(newFee);
+  const hasFees = Number(accruedFees) > 0;
+  const changeDate = pendingChange && new Date(pendingChange.time * 1000).toLocaleString();
+
+  const operations = [
+    {
+      id: 'withdraw',
+      label: 'Withdraw Fees',
+      transition: `${accruedFees} ETH accrued → 0 ETH`,
+      blockedBy: hasFees ? null : 'No fees to withdraw',
+      outcome: `${accruedFees} ETH is sent to the treasury ${shorten(treasury)}.`,
+      makeCall: () => adapter.feeAdmin.withdraw()
+    },
+    {
+      id: 'schedule',
+      label: 'Schedule Fee Change',
+      transition: `${formatBps(feeBps)} → ${newFeeBps === null ? '?' : formatBps(newFeeBps)} in 2 days`,
+      blockedBy: newFeeBps === null ? `Enter a fee between 0% and ${formatBps(MAX_FEE_BPS)}` : null,
+      outcome: `Payouts are charged ${newFeeBps === null ? '?' : formatBps(newFeeBps)} once the 2 day notice ` +
+        'has passed. Players see the upcoming change until then' +
+        (pendingChange ? ', and it replaces the change already scheduled.' : '.'),
+      makeCall: () => adapter.feeAdmin.scheduleChange({ feeBps: newFeeBps })
+    },
+    {
+      id: 'cancel',
+      label: 'Cancel Fee Change',
+      transition: pendingChange
+        ? `${formatBps(pendingChange.feeBps)} on ${changeDate} → no change`
+        : 'No change scheduled',
+      blockedBy: pendingChange ? null : 'No fee change scheduled',
+      outcome: `The fee stays at ${formatBps(feeBps)}.`,
+      makeCall: () => adapter.feeAdmin.cancelChange()
+    }
+  ];
+
+  return (
+    <div className="admin-panel">
+      <h3>💰 Protocol Fees</h3>
+      <p className="admin-state">
+        Fee: <strong>{formatBps(feeBps)}</strong> · Accrued: <strong>{accruedFees} ETH</strong> ·
+        Treasury: <span title={treasury}>{shorten(treasury)}</span>
+      </p>
+
+      <label className="admin-fee">
+        New fee (%)
+        <input
+          type="number"
+          min="0"
+          max={MAX_FEE_BPS / 100}
+          step="0.01"
+          value={newFee}
+          onChange={(e) => setNewFee(e.target.value)}
+          disabled={disabled}
+          className="amount-input"
+        />
+      </label>
+
+      <ul>
+        {operations.map((operation) => (
+          <li key={operation.id}>
+            <div>
+              <span className="admin-transition">{operation.transition}</span>
+              {operation.blockedBy && <span className="admin-blocked">{operation.blockedBy}</span>}
+            </div>
+            <button
+              onClick={() => onAction(operation)}
+              disabled={disabled || operation.blockedBy !== null}
+              className="history-btn"
+            >
+              {operation.label}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default FeePanel;
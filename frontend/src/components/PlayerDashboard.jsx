@@ -0,0 +1,112 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { HISTORY_SOURCE } from '../lib/roundHistory';
+import { fetchPlayerLogs, summarizePlayer } from '../lib/playerStats';
+
+const formatNet = (wei) => `${wei > 0n ? '+' : ''}${ethers.formatEther(wei)} ETH`;
+
+function PlayerDashboard({ contract, adapter, account, fromBlock }) {
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchSummary = useCallback(() => {
+    return fetchPlayerLogs(contract, adapter, account, { fromBlock })
+      .then((logs) => {
+        setSummary(summarizePlayer(adapter, account, logs));
+        setError('');
+      })
+      .catch((err) => {
+        console.error('Error loading player stats:', err);
+        setError(`Could not load your rounds from ${HISTORY_SOURCE}`);
+      })
+      .finally(() => setLoading(false));
+  }, [contract, adapter, account, fromBlock]);
+
+  useEffect(() => {
+    fetchSummary();
+  }, [fetchSummary]);
+
+  const refresh = () => {
+    setLoading(true);
+    fetchSummary();
+  };
+
+  return (
+    <div className="player-dashboard">
+      <div className="round-history-header">
+        <h3>My Rounds</h3>
+        <button onClick={refresh} disabled={loading} className="history-btn">
+          {loading ? 'Loading...' : 'Refresh'}
+        </button>
+      </div>
+
+      {error && <p className="history-error">{error}</p>}
+
+      {summary && (
+        <>
+          <div className="info-grid">
+            <div className="info-item">
+              <span className="label">Rounds Entered:</span>
+              <span className="value">{summary.roundsEntered}</span>
+            </div>
+            <div className="info-item">
+              <span className="label">Spent:</span>
+              <span className="value">{ethers.formatEther(summary.spent)} ETH</span>
+            </div>
+            <div className="info-item">
+              <span className="label">Won:</span>
+              <span className="value">
+                {ethers.formatEther(summary.won)} ETH ({summary.wins})
+              </span>
+            </div>
+            <div className="info-item">
+              <span className="label">Refunded:</span>
+              <span className="value">{ethers.formatEther(summary.refunded)} ETH</span>
+            </div>
+            <div className="info-item">
+              <span className="label">Net P&amp;L:</span>
+              <span className={`value ${summary.net < 0n ? 'inactive' : 'active'}`}>
+                {formatNet(summary.net)}
+              </span>
+            </div>
+          </div>
+
+          {summary.rows.length === 0 ? (
+            <p className="history-empty">You have not entered any rounds yet</p>
+          ) : (
+            <table className="player-rounds">
+              <thead>
+                <tr>
+                  <th>Round</th>
+                  <th>Entries</th>
+                  <th>Spent</th>
+                  <th>Won</th>
+                  <th>Refunded</th>
+                  <th>Running Net</th>
+                </tr>
+              </thead>
+              <tbody>
+                {summary.rows.map((row, index) => (
+                  <tr
+                    key={index}
+                    className={`${row.isCurrent ? 'current' : ''} ${row.isWinner ? 'won' : ''}`}
+                  >
+                    <td>{row.isCurrent ? '▶ Current' : row.roundId ?? '—'}</td>
+                    <td>{row.entries}</td>
+                    <td>{ethers.formatEther(row.spent)} ETH</td>
+                    <td>{row.isWinner ? `🏆 ${ethers.formatEther(row.won)} ETH` : row.cancelled ? 'Cancelled' : '-'}</td>
+                    <td>{row.refunded > 0n ? `${ethers.formatEther(row.refunded)} ETH` : '-'}</td>
+                    <td>{formatNet(row.net)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PlayerDashboard;
@@ -0,0 +1,57 @@
+import { ethers } from 'ethers';
+
+const formatEth = (wei) => `${ethers.formatEther(wei)} ETH`;
+
+function PreflightDialog({ preflight, onConfirm, onCancel }) {
+  const { label, outcome, result } = preflight;
+
+  return (
+    <div className="preflight-backdrop">
+      <div className="preflight-dialog" role="dialog" aria-label={label}>
+        <h3>{label}</h3>
+        <p className="preflight-outcome">{outcome}</p>
+
+        {!result && <p className="preflight-status">Simulating transaction...</p>}
+
+        {result && !result.ok && (
+          <div className="preflight-blocked">
+            <p>⛔ This transaction would fail: {result.error.message}</p>
+            <p className="tx-hint">{result.error.hint}</p>
+          </div>
+        )}
+
+        {result?.ok && (
+          <div className="info-grid">
+            <div className="info-item">
+              <span className="label">Amount:</span>
+              <span className="value">{formatEth(result.value)}</span>
+            </div>
+            <div className="info-item">
+              <span className="label">Est. Gas:</span>
+              <span className="value" title={`${result.gasLimit} gas at ${ethers.formatUnits(result.gasPrice, 'gwei')} gwei`}>
+                {formatEth(result.gasCost)}
+              </span>
+            </div>
+            <div className="info-item">
+              <span className="label">Total:</span>
+              <span className="value">{formatEth(result.total)}</span>
+            </div>
+          </div>
+        )}
+
+        <div className="actions">
+          {result?.ok && (
+            <button onClick={onConfirm} className="action-btn enter-btn">
+              Confirm in wallet
+            </button>
+          )}
+          <button onClick={onCancel} className="history-btn">
+            {result?.ok ? 'Cancel' : 'Close'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default PreflightDialog;
@@ -0,0 +1,131 @@
+import { useState, useEffect, useCallback } from 'react';
+import { ethers } from 'ethers';
+import { HISTORY_PAGE_BLOCKS, HISTORY_SOURCE, fetchHistoryPage, buildRounds } from '../lib/roundHistory';
+
+const shorten = (value) => `${value.slice(0, 6)}...${value.slice(-4)}`;
+
+// A player can enter a round more than once, count each of them once
+const playerCount = (entrants) => new Set(entrants.map(({ player }) => player.toLowerCase())).size;
+
+function RoundHistory({ contract, adapter, fromBlock }) {
+  const [settlements, setSettlements] = useState([]);
+  const [cancellations, setCancellations] = useState([]);
+  const [entries, setEntries] = useState([]);
+  // Next block to scan backwards from, null until the chain head is known
+  const [nextToBlock, setNextToBlock] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadPage = useCallback((toBlock) => {
+    const pageStart = Math.max(fromBlock, toBlock - HISTORY_PAGE_BLOCKS + 1);
+    setLoading(true);
+    setError('');
+    return fetchHistoryPage(contract, adapter, { fromBlock: pageStart, toBlock })
+      .then((page) => {
+        setSettlements((prev) => [...prev, ...page.settlements]);
+        setCancellations((prev) => [...prev, ...page.cancellations]);
+        setEntries((prev) => [...prev, ...page.entries]);
+        setNextToBlock(pageStart - 1);
+      })
+      .catch((err) => {
+        console.error('Error loading round history:', err);
+        setError(`Could not load round history from ${HISTORY_SOURCE}`);
+      })
+      .finally(() => setLoading(false));
+  }, [contract, adapter, fromBlock]);
+
+  const loadLatest = useCallback(() => {
+    return contract.runner.provider.getBlockNumber().then(loadPage);
+  }, [contract, loadPage]);
+
+  useEffect(() => {
+    loadLatest();
+  }, [loadLatest]);
+
+  const refresh = () => {
+    setSettlements([]);
+    setCancellations([]);
+    setEntries([]);
+    setExpanded(null);
+    loadLatest();
+  };
+
+  const complete = nextToBlock !== null && nextToBlock < fromBlock;
+  const rounds = buildRounds(adapter, { settlements, cancellations, entries }, { complete });
+
+  return (
+    <div className="round-history">
+      <div className="round-history-header">
+        <h3>Round History</h3>
+        <button onClick={refresh} disabled={loading} className="history-btn">
+          Refresh
+        </button>
+      </div>
+
+      {error && <p className="history-error">{error}</p>}
+
+      {rounds.length === 0 && !loading && nextToBlock !== null && (
+        <p className="history-empty">
+          No completed rounds{complete ? '' : ` since block ${nextToBlock + 1}`}
+        </p>
+      )}
+
+      <ul>
+        {rounds.map((round) => (
+          <li key={round.txHash} className="history-round">
+            <button
+              onClick={() => setExpanded(expanded === round.txHash ? null : round.txHash)}
+              className="history-round-summary"
+            >
+              <span>Round {round.roundId ?? '—'}</span>
+              {round.cancelled ? (
+                <>
+                  <span>Cancelled</span>
+                  <span>{ethers.formatEther(round.refunds)} ETH refunded</span>
+                </>
+              ) : (
+                <>
+                  <span title={round.winner}>🏆 {shorten(round.winner)}</span>
+                  <span>{ethers.formatEther(round.prize)} ETH</span>
+                </>
+              )}
+              <span>
+                {round.partial ? '≥ ' : ''}{playerCount(round.entrants)} players
+              </span>
+              <span>{new Date(round.timestamp * 1000).toLocaleString()}</span>
+              <span title={round.txHash}>tx {shorten(round.txHash)}</span>
+            </button>
+
+            {expanded === round.txHash && (
+              <ul className="history-entrants">
+                {round.entrants.map((entrant) => (
+                  <li key={entrant.txHash}>
+                    <span title={entrant.player}>{entrant.player}</span>
+                    <span>{ethers.formatEther(entrant.amount)} ETH</span>
+                    <span title={entrant.txHash}>tx {shorten(entrant.txHash)}</span>
+                  </li>
+                ))}
+                {round.partial && (
+                  <li className="history-note">Load older rounds to see every entrant</li>
+                )}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {!complete && nextToBlock !== null && (
+        <button
+          onClick={() => loadPage(nextToBlock)}
+          disabled={loading}
+          className="history-btn"
+        >
+          {loading ? 'Loading...' : `Load older rounds (before block ${nextToBlock + 1})`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default RoundHistory;
@@ -0,0 +1,80 @@
+import { useState } from 'react';
+
+// Whole number of players of at least 1, or null
+const toMinPlayers = (value) => {
+  const count = Number(value);
+  return value.trim() !== '' && Number.isInteger(count) && count >= 1 ? count : null;
+};
+
+// The owner's round operations: calling the current round off so its
+// players can claim refunds, and the minimum below which a draw cancels the
+// round instead of paying a winner. Confirmed in the preflight dialog like
+// the rest of the console.
+function RoundPanel({ adapter, raffleInfo, disabled, onAction }) {
+  const [newMinimum, setNewMinimum] = useState(String(raffleInfo.minPlayers));
+  const { playerCount, prizePool, minPlayers } = raffleInfo;
+  const minimum = toMinPlayers(newMinimum);
+
+  const operations = [
+    {
+      id: 'cancel',
+      label: 'Cancel Round',
+      transition: `${playerCount} players, ${prizePool} ETH → cancelled, 0 players`,
+      blockedBy: playerCount === 0 ? 'Nobody has entered this round' : null,
+      outcome: `The round is called off and its ${playerCount} players can claim back the ${prizePool} ETH ` +
+        'they paid. The next round starts straight away.',
+      makeCall: () => adapter.roundAdmin.cancel()
+    },
+    {
+      id: 'minimum',
+      label: 'Set Minimum Players',
+      transition: `${minPlayers} → ${minimum ?? '?'} players`,
+      blockedBy: minimum === null ? 'Enter a whole number of players, at least 1' : null,
+      outcome: `Rounds drawn with fewer than ${minimum ?? '?'} players are cancelled and refunded ` +
+        'instead of paying a winner.',
+      makeCall: () => adapter.roundAdmin.setMinPlayers({ minPlayers: minimum })
+    }
+  ];
+
+  return (
+    <div className="admin-panel">
+      <h3>⏹️ Round Controls</h3>
+      <p className="admin-state">
+        {playerCount} players · Minimum to draw: <strong>{minPlayers}</strong>
+      </p>
+
+      <label className="admin-fee">
+        New minimum players
+        <input
+          type="number"
+          min="1"
+          step="1"
+          value={newMinimum}
+          onChange={(e) => setNewMinimum(e.target.value)}
+          disabled={disabled}
+          className="amount-input"
+        />
+      </label>
+
+      <ul>
+        {operations.map((operation) => (
+          <li key={operation.id}>
+            <div>
+              <span className="admin-transition">{operation.transition}</span>
+              {operation.blockedBy && <span className="admin-blocked">{operation.blockedBy}</span>}
+            </div>
+            <button
+              onClick={() => onAction(operation)}
+              disabled={disabled || operation.blockedBy !== null}
+              className="history-btn"
+            >
+              {operation.label}
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default RoundPanel;
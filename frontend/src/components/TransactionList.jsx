@@ -0,0 +1,59 @@
+import { TX_STATUS } from '../lib/txTracker';
+import { getNetwork, txExplorerUrl } from '../networks';
+
+const STATUS_LABELS = {
+  [TX_STATUS.SIGNING]: '✍️ Waiting for signature',
+  [TX_STATUS.PENDING]: '⏳ Pending',
+  [TX_STATUS.CONFIRMING]: '⛏️ Confirming',
+  [TX_STATUS.CONFIRMED]: '✅ Confirmed',
+  [TX_STATUS.FAILED]: '❌ Failed',
+  [TX_STATUS.REJECTED]: '🚫 Rejected'
+};
+
+const shorten = (value) => `${value.slice(0, 10)}...${value.slice(-6)}`;
+
+function TransactionList({ transactions, onDismiss }) {
+  if (transactions.length === 0) return null;
+
+  return (
+    <div className="transaction-list">
+      <h3>Transactions</h3>
+      <ul>
+        {transactions.map((tx) => {
+          const url = tx.hash && txExplorerUrl(getNetwork(tx.chainId), tx.hash);
+          return (
+            <li key={tx.id} className={`tx tx-${tx.status}`}>
+              <span className="tx-label">{tx.label}</span>
+              <span className="tx-status">
+                {STATUS_LABELS[tx.status]}
+                {tx.status === TX_STATUS.CONFIRMING && ` ${tx.confirmations}/${tx.target}`}
+              </span>
+              {tx.hash && (
+                url ? (
+                  <a href={url} target="_blank" rel="noreferrer" title={tx.hash}>
+                    {shorten(tx.hash)}
+                  </a>
+                ) : (
+                  <span title={tx.hash}>{shorten(tx.hash)}</span>
+                )
+              )}
+              {tx.error && (
+                <span className="tx-error">
+                  {tx.error.message}
+                  <span className="tx-hint">{tx.error.hint}</span>
+                </span>
+              )}
+              {tx.status !== TX_STATUS.SIGNING && (
+                <button onClick={() => onDismiss(tx.id)} className="tx-dismiss" title="Dismiss">
+                  ✕
+                </button>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+export default TransactionList;
@@ -0,0 +1,15 @@
+// Build-time settings read from VITE_* variables (see frontend/.env.local)
+
+// Chain to read from before a wallet connects
+export const NETWORK_ID = import.meta.env.VITE_NETWORK_ID || '';
+
+// JSON-RPC endpoint for read-only access when no wallet is connected,
+// overriding the rpcUrl of that chain in contracts/networks.json
+export const RPC_URL = import.meta.env.VITE_RPC_URL || '';
+
+// Blocks to wait for before a transaction is shown as confirmed
+export const TX_CONFIRMATIONS = Number(import.meta.env.VITE_TX_CONFIRMATIONS) || 1;
+
+// Optional indexer API (npm run indexer). Round history and player stats are
+// read from it instead of scanning logs over RPC when set
+export const INDEXER_URL = (import.meta.env.VITE_INDEXER_URL || '').replace(/\/$/, '');
@@ -0,0 +1,235 @@
+// Turns wallet, RPC and contract errors into a message a player can act on.
+// Every write action goes through normalizeError so they all read the same.
+
+// Revert strings from Raffle, RaffleVRF, EthRewardPool, ProtocolFee and RoundRefunds
+const REVERT_MESSAGES = {
+  'Incorrect entry fee': {
+    message: 'The amount sent does not match the entry fee',
+    hint: 'Reload the page to pick up the current entry fee and try again'
+  },
+  'Invalid ticket count': {
+    message: 'That is not a valid number of tickets',
+    hint: 'Buy at least 1 ticket and no more than the limit per entry shown'
+  },
+  'Raffle is not active': {
+    message: 'The raffle is closed',
+    hint: 'Wait for the owner to open a new round'
+  },
+  'Raffle period has ended': {
+    message: 'This round is no longer accepting entries',
+    hint: 'Wait for the winner to be picked and enter the next round'
+  },
+  'Winner selection pending': {
+    message: 'A winner is being drawn for this round',
+    hint: 'Enter the next round once the winner has been drawn'
+  },
+  'Owner cannot enter the raffle': {
+    message: 'The raffle owner cannot enter their own raffle',
+    hint: 'Switch to another account to play'
+  },
+  'Only owner can call this function': {
+    message: 'Only the raffle owner can do this',
+    hint: 'Connect with the account that deployed the contract'
+  },
+  'No players in the raffle': {
+    message: 'Nobody has entered this round yet',
+    hint: 'Wait for at least one player before picking a winner'
+  },
+  'Current raffle must be completed first': {
+    message: 'The current round still has players',
+    hint: 'Pick a winner before starting a new raffle'
+  },
+  'VRF request already pending': {
+    message: 'A winner has already been requested from Chainlink VRF',
+    hint: 'Wait for the VRF coordinator to answer'
+  },
+  'No VRF request pending': {
+    message: 'No winner is being requested from Chainlink VRF',
+    hint: 'Pick a winner to send a new request'
+  },
+  'VRF request not timed out': {
+    message: 'The VRF request is still within its timeout',
+    hint: 'Request again once it has gone unanswered for an hour'
+  },
+  'Round closed': {
+    message: 'This pool round has ended',
+    hint: 'Distribute the reward to start the next round, then join it'
+  },
+  // The revert names 0.01 ETH, the pool's MIN_CONTRIBUTION is 1 wei
+  'Minimum contribution is 0.01 ETH': {
+    message: 'The contribution is below the minimum',
+    hint: 'Send at least the minimum contribution shown for the pool'
+  },
+  'Round not finished': {
+    message: 'The round is still running',
+    hint: 'The reward can be distributed once the countdown reaches zero'
+  },
+  'No participants': {
+    message: 'Nobody joined this round',
+    hint: 'Wait for at least one participant before distributing the reward'
+  },
+  'Nothing to claim': {
+    message: 'You have no reward waiting to be claimed',
+    hint: 'Rewards can be claimed once a round you won has been distributed'
+  },
+  'Claim transfer failed': {
+    message: 'The reward could not be sent to your address',
+    hint: 'Claim from an account that can receive ETH, the reward stays claimable'
+  },
+  'Round not cancelled': {
+    message: 'That round was not cancelled',
+    hint: 'Only players of a cancelled round can claim a refund'
+  },
+  'Nothing to refund': {
+    message: 'You have no refund waiting from that round',
+    hint: 'Reload the page to see the refunds you can still claim'
+  },
+  'Refund transfer failed': {
+    message: 'The refund could not be sent to your address',
+    hint: 'Claim from an account that can receive ETH, the refund stays claimable'
+  },
+  'Minimum players must be at least 1': {
+    message: 'The minimum number of players must be at least 1',
+    hint: 'Enter a whole number of players, at least 1'
+  },
+  'Fee above maximum': {
+    message: 'The fee is above the 10% maximum',
+    hint: 'Schedule a fee between 0% and 10%'
+  },
+  'No fee change scheduled': {
+    message: 'There is no fee change waiting to take effect',
+    hint: 'Reload the page to see the current fee'
+  },
+  'No fees to withdraw': {
+    message: 'No fees have accrued since the last withdrawal',
+    hint: 'Fees accrue when a winner is paid'
+  },
+  'Fee transfer failed': {
+    message: 'The fees could not be sent to the treasury',
+    hint: 'The treasury rejected the payment, set a treasury that accepts ETH'
+  },
+  'Treasury cannot be the zero address': {
+    message: 'The treasury address is missing',
+    hint: 'Enter the address that should receive the fees'
+  }
+};
+
+// Custom errors declared in the contract ABIs
+const CUSTOM_ERROR_MESSAGES = {
+  OnlyCoordinatorCanFulfill: {
+    message: 'Only the Chainlink VRF coordinator can deliver the random number',
+    hint: 'Winners are credited automatically once the VRF request is fulfilled'
+  }
+};
+
+const isRejection = (error) =>
+  error?.code === 'ACTION_REJECTED' || error?.code === 4001 || error?.error?.code === 4001;
+
+// Wallets and nodes word this differently and often bury it in a nested error
+const isInsufficientFunds = (error) =>
+  error?.code === 'INSUFFICIENT_FUNDS' ||
+  [error?.message, error?.error?.message, error?.info?.error?.message]
+    .some((message) => /insufficient funds|enough funds/i.test(message ?? ''));
+
+/**
+ * The revert reason or custom error carried by an ethers error, decoded with
+ * the contract interface when the node only returned raw revert data.
+ * Returns { name, args } for custom errors, { reason } for revert strings, or null.
+ */
+export function extractRevert(error, iface) {
+  if (error?.revert) {
+    const { name, args } = error.revert;
+    return name === 'Error' ? { reason: args[0] } : { name, args: [...args] };
+  }
+  if (error?.reason) return { reason: error.reason };
+
+  // Nodes nest the revert data at different depths of the JSON-RPC error
+  const data = [error?.data, error?.error?.data, error?.error?.data?.data, error?.info?.error?.data]
+    .find((value) => typeof value === 'string' && value.startsWith('0x'));
+  if (iface && data && data !== '0x') {
+    try {
+      const parsed = iface.parseError(data);
+      if (parsed) {
+        return parsed.name === 'Error'
+          ? { reason: parsed.args[0] }
+          : { name: parsed.name, args: [...parsed.args] };
+      }
+    } catch {
+      // Not an error from this contract
+    }
+  }
+  return null;
+}
+
+/**
+ * Map any error thrown while sending or simulating a transaction to
+ * { kind, message, hint }.
+ */
+export function normalizeError(error, iface) {
+  if (isRejection(error)) {
+    return {
+      kind: 'rejected',
+      message: 'You rejected the request in your wallet',
+      hint: 'Nothing was sent, try again when you are ready'
+    };
+  }
+
+  if (isInsufficientFunds(error)) {
+    return {
+      kind: 'funds',
+      message: 'Not enough ETH to cover the amount plus gas',
+      hint: 'Top up this wallet, or use a faucet on a testnet'
+    };
+  }
+
+  const revert = extractRevert(error, iface);
+  if (revert?.reason) {
+    return {
+      kind: 'revert',
+      ...(REVERT_MESSAGES[revert.reason] ?? {
+        message: `The contract rejected the transaction: ${revert.reason}`,
+        hint: 'Refresh the raffle information and check the round is open'
+      })
+    };
+  }
+  if (revert?.name) {
+    return {
+      kind: 'revert',
+      ...(CUSTOM_ERROR_MESSAGES[revert.name] ?? {
+        message: `The contract rejected the transaction: ${revert.name}(${revert.args.join(', ')})`,
+        hint: 'Refresh the raffle information and try again'
+      })
+    };
+  }
+
+  switch (error?.code) {
+    case 'CALL_EXCEPTION':
+      return {
+        kind: 'revert',
+        message: 'The transaction reverted without a reason',
+        hint: 'Refresh the raffle information and try again'
+      };
+    case 'NETWORK_ERROR':
+    case 'SERVER_ERROR':
+    case 'TIMEOUT':
+      return {
+        kind: 'network',
+        message: 'Could not reach the network',
+        hint: 'Check your connection or the RPC endpoint and try again'
+      };
+    case 'NONCE_EXPIRED':
+    case 'REPLACEMENT_UNDERPRICED':
+    case 'TRANSACTION_REPLACED':
+      return {
+        kind: 'nonce',
+        message: 'This transaction was replaced by another one from your wallet',
+        hint: 'Check your wallet activity before sending it again'
+      };
+    default:
+      return {
+        kind: 'unknown',
+        message: error?.shortMessage || error?.message || 'Something went wrong',
+        hint: 'Try again, and check the browser console if it keeps failing'
+      };
+  }
+}
@@ -0,0 +1,91 @@
+import { ethers } from 'ethers';
+
+// Both games take a protocol fee from each payout (contracts/ProtocolFee.sol).
+// Adapters put these fields next to the game state and keep them current with
+// applyFeeEvent; amounts are formatted ETH like the rest of the info.
+
+// ProtocolFee.MAX_FEE_BPS
+export const MAX_FEE_BPS = 1000;
+
+export const FEE_EVENTS = [
+  'FeeAccrued',
+  'FeesWithdrawn',
+  'FeeChangeScheduled',
+  'FeeChangeCancelled',
+  'FeeChanged',
+  'TreasuryChanged'
+];
+
+/**
+ * Info fields from a parsed getFeeConfig() (see parseFeeConfig in the SDK).
+ */
+export function feeFields(config) {
+  return {
+    feeBps: config.feeBps,
+    pendingFeeBps: config.pendingFeeBps,
+    feeChangeTime: config.feeChangeTime || null,
+    treasury: config.treasury,
+    accruedFees: ethers.formatEther(config.accruedFees),
+    roundFeeBps: config.roundFeeBps
+  };
+}
+
+/**
+ * The info after an entry into a round without players, which fixes the
+ * round's fee at the current one. A change that had come due is applied by
+ * the same transaction, and its FeeChanged is folded in first.
+ */
+export function lockRoundFee(info, players) {
+  return players.length === 0 ? { ...info, roundFeeBps: info.feeBps } : info;
+}
+
+/**
+ * Fold one fee event into the info, or return it unchanged.
+ */
+export function applyFeeEvent(info, event) {
+  const { args } = event;
+  switch (event.name) {
+    case 'FeeAccrued':
+      return { ...info, accruedFees: ethers.formatEther(args.accruedFees) };
+    case 'FeesWithdrawn':
+      return { ...info, accruedFees: ethers.formatEther(0n) };
+    case 'FeeChangeScheduled':
+      return { ...info, pendingFeeBps: Number(args.feeBps), feeChangeTime: Number(args.effectiveTime) };
+    case 'FeeChangeCancelled':
+      return { ...info, pendingFeeBps: 0, feeChangeTime: null };
+    case 'FeeChanged':
+      return { ...info, feeBps: Number(args.newFeeBps), pendingFeeBps: 0, feeChangeTime: null };
+    case 'TreasuryChanged':
+      return { ...info, treasury: args.treasury };
+    default:
+      return info;
+  }
+}
+
+/**
+ * The fee a round opened at chain time `now` is charged. A scheduled change
+ * applies as soon as its time has come, before any transaction records it.
+ */
+export function currentFeeBps(info, now) {
+  return info.feeChangeTime !== null && now >= info.feeChangeTime ? info.pendingFeeBps : info.feeBps;
+}
+
+/**
+ * The fee the payout of the round being played is charged: the one its first
+ * entry fixed, or while nobody has entered, the one the first entry will fix.
+ */
+export function payoutFeeBps(info, now) {
+  return info.playerCount > 0 ? info.roundFeeBps : currentFeeBps(info, now);
+}
+
+/**
+ * Split a prize pool (formatted ETH) into the fee and what the winner gets,
+ * rounding like the contract.
+ */
+export function splitPrize(prizePool, feeBps) {
+  const gross = ethers.parseEther(prizePool);
+  const fee = (gross * BigInt(feeBps)) / 10000n;
+  return { fee: ethers.formatEther(fee), net: ethers.formatEther(gross - fee) };
+}
+
+export const formatBps = (bps) => `${bps / 100}%`;
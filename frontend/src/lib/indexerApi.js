@@ -0,0 +1,48 @@
+import { INDEXER_URL } from '../config';
+
+// Client for the optional indexer service (indexer/ in the repo root)
+
+// The args of each kind of event in the order its contract logs them
+const ARGS = {
+  entry: ({ player, amount }) => [player, amount],
+  settlement: ({ player, amount }) => [player, amount],
+  cancellation: ({ roundId, amount }) => [roundId, amount],
+  refund: ({ player, roundId, amount }) => [player, roundId, amount]
+};
+
+const toLog = (event) => {
+  const roundId = BigInt(event.roundId);
+  const args = ARGS[event.kind]({ player: event.player, amount: BigInt(event.amount), roundId });
+  return {
+    args: Object.assign(args, { roundId }),
+    blockNumber: event.blockNumber,
+    index: event.logIndex,
+    transactionHash: event.txHash
+  };
+};
+
+const withTimestamp = (event) => ({ log: toLog(event), timestamp: event.timestamp });
+
+/**
+ * Entries, settlements, cancellations and refunds in [fromBlock, toBlock]
+ * from the indexer, shaped like the logs fetchHistoryPage reads from the
+ * chain so the round and player summaries work the same on either source.
+ */
+export async function fetchIndexedPage(address, { fromBlock, toBlock, player }) {
+  const params = new URLSearchParams({ contract: address, fromBlock, toBlock });
+  if (player) params.set('player', player);
+
+  const response = await fetch(`${INDEXER_URL}/api/events?${params}`);
+  if (!response.ok) {
+    throw new Error(`Indexer request failed with status ${response.status}`);
+  }
+  const events = await response.json();
+  const ofKind = (kind) => events.filter((event) => event.kind === kind);
+
+  return {
+    settlements: ofKind('settlement').map(withTimestamp),
+    cancellations: ofKind('cancellation').map(withTimestamp),
+    entries: ofKind('entry').map(toLog),
+    refunds: ofKind('refund').map(toLog)
+  };
+}
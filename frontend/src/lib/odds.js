@@ -0,0 +1,32 @@
+// Both games draw a winner in proportion to what each player put in: raffle
+// tickets, or wei contributed to the pool. The UI keeps the current round's
+// players as { address, weight } with a bigint weight in those units.
+
+const sameAddress = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+/**
+ * Add `weight` to a player, appending them on their first entry.
+ */
+export function addWeight(players, address, weight) {
+  if (!players.some((player) => sameAddress(player.address, address))) {
+    return [...players, { address, weight }];
+  }
+  return players.map((player) =>
+    sameAddress(player.address, address) ? { ...player, weight: player.weight + weight } : player
+  );
+}
+
+export const totalWeight = (players) => players.reduce((sum, player) => sum + player.weight, 0n);
+
+export const weightOf = (players, address) =>
+  players.find((player) => sameAddress(player.address, address))?.weight ?? 0n;
+
+/**
+ * `weight` out of `total` as a percentage, rounded down to two decimals.
+ */
+export function formatChance(weight, total) {
+  if (total === 0n || weight === 0n) return '0%';
+  const hundredths = (weight * 10000n) / total;
+  if (hundredths === 0n) return '<0.01%';
+  return `${(Number(hundredths) / 100).toFixed(2).replace(/\.?0+$/, '')}%`;
+}
@@ -0,0 +1,114 @@
+import {
+  HISTORY_PAGE_BLOCKS,
+  fetchHistoryPage,
+  buildRounds,
+  currentRoundEntries
+} from './roundHistory';
+
+/**
+ * Fetch every settlement and cancellation and the given player's entries and
+ * refunds from `fromBlock` to the chain head. Profit and loss needs the full
+ * history, so this walks all pages instead of loading them on demand like the
+ * history panel.
+ */
+export async function fetchPlayerLogs(contract, adapter, player, { fromBlock }) {
+  const head = await contract.runner.provider.getBlockNumber();
+  const settlements = [];
+  const cancellations = [];
+  const entries = [];
+  const refunds = [];
+
+  for (let start = fromBlock; start <= head; start += HISTORY_PAGE_BLOCKS) {
+    const page = await fetchHistoryPage(contract, adapter, {
+      fromBlock: start,
+      toBlock: Math.min(head, start + HISTORY_PAGE_BLOCKS - 1),
+      player
+    });
+    settlements.push(...page.settlements);
+    cancellations.push(...page.cancellations);
+    entries.push(...page.entries);
+    refunds.push(...page.refunds);
+  }
+
+  return { settlements, cancellations, entries, refunds };
+}
+
+const sumAmounts = (entries) => entries.reduce((sum, entry) => sum + entry.amount, 0n);
+
+/**
+ * Summarise a player's rounds, oldest first, with a running net in wei.
+ * Money in the open round counts as spent until that round settles, and the
+ * money of a cancelled round until its refund is claimed.
+ */
+export function summarizePlayer(adapter, player, logs) {
+  const me = player.toLowerCase();
+  const rows = [];
+  let spent = 0n;
+  let won = 0n;
+  let refunded = 0n;
+  let wins = 0;
+
+  // RefundClaimed(player, roundId, amount), keyed by the cancelled round
+  const refundsByRound = new Map();
+  for (const { args } of logs.refunds) {
+    const roundId = Number(args[1]);
+    refundsByRound.set(roundId, (refundsByRound.get(roundId) ?? 0n) + args[2]);
+  }
+
+  const closed = buildRounds(adapter, logs, { complete: true }).reverse();
+  for (const round of closed) {
+    const isWinner = !round.cancelled && round.winner.toLowerCase() === me;
+    if (round.entrants.length === 0 && !isWinner) continue;
+
+    const roundSpent = sumAmounts(round.entrants);
+    const roundWon = isWinner ? round.prize : 0n;
+    const roundRefunded = refundsByRound.get(round.roundId) ?? 0n;
+    spent += roundSpent;
+    won += roundWon;
+    refunded += roundRefunded;
+    if (isWinner) wins++;
+
+    rows.push({
+      roundId: round.roundId,
+      entries: round.entrants.length,
+      spent: roundSpent,
+      won: roundWon,
+      refunded: roundRefunded,
+      isWinner,
+      cancelled: round.cancelled,
+      isCurrent: false,
+      timestamp: round.timestamp,
+      net: won + refunded - spent
+    });
+  }
+
+  const open = currentRoundEntries(logs).map((entry) => ({
+    amount: entry.args[1]
+  }));
+  if (open.length > 0) {
+    const roundSpent = sumAmounts(open);
+    spent += roundSpent;
+    rows.push({
+      roundId: null,
+      entries: open.length,
+      spent: roundSpent,
+      won: 0n,
+      refunded: 0n,
+      isWinner: false,
+      cancelled: false,
+      isCurrent: true,
+      timestamp: null,
+      net: won + refunded - spent
+    });
+  }
+
+  return {
+    rows,
+    roundsEntered: rows.length,
+    wins,
+    spent,
+    won,
+    refunded,
+    net: won + refunded - spent
+  };
+}
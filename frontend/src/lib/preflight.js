@@ -0,0 +1,47 @@
+// Dry run of a write call before the wallet is opened: simulate it with
+// staticCall, estimate its gas and price it at the current fee data, so the
+// player sees what it costs and whether it would revert.
+
+import { normalizeError } from './errors';
+
+/**
+ * Simulate a { method, args, value } call descriptor from the signer's account.
+ * Resolves with { ok: true, gasLimit, gasPrice, gasCost, value, total } or
+ * { ok: false, error } holding the normalised reason it would fail.
+ */
+export async function simulateCall(contract, call) {
+  const { method, args = [], value = 0n } = call;
+  const fn = contract.getFunction(method);
+  const provider = contract.runner.provider;
+
+  try {
+    await fn.staticCall(...args, { value });
+    const [gasLimit, feeData, from] = await Promise.all([
+      fn.estimateGas(...args, { value }),
+      provider.getFeeData(),
+      contract.runner.getAddress()
+    ]);
+
+    // gasPrice is what a transaction pays right now, maxFeePerGas only a cap
+    const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+    const gasCost = gasLimit * gasPrice;
+    const total = value + gasCost;
+
+    const balance = await provider.getBalance(from);
+    if (balance < total) {
+      return { ok: false, error: normalizeError({ code: 'INSUFFICIENT_FUNDS' }) };
+    }
+
+    return { ok: true, gasLimit, gasPrice, gasCost, value, total };
+  } catch (error) {
+    return { ok: false, error: normalizeError(error, contract.interface) };
+  }
+}
+
+/**
+ * Send a call descriptor through the contract's signer.
+ */
+export function sendCall(contract, call) {
+  const { method, args = [], value = 0n } = call;
+  return contract.getFunction(method)(...args, { value });
+}
@@ -0,0 +1,46 @@
+import { MulticallReader } from '../../../sdk';
+import { INDEXER_URL } from '../config';
+import { fetchIndexedPage } from './indexerApi';
+import { HISTORY_PAGE_BLOCKS } from './roundHistory';
+
+// Every game can call a round off instead of paying a winner
+// (contracts/RoundRefunds.sol); its players then claim back what they paid.
+// None stores which rounds were cancelled in a list, so the
+// RoundCancelled logs are read to find them, from the indexer when
+// VITE_INDEXER_URL is set.
+
+export const REFUND_EVENTS = ['RoundCancelled', 'MinPlayersChanged'];
+
+// The indexer's page also holds entries, the account keeps those to its own
+async function fetchCancellations(contract, account, { fromBlock, toBlock }) {
+  if (INDEXER_URL) {
+    const page = await fetchIndexedPage(contract.target, { fromBlock, toBlock, player: account });
+    return page.cancellations.map(({ log }) => log);
+  }
+  return contract.queryFilter('RoundCancelled', fromBlock, toBlock);
+}
+
+/**
+ * Refunds `account` has not claimed yet, as { roundId, amount } with bigint
+ * values, oldest round first.
+ */
+export async function loadRefunds(contract, account, { fromBlock = 0 } = {}) {
+  const provider = contract.runner.provider ?? contract.runner;
+  const head = await provider.getBlockNumber();
+  const cancellations = [];
+  for (let start = fromBlock; start <= head; start += HISTORY_PAGE_BLOCKS) {
+    cancellations.push(...(await fetchCancellations(contract, account, {
+      fromBlock: start,
+      toBlock: Math.min(head, start + HISTORY_PAGE_BLOCKS - 1)
+    })));
+  }
+
+  // A fresh reader, so a refund just claimed is not served from the cache
+  const reader = new MulticallReader(provider);
+  const amounts = await Promise.all(
+    cancellations.map((log) => reader.read(contract, 'getRefund', [log.args.roundId, account]))
+  );
+  return cancellations
+    .map((log, i) => ({ roundId: log.args.roundId, amount: amounts[i] }))
+    .filter(({ amount }) => amount > 0n);
+}
@@ -0,0 +1,109 @@
+import { INDEXER_URL } from '../config';
+import { fetchIndexedPage } from './indexerApi';
+
+// Rebuilds settled rounds from contract logs. Neither game stores its
+// entrants once a round closes, so the logs are the only record of who
+// played which round. With VITE_INDEXER_URL set the same logs come from the
+// indexer's database instead of eth_getLogs.
+
+// The indexer answers any block range at once, so its history is one page
+export const HISTORY_PAGE_BLOCKS = INDEXER_URL ? Number.MAX_SAFE_INTEGER : 5000;
+
+// Where the history comes from, for error messages
+export const HISTORY_SOURCE = INDEXER_URL ? 'the indexer' : 'the RPC node';
+
+const byPosition = (a, b) => a.blockNumber - b.blockNumber || a.index - b.index;
+
+// Settlements and cancellations both end a round, oldest first
+const roundEnds = ({ settlements, cancellations }) => [
+  ...settlements,
+  ...cancellations.map((end) => ({ ...end, cancelled: true }))
+].sort((a, b) => byPosition(a.log, b.log));
+
+const withTimestamps = (logs) => Promise.all(
+  logs.map(async (log) => ({ log, timestamp: (await log.getBlock()).timestamp }))
+);
+
+/**
+ * Fetch the settlement, cancellation, entry and refund logs emitted in
+ * [fromBlock, toBlock], with the block timestamp attached to each settlement
+ * and cancellation. Passing `player` narrows the entries and refunds to that
+ * address through the indexed topic; settlements and cancellations are always
+ * fetched in full since they mark the round boundaries.
+ */
+export async function fetchHistoryPage(contract, adapter, { fromBlock, toBlock, player }) {
+  if (INDEXER_URL) {
+    return fetchIndexedPage(contract.target, { fromBlock, toBlock, player });
+  }
+
+  const { entered, settled, cancelled, refunded } = adapter.events;
+  const byPlayer = (eventName) => (player ? contract.filters[eventName](player) : eventName);
+  const [settlements, cancellations, entries, refunds] = await Promise.all(
+    [settled, cancelled, byPlayer(entered), byPlayer(refunded)]
+      .map((filter) => contract.queryFilter(filter, fromBlock, toBlock))
+  );
+
+  return {
+    settlements: await withTimestamps(settlements),
+    cancellations: await withTimestamps(cancellations),
+    entries,
+    refunds
+  };
+}
+
+/**
+ * Group logs into rounds, newest first. Entries belong to the first
+ * settlement or cancellation that follows them; entries after the last one
+ * are the round still in progress and are left out. A cancelled round has no
+ * winner or prize, only the refunds its players are owed.
+ *
+ * `complete` means logs have been loaded back to the deployment block. Until
+ * then the oldest loaded round may be missing entrants from older blocks, and
+ * rounds of games without an on-chain round id cannot be numbered.
+ */
+export function buildRounds(adapter, { settlements, cancellations, entries }, { complete }) {
+  const sortedEntries = [...entries].sort(byPosition);
+  let cursor = 0;
+
+  const ends = roundEnds({ settlements, cancellations });
+  const rounds = ends.map(({ log, timestamp, cancelled = false }, i) => {
+    const entrants = [];
+    while (cursor < sortedEntries.length && byPosition(sortedEntries[cursor], log) < 0) {
+      const entry = sortedEntries[cursor];
+      entrants.push({
+        player: entry.args[0],
+        amount: entry.args[1],
+        txHash: entry.transactionHash
+      });
+      cursor++;
+    }
+
+    // A cancellation always names its round
+    const roundId = cancelled ? Number(log.args.roundId) : adapter.settledRoundId(log);
+    return {
+      roundId: roundId ?? (complete ? i + 1 : null),
+      cancelled,
+      winner: cancelled ? null : log.args[0],
+      prize: cancelled ? null : log.args[1],
+      refunds: cancelled ? log.args[1] : null,
+      timestamp,
+      blockNumber: log.blockNumber,
+      txHash: log.transactionHash,
+      entrants,
+      partial: i === 0 && !complete
+    };
+  });
+
+  return rounds.reverse();
+}
+
+/**
+ * Entries made after the latest settlement or cancellation, i.e. in the round
+ * still open.
+ */
+export function currentRoundEntries({ settlements, cancellations, entries }) {
+  const latest = roundEnds({ settlements, cancellations }).at(-1)?.log;
+  return entries
+    .filter((entry) => !latest || byPosition(entry, latest) > 0)
+    .sort(byPosition);
+}
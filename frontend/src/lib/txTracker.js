@@ -0,0 +1,175 @@
+// Tracks every transaction the app sends, from the wallet prompt to its final
+// receipt. Transactions still waiting to be mined are saved to storage so a
+// page reload can pick them up again with resume().
+
+import { normalizeError } from './errors';
+
+export const TX_STATUS = {
+  SIGNING: 'signing',
+  PENDING: 'pending',
+  CONFIRMING: 'confirming',
+  CONFIRMED: 'confirmed',
+  FAILED: 'failed',
+  REJECTED: 'rejected'
+};
+
+const IN_FLIGHT = [TX_STATUS.PENDING, TX_STATUS.CONFIRMING];
+const MAX_ENTRIES = 20;
+
+// Receipts do not carry the revert reason, so re-run the call against the
+// state just before the block that included it
+async function replayRevert(provider, tx, blockNumber, iface) {
+  try {
+    await provider.call({
+      to: tx.to,
+      from: tx.from,
+      data: tx.data,
+      value: tx.value,
+      blockTag: blockNumber - 1
+    });
+  } catch (error) {
+    return normalizeError(error, iface);
+  }
+  return normalizeError({ code: 'CALL_EXCEPTION' }, iface);
+}
+
+export function createTxTracker({ storage, storageKey = 'raffle:pending-txs', confirmations = 1 }) {
+  let entries = [];
+  const listeners = new Set();
+  const watching = new Set();
+
+  try {
+    entries = JSON.parse(storage.getItem(storageKey)) ?? [];
+  } catch {
+    entries = [];
+  }
+
+  const persist = () => {
+    const inFlight = entries.filter((entry) => IN_FLIGHT.includes(entry.status));
+    storage.setItem(storageKey, JSON.stringify(inFlight));
+  };
+
+  const update = (id, changes) => {
+    entries = entries.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry));
+    persist();
+    listeners.forEach((listener) => listener());
+  };
+
+  const add = (entry) => {
+    entries = [entry, ...entries].slice(0, MAX_ENTRIES);
+    persist();
+    listeners.forEach((listener) => listener());
+  };
+
+  // tx is the TransactionResponse, or null to look it up by hash after a reload
+  const watch = async (entry, tx, provider, iface) => {
+    if (watching.has(entry.hash)) return null;
+    watching.add(entry.hash);
+    try {
+      tx = tx ?? await provider.getTransaction(entry.hash);
+      if (!tx) {
+        update(entry.id, {
+          status: TX_STATUS.FAILED,
+          error: {
+            kind: 'dropped',
+            message: 'Transaction not found, it may have been dropped or replaced',
+            hint: 'Check your wallet activity before sending it again'
+          }
+        });
+        return null;
+      }
+
+      let receipt;
+      try {
+        receipt = await tx.wait(1);
+      } catch (error) {
+        if (error.code !== 'CALL_EXCEPTION' || !error.receipt) throw error;
+        const { blockNumber } = error.receipt;
+        update(entry.id, {
+          status: TX_STATUS.FAILED,
+          blockNumber,
+          error: await replayRevert(provider, tx, blockNumber, iface)
+        });
+        return null;
+      }
+
+      update(entry.id, {
+        status: TX_STATUS.CONFIRMING,
+        blockNumber: receipt.blockNumber,
+        confirmations: 1
+      });
+      for (let count = 2; count <= confirmations; count++) {
+        await tx.wait(count);
+        update(entry.id, { confirmations: count });
+      }
+      update(entry.id, { status: TX_STATUS.CONFIRMED });
+      return receipt;
+    } catch (error) {
+      update(entry.id, { status: TX_STATUS.FAILED, error: normalizeError(error, iface) });
+      return null;
+    } finally {
+      watching.delete(entry.hash);
+    }
+  };
+
+  return {
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    getSnapshot() {
+      return entries;
+    },
+
+    /**
+     * Send a transaction through `send` and follow it until it is confirmed.
+     * Resolves with the receipt, or null if it was rejected or reverted.
+     */
+    async track(label, send, { chainId, provider, iface }) {
+      const entry = {
+        id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        label,
+        chainId,
+        hash: null,
+        status: TX_STATUS.SIGNING,
+        confirmations: 0,
+        target: confirmations,
+        blockNumber: null,
+        error: null,
+        submittedAt: Date.now()
+      };
+      add(entry);
+
+      let tx;
+      try {
+        tx = await send();
+      } catch (error) {
+        const normalized = normalizeError(error, iface);
+        update(entry.id, {
+          status: normalized.kind === 'rejected' ? TX_STATUS.REJECTED : TX_STATUS.FAILED,
+          error: normalized
+        });
+        return null;
+      }
+
+      update(entry.id, { hash: tx.hash, status: TX_STATUS.PENDING });
+      return watch({ ...entry, hash: tx.hash }, tx, provider, iface);
+    },
+
+    /**
+     * Watch transactions left in flight by a previous page load on this chain.
+     */
+    resume(provider, chainId, iface) {
+      entries
+        .filter((entry) => entry.chainId === chainId && IN_FLIGHT.includes(entry.status))
+        .forEach((entry) => watch(entry, null, provider, iface));
+    },
+
+    dismiss(id) {
+      entries = entries.filter((entry) => entry.id !== id);
+      persist();
+      listeners.forEach((listener) => listener());
+    }
+  };
+}
@@ -0,0 +1,56 @@
+import registry from './contracts/networks.json';
+import { NETWORK_ID } from './config';
+
+// Network registry kept up to date by the deploy scripts, keyed by chainId
+
+// The contracts a player can actually use. Anything else recorded for a
+// network, like Multicall3, is an optional helper.
+const GAME_CONTRACTS = ['Raffle', 'EthRewardPool', 'RaffleVRF'];
+
+export function getNetwork(chainId) {
+  const network = registry[String(chainId)];
+  return network ? { chainId: Number(chainId), ...network } : null;
+}
+
+/**
+ * Networks with at least one deployed game, which the wallet may switch to.
+ */
+export function getSupportedNetworks() {
+  return Object.keys(registry)
+    .map(getNetwork)
+    .filter((network) => GAME_CONTRACTS.some((name) => network.contracts[name]));
+}
+
+/**
+ * Chain shown before a wallet connects: VITE_NETWORK_ID if set, otherwise the
+ * first network with a deployed game.
+ */
+export function getDefaultNetwork() {
+  return (NETWORK_ID && getNetwork(NETWORK_ID)) || getSupportedNetworks()[0] || null;
+}
+
+export const toHexChainId = (chainId) => `0x${Number(chainId).toString(16)}`;
+
+/**
+ * Parameters for wallet_addEthereumChain.
+ */
+export function walletChainParams(network) {
+  return {
+    chainId: toHexChainId(network.chainId),
+    chainName: network.name,
+    nativeCurrency: {
+      name: 'Ether',
+      symbol: 'ETH',
+      decimals: 18
+    },
+    rpcUrls: [network.rpcUrl],
+    blockExplorerUrls: network.explorerUrl ? [network.explorerUrl] : undefined
+  };
+}
+
+/**
+ * Block explorer page for a transaction, or null when the chain has no explorer.
+ */
+export function txExplorerUrl(network, hash) {
+  return network?.explorerUrl ? `${network.explorerUrl}/tx/${hash}` : null;
+}
@@ -4,4 +4,13 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    // The shared SDK in ../sdk imports ethers too, use the app's copy for both
+    dedupe: ['ethers'],
+  },
+  server: {
+    fs: {
+      allow: ['..'],
+    },
+  },
 })
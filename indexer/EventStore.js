@@ -0,0 +1,331 @@
+import Database from "better-sqlite3";
+
+// Raffle events in SQLite. Only raw events are stored; round numbers and
+// totals are derived when queried, so removing reorged rows never leaves
+// stale aggregates behind. Amounts are wei as decimal strings, summed with
+// the wei_sum aggregate since they overflow SQLite integers. A round ends
+// with either a settlement or a cancellation, whose players are then paid
+// back with refunds.
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS events (
+  contract TEXT NOT NULL,
+  kind TEXT NOT NULL,
+  name TEXT NOT NULL,
+  player TEXT,
+  amount TEXT,
+  round INTEGER,
+  block_number INTEGER NOT NULL,
+  block_hash TEXT NOT NULL,
+  log_index INTEGER NOT NULL,
+  tx_hash TEXT NOT NULL,
+  timestamp INTEGER NOT NULL,
+  PRIMARY KEY (tx_hash, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_by_position ON events (contract, block_number, log_index);
+CREATE INDEX IF NOT EXISTS events_by_player ON events (contract, player);
+
+CREATE TABLE IF NOT EXISTS cursors (
+  contract TEXT PRIMARY KEY,
+  block_number INTEGER NOT NULL
+);
+
+-- An event belongs to the round after the last settlement or cancellation
+-- before it, unless it names its round
+DROP VIEW IF EXISTS event_rounds;
+CREATE VIEW event_rounds AS
+SELECT *, COALESCE(round, 1 + COALESCE(SUM(kind IN ('settlement', 'cancellation')) OVER (
+  PARTITION BY contract ORDER BY block_number, log_index
+  ROWS BETWEEN UNBOUNDED PRECEDING AND 1 PRECEDING
+), 0)) AS round_id
+FROM events;
+`;
+
+// Largest first for non-negative decimal strings without leading zeros
+const BY_WEI_DESC = (column) => `LENGTH(${column}) DESC, ${column} DESC`;
+
+// A cancelled round has no winner, only the refunds its players are owed
+const toRound = (row) => ({
+  roundId: row.round_id,
+  cancelled: row.kind === "cancellation",
+  winner: row.player,
+  prize: row.kind === "settlement" ? row.amount : null,
+  refunds: row.kind === "cancellation" ? row.amount : null,
+  timestamp: row.timestamp,
+  blockNumber: row.block_number,
+  txHash: row.tx_hash,
+  entrants: []
+});
+
+const toEvent = (row) => ({
+  kind: row.kind,
+  name: row.name,
+  player: row.player,
+  amount: row.amount,
+  roundId: row.round_id,
+  blockNumber: row.block_number,
+  logIndex: row.log_index,
+  txHash: row.tx_hash,
+  timestamp: row.timestamp
+});
+
+export class EventStore {
+  constructor(filename = ":memory:") {
+    this.db = new Database(filename);
+    this.db.pragma("journal_mode = WAL");
+    this.db.exec(SCHEMA);
+    this.db.aggregate("wei_sum", {
+      start: "0",
+      step: (total, amount) => (amount === null ? total : (BigInt(total) + BigInt(amount)).toString())
+    });
+
+    const insert = this.db.prepare(`
+      INSERT OR REPLACE INTO events
+        (contract, kind, name, player, amount, round, block_number, block_hash, log_index, tx_hash, timestamp)
+      VALUES
+        (@contract, @kind, @name, @player, @amount, @round, @blockNumber, @blockHash, @logIndex, @txHash, @timestamp)
+    `);
+    const remove = this.db.prepare("DELETE FROM events WHERE tx_hash = ? AND log_index = ?");
+    this.addEvents = this.db.transaction((events) => events.forEach((event) => insert.run(event)));
+    this.removeEvents = this.db.transaction((events) => {
+      events.forEach(({ txHash, logIndex }) => remove.run(txHash, logIndex));
+    });
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  getCursor(contract) {
+    const row = this.db.prepare("SELECT block_number FROM cursors WHERE contract = ?").get(contract);
+    return row ? row.block_number : null;
+  }
+
+  setCursor(contract, blockNumber) {
+    this.db
+      .prepare(`
+        INSERT INTO cursors (contract, block_number) VALUES (?, ?)
+        ON CONFLICT (contract) DO UPDATE SET block_number = excluded.block_number
+      `)
+      .run(contract, blockNumber);
+  }
+
+  /**
+   * Settled and cancelled rounds, newest first, each with its entrants in order.
+   */
+  getRounds(contract, { before = Number.MAX_SAFE_INTEGER, limit = 20 } = {}) {
+    const rounds = this.db
+      .prepare(`
+        SELECT * FROM event_rounds
+        WHERE contract = ? AND kind IN ('settlement', 'cancellation') AND round_id < ?
+        ORDER BY round_id DESC LIMIT ?
+      `)
+      .all(contract, before, limit)
+      .map(toRound);
+    if (rounds.length === 0) return [];
+
+    const byId = new Map(rounds.map((round) => [round.roundId, round]));
+    const entries = this.db
+      .prepare(`
+        SELECT * FROM event_rounds
+        WHERE contract = ? AND kind = 'entry' AND round_id BETWEEN ? AND ?
+        ORDER BY block_number, log_index
+      `)
+      .all(contract, rounds[rounds.length - 1].roundId, rounds[0].roundId);
+    for (const entry of entries) {
+      byId.get(entry.round_id).entrants.push({ player: entry.player, amount: entry.amount, txHash: entry.tx_hash });
+    }
+    return rounds;
+  }
+
+  /**
+   * One round, over or still open (winner null), or null if it has not started.
+   */
+  getRound(contract, roundId) {
+    const [closed] = this.getRounds(contract, { before: roundId + 1, limit: 1 });
+    if (closed && closed.roundId === roundId) return closed;
+    if (roundId !== this.countClosedRounds(contract) + 1) return null;
+
+    const entrants = this.db
+      .prepare(`
+        SELECT player, amount, tx_hash FROM event_rounds
+        WHERE contract = ? AND kind = 'entry' AND round_id = ?
+        ORDER BY block_number, log_index
+      `)
+      .all(contract, roundId)
+      .map((row) => ({ player: row.player, amount: row.amount, txHash: row.tx_hash }));
+    return {
+      roundId,
+      cancelled: false,
+      winner: null,
+      prize: null,
+      refunds: null,
+      timestamp: null,
+      blockNumber: null,
+      txHash: null,
+      entrants
+    };
+  }
+
+  countClosedRounds(contract) {
+    return this.db
+      .prepare("SELECT COUNT(*) AS count FROM events WHERE contract = ? AND kind IN ('settlement', 'cancellation')")
+      .get(contract).count;
+  }
+
+  /**
+   * Players by number of entries, with what they spent and were refunded.
+   */
+  getPlayers(contract, { limit = 20, offset = 0 } = {}) {
+    return this.db
+      .prepare(`
+        SELECT
+          player,
+          SUM(kind = 'entry') AS entries,
+          COUNT(DISTINCT CASE WHEN kind = 'entry' THEN round_id END) AS rounds,
+          wei_sum(CASE WHEN kind = 'entry' THEN amount END) AS spent,
+          wei_sum(CASE WHEN kind = 'refund' THEN amount END) AS refunded
+        FROM event_rounds WHERE contract = ? AND kind IN ('entry', 'refund')
+        GROUP BY player ORDER BY entries DESC, player LIMIT ? OFFSET ?
+      `)
+      .all(contract, limit, offset);
+  }
+
+  /**
+   * Every round a player entered or won, oldest first with a running net
+   * that credits claimed refunds, in the shape of the frontend's
+   * summarizePlayer (amounts as strings).
+   */
+  getPlayer(contract, player) {
+    const rows = this.db
+      .prepare(`
+        SELECT
+          round_id,
+          SUM(kind = 'entry') AS entries,
+          wei_sum(CASE WHEN kind = 'entry' THEN amount END) AS spent,
+          wei_sum(CASE WHEN kind = 'settlement' THEN amount END) AS won,
+          wei_sum(CASE WHEN kind = 'refund' THEN amount END) AS refunded,
+          MAX(kind = 'settlement') AS is_winner
+        FROM event_rounds
+        WHERE contract = ? AND player = ? AND kind IN ('entry', 'settlement', 'refund')
+        GROUP BY round_id ORDER BY round_id
+      `)
+      .all(contract, player);
+    const closedAt = new Map(
+      this.db
+        .prepare(`
+          SELECT round_id, kind, timestamp FROM event_rounds
+          WHERE contract = ? AND kind IN ('settlement', 'cancellation')
+        `)
+        .all(contract)
+        .map((row) => [row.round_id, row])
+    );
+
+    let spent = 0n;
+    let won = 0n;
+    let refunded = 0n;
+    const summary = rows.map((row) => {
+      spent += BigInt(row.spent);
+      won += BigInt(row.won);
+      refunded += BigInt(row.refunded);
+      const closed = closedAt.get(row.round_id);
+      return {
+        roundId: row.round_id,
+        entries: row.entries,
+        spent: row.spent,
+        won: row.won,
+        refunded: row.refunded,
+        isWinner: row.is_winner === 1,
+        cancelled: closed?.kind === "cancellation",
+        isCurrent: !closed,
+        timestamp: closed?.timestamp ?? null,
+        net: (won + refunded - spent).toString()
+      };
+    });
+
+    return {
+      player,
+      rows: summary,
+      roundsEntered: summary.filter((row) => row.entries > 0).length,
+      wins: summary.filter((row) => row.isWinner).length,
+      spent: spent.toString(),
+      won: won.toString(),
+      refunded: refunded.toString(),
+      net: (won + refunded - spent).toString()
+    };
+  }
+
+  /**
+   * Winners by total amount won.
+   */
+  getWinners(contract, { limit = 20 } = {}) {
+    return this.db
+      .prepare(`
+        SELECT player AS winner, COUNT(*) AS wins, wei_sum(amount) AS won
+        FROM events WHERE contract = ? AND kind = 'settlement'
+        GROUP BY player ORDER BY ${BY_WEI_DESC("won")} LIMIT ?
+      `)
+      .all(contract, limit);
+  }
+
+  getStats(contract) {
+    const totals = this.db
+      .prepare(`
+        SELECT
+          SUM(kind = 'settlement') AS rounds,
+          SUM(kind = 'cancellation') AS cancelled,
+          SUM(kind = 'entry') AS entries,
+          COUNT(DISTINCT CASE WHEN kind = 'entry' THEN player END) AS players,
+          wei_sum(CASE WHEN kind = 'entry' THEN amount END) AS volume,
+          wei_sum(CASE WHEN kind = 'settlement' THEN amount END) AS paidOut,
+          wei_sum(CASE WHEN kind = 'refund' THEN amount END) AS refunded
+        FROM events WHERE contract = ?
+      `)
+      .get(contract);
+    const biggest = this.db
+      .prepare(`
+        SELECT amount FROM events WHERE contract = ? AND kind = 'settlement'
+        ORDER BY ${BY_WEI_DESC("amount")} LIMIT 1
+      `)
+      .get(contract);
+    const roundsPerDay = this.db
+      .prepare(`
+        SELECT date(timestamp, 'unixepoch') AS day, COUNT(*) AS rounds
+        FROM events WHERE contract = ? AND kind = 'settlement'
+        GROUP BY day ORDER BY day
+      `)
+      .all(contract);
+
+    return {
+      rounds: totals.rounds ?? 0,
+      cancelled: totals.cancelled ?? 0,
+      entries: totals.entries ?? 0,
+      players: totals.players,
+      volume: totals.volume,
+      paidOut: totals.paidOut,
+      refunded: totals.refunded,
+      biggestPrize: biggest ? biggest.amount : "0",
+      roundsPerDay,
+      lastBlock: this.getCursor(contract)
+    };
+  }
+
+  /**
+   * Entries, settlements, cancellations and refunds in a block range, oldest
+   * first. With `player`, entries and refunds are narrowed to that address;
+   * settlements and cancellations always come in full since they mark the
+   * round boundaries.
+   */
+  getEvents(contract, { fromBlock = 0, toBlock = Number.MAX_SAFE_INTEGER, player } = {}) {
+    return this.db
+      .prepare(`
+        SELECT * FROM event_rounds
+        WHERE contract = @contract AND block_number BETWEEN @fromBlock AND @toBlock
+          AND (kind IN ('settlement', 'cancellation')
+            OR (kind IN ('entry', 'refund') AND (@player IS NULL OR player = @player)))
+        ORDER BY block_number, log_index
+      `)
+      .all({ contract, fromBlock, toBlock, player: player ?? null })
+      .map(toEvent);
+  }
+}
@@ -0,0 +1,116 @@
+import { Contract, getAddress } from "ethers";
+import { EventStream, RAFFLE_ABI, RAFFLE_VRF_ABI, ETH_REWARD_POOL_ABI } from "../sdk/index.js";
+
+const RAFFLE_EVENTS = {
+  PlayerEntered: "entry",
+  WinnerPicked: "settlement",
+  RaffleStarted: "started",
+  RaffleClosed: "closed"
+};
+
+// The games that cancel rounds and refund them (contracts/RoundRefunds.sol)
+const REFUND_EVENTS = {
+  RoundCancelled: "cancellation",
+  RefundClaimed: "refund"
+};
+
+// Indexed contracts by their name in the network registry, with the kind of
+// row each followed event becomes
+export const GAMES = {
+  Raffle: { abi: RAFFLE_ABI, events: { ...RAFFLE_EVENTS, ...REFUND_EVENTS } },
+  RaffleVRF: { abi: RAFFLE_VRF_ABI, events: { ...RAFFLE_EVENTS, ...REFUND_EVENTS } },
+  EthRewardPool: {
+    abi: ETH_REWARD_POOL_ABI,
+    events: { ParticipantJoined: "entry", RewardDistributed: "settlement", ...REFUND_EVENTS }
+  }
+};
+
+// Where each kind of event carries its amount: entries and settlements are
+// (player, amount), RaffleStarted the new fee, RoundCancelled (roundId,
+// refunds) and RefundClaimed (player, roundId, amount)
+const AMOUNT_ARG = { entry: 1, settlement: 1, started: 0, cancellation: 1, refund: 2 };
+
+function toRow(contract, kind, event) {
+  const hasPlayer = kind === "entry" || kind === "settlement" || kind === "refund";
+  const amount = kind in AMOUNT_ARG ? event.args[AMOUNT_ARG[kind]] : null;
+  return {
+    contract,
+    kind,
+    name: event.name,
+    player: hasPlayer ? event.args[0] : null,
+    amount: amount === null ? null : amount.toString(),
+    // A refund is claimed in a later round than the one it pays back
+    round: kind === "refund" ? Number(event.args[1]) : null,
+    blockNumber: event.blockNumber,
+    blockHash: event.blockHash,
+    logIndex: event.logIndex,
+    txHash: event.txHash,
+    timestamp: event.timestamp
+  };
+}
+
+/**
+ * Follows the given contracts into an EventStore. Logs are only stored once
+ * they are `confirmations` blocks deep, so ordinary reorgs never reach the
+ * database; a deeper one is still caught by the stream's reorg window and the
+ * dropped rows are deleted. Each contract resumes from its stored cursor.
+ *
+ * `contracts` is a list of { name, address, startBlock } with name a key of GAMES.
+ */
+export class Indexer {
+  constructor({ provider, store, contracts, confirmations = 12, pollInterval = 4000, onError = console.error }) {
+    this.store = store;
+    this.pollInterval = pollInterval;
+    this.timer = null;
+    this.running = null;
+
+    this.streams = contracts.map(({ name, address, startBlock = 0 }) => {
+      const target = getAddress(address);
+      const game = GAMES[name];
+      if (!game) {
+        throw new Error(`Cannot index ${name}, expected one of ${Object.keys(GAMES).join(", ")}`);
+      }
+      const contract = new Contract(target, game.abi, provider);
+      const cursor = store.getCursor(target);
+
+      return new EventStream(contract, Object.keys(game.events), {
+        fromBlock: cursor === null ? startBlock : cursor + 1,
+        confirmations,
+        onEvents: (events) => store.addEvents(events.map((event) => toRow(target, game.events[event.name], event))),
+        onRemoved: (events) => store.removeEvents(events),
+        onError
+      });
+    });
+  }
+
+  /**
+   * Catch every contract up to the confirmed head and save the cursors.
+   */
+  sync() {
+    if (!this.running) {
+      this.running = (async () => {
+        for (const stream of this.streams) {
+          await stream.sync();
+          if (stream.lastBlock >= stream.fromBlock) {
+            this.store.setCursor(stream.contract.target, stream.lastBlock);
+          }
+        }
+      })().finally(() => {
+        this.running = null;
+      });
+    }
+    return this.running;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.sync(), this.pollInterval);
+    return this.sync();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    return this.running;
+  }
+}
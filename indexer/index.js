@@ -0,0 +1,57 @@
+import "dotenv/config";
+import { JsonRpcProvider } from "ethers";
+import registry from "../scripts/lib/network-registry.cjs";
+import { EventStore } from "./EventStore.js";
+import { Indexer, GAMES } from "./Indexer.js";
+import { createApiServer } from "./server.js";
+
+// Indexes every supported contract recorded for INDEXER_CHAIN_ID in
+// frontend/src/contracts/networks.json and serves the API. Run from the repo
+// root with `npm run indexer`.
+
+const LOCAL_CHAIN_IDS = ["1337", "31337"];
+
+const chainId = process.env.INDEXER_CHAIN_ID || "1337";
+const network = registry.readRegistry()[chainId];
+if (!network) {
+  console.error(`❌ Chain ${chainId} is not in ${registry.REGISTRY_PATH}`);
+  process.exit(1);
+}
+
+const contracts = Object.entries(network.contracts)
+  .filter(([name]) => GAMES[name])
+  .map(([name, { address, blockNumber }]) => ({ name, address, startBlock: blockNumber ?? 0 }));
+if (contracts.length === 0) {
+  console.error(`❌ Nothing to index on ${network.name}, deploy a raffle or pool first`);
+  process.exit(1);
+}
+
+// A local node does not reorg, public chains wait for 12 blocks by default
+const confirmations = process.env.INDEXER_CONFIRMATIONS !== undefined
+  ? Number(process.env.INDEXER_CONFIRMATIONS)
+  : LOCAL_CHAIN_IDS.includes(chainId) ? 0 : 12;
+const rpcUrl = process.env.INDEXER_RPC_URL || network.rpcUrl;
+const port = Number(process.env.INDEXER_PORT || 4000);
+
+const provider = new JsonRpcProvider(rpcUrl, Number(chainId), { staticNetwork: true });
+const store = new EventStore(process.env.INDEXER_DB || "indexer/raffle.db");
+const indexer = new Indexer({ provider, store, contracts, confirmations });
+const server = createApiServer(store, { contracts });
+
+console.log(`📡 Indexing ${network.name} through ${rpcUrl} (${confirmations} confirmations)`);
+for (const { name, address, startBlock } of contracts) {
+  const cursor = store.getCursor(address);
+  console.log(`   ${name} ${address} ${cursor === null ? `from block ${startBlock}` : `resuming after block ${cursor}`}`);
+}
+
+indexer.start();
+server.listen(port, () => console.log(`🌐 API listening on http://localhost:${port}/api`));
+
+const shutdown = async () => {
+  server.close();
+  await indexer.stop();
+  store.close();
+  process.exit(0);
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
@@ -0,0 +1,107 @@
+import http from "http";
+import { getAddress, isAddress } from "ethers";
+
+// Read-only JSON API over an EventStore. Every route takes ?contract=<address>,
+// which may be left out when the indexer follows a single contract. Amounts
+// are wei as decimal strings.
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const intParam = (params, name, fallback, max = Number.MAX_SAFE_INTEGER) => {
+  const value = params.get(name);
+  if (value === null) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new HttpError(400, `${name} must be a non-negative integer`);
+  }
+  return Math.min(number, max);
+};
+
+const addressParam = (value, name) => {
+  if (!isAddress(value)) throw new HttpError(400, `${name} is not an address`);
+  return getAddress(value);
+};
+
+/**
+ * `contracts` lists the indexed { name, address } pairs.
+ */
+export function createApiServer(store, { contracts }) {
+  const indexed = new Map(contracts.map(({ name, address }) => [getAddress(address), name]));
+
+  const contractOf = (params) => {
+    const value = params.get("contract");
+    if (value === null) {
+      if (indexed.size === 1) return [...indexed.keys()][0];
+      throw new HttpError(400, `Pass ?contract=<address>, this indexer follows ${indexed.size} contracts`);
+    }
+    const address = addressParam(value, "contract");
+    if (!indexed.has(address)) throw new HttpError(404, `${address} is not indexed`);
+    return address;
+  };
+
+  const routes = [
+    ["/api/contracts", () =>
+      [...indexed].map(([address, name]) => ({ name, address, lastBlock: store.getCursor(address) }))],
+    ["/api/rounds", (params) =>
+      store.getRounds(contractOf(params), {
+        before: intParam(params, "before", Number.MAX_SAFE_INTEGER),
+        limit: intParam(params, "limit", 20, 100)
+      })],
+    [/^\/api\/rounds\/(\d+)$/, (params, [roundId]) => {
+      const round = store.getRound(contractOf(params), Number(roundId));
+      if (!round) throw new HttpError(404, `Round ${roundId} has not started`);
+      return round;
+    }],
+    ["/api/players", (params) =>
+      store.getPlayers(contractOf(params), {
+        limit: intParam(params, "limit", 20, 100),
+        offset: intParam(params, "offset", 0)
+      })],
+    [/^\/api\/players\/([^/]+)$/, (params, [player]) =>
+      store.getPlayer(contractOf(params), addressParam(player, "player"))],
+    ["/api/winners", (params) =>
+      store.getWinners(contractOf(params), { limit: intParam(params, "limit", 20, 100) })],
+    ["/api/stats", (params) => store.getStats(contractOf(params))],
+    ["/api/events", (params) =>
+      store.getEvents(contractOf(params), {
+        fromBlock: intParam(params, "fromBlock", 0),
+        toBlock: intParam(params, "toBlock", Number.MAX_SAFE_INTEGER),
+        player: params.has("player") ? addressParam(params.get("player"), "player") : undefined
+      })]
+  ];
+
+  const handle = (method, url) => {
+    if (method !== "GET") throw new HttpError(405, "Only GET is supported");
+    const { pathname, searchParams } = new URL(url, "http://localhost");
+    for (const [path, handler] of routes) {
+      const match = typeof path === "string"
+        ? pathname === path && []
+        : path.exec(pathname)?.slice(1);
+      if (match) return handler(searchParams, match);
+    }
+    throw new HttpError(404, `No route for ${pathname}`);
+  };
+
+  return http.createServer((request, response) => {
+    let status = 200;
+    let body;
+    try {
+      body = handle(request.method, request.url);
+    } catch (error) {
+      status = error instanceof HttpError ? error.status : 500;
+      body = { error: error instanceof HttpError ? error.message : "Internal error" };
+      if (status === 500) console.error(error);
+    }
+    response.writeHead(status, {
+      "Content-Type": "application/json",
+      // The frontend is served from another origin
+      "Access-Control-Allow-Origin": "*"
+    });
+    response.end(JSON.stringify(body));
+  });
+}
@@ -0,0 +1,79 @@
+const hre = require("hardhat");
+const { GAMES, runFairness } = require("./lib/fairness.cjs");
+
+// Plays thousands of rounds of each game on the in-process Hardhat network,
+// tests whether winners are spread evenly over the players and shows how a
+// caller who picks the settling block can choose the winner.
+//
+//   FAIRNESS_ROUNDS   honest rounds per game (default 2000)
+//   FAIRNESS_PLAYERS  player counts to cycle through, comma separated (default 2,3,5,10)
+//   FAIRNESS_GRIND    upcoming blocks the attacker chooses from, 0 to skip the attack (default 16)
+//   FAIRNESS_GAMES    games to run, comma separated (default: all)
+//   FAIRNESS_SEED     seed for the blocks' prevrandao values (default "fairness")
+
+const SIGNIFICANCE = 0.001;
+
+const list = (value, fallback) => (value ? value.split(",").map((item) => item.trim()).filter(Boolean) : fallback);
+const percent = (part, whole) => `${((100 * part) / whole).toFixed(1)}%`;
+
+async function main() {
+  // Rounds set prevrandao and block timestamps, which only a Hardhat network allows
+  if (hre.network.name !== "hardhat") {
+    throw new Error(`Run the fairness harness on the in-process network, not ${hre.network.name}`);
+  }
+
+  const rounds = Number(process.env.FAIRNESS_ROUNDS || 2000);
+  const playerCounts = list(process.env.FAIRNESS_PLAYERS, ["2", "3", "5", "10"]).map(Number);
+  const grind = Number(process.env.FAIRNESS_GRIND ?? 16);
+  const games = list(process.env.FAIRNESS_GAMES, Object.keys(GAMES));
+  const seed = process.env.FAIRNESS_SEED || "fairness";
+
+  for (const game of games) {
+    if (!GAMES[game]) throw new Error(`Unknown game ${game}, expected one of ${Object.keys(GAMES).join(", ")}`);
+  }
+
+  let biased = 0;
+  for (const game of games) {
+    console.log(`\n🎲 ${game}: ${rounds} rounds with ${playerCounts.join(", ")} players`);
+    const onRound = (round) => {
+      if (round % 500 === 0) console.log(`   ... ${round} rounds`);
+    };
+
+    const honest = await runFairness(hre, game, { rounds, playerCounts, seed, onRound });
+    for (const { playerCount, rounds: played, wins, statistic, pValue } of honest.byPlayerCount) {
+      const fair = pValue > SIGNIFICANCE;
+      if (!fair) biased++;
+      console.log(
+        `   ${fair ? "✅" : "❌"} ${playerCount} players, ${played} rounds: ` +
+          `χ² ${statistic.toFixed(2)}, p ${pValue.toFixed(4)}  [${wins.join(" ")}]`
+      );
+    }
+    if (honest.reproduced === null) {
+      console.log("   🔒 Winners come from the coordinator's random words, block data cannot reproduce them");
+    } else {
+      console.log(`   🔍 Reproduced ${honest.reproduced}/${honest.rounds} winners off-chain from block data`);
+    }
+
+    if (grind > 0) {
+      const attack = await runFairness(hre, game, { rounds: Math.min(rounds, 500), playerCounts, grind, seed });
+      console.log(
+        `   🎯 Choosing among ${grind} blocks, player 0 won ${attack.targetWins}/${attack.rounds} ` +
+          `(${percent(attack.targetWins, attack.rounds)}, fair share ${percent(attack.expectedTargetWins, attack.rounds)})`
+      );
+    }
+  }
+
+  console.log(
+    biased === 0
+      ? `\n✅ No player count failed the uniformity test at p < ${SIGNIFICANCE}`
+      : `\n❌ ${biased} player count(s) failed the uniformity test at p < ${SIGNIFICANCE}`
+  );
+  return biased;
+}
+
+main()
+  .then((biased) => process.exit(biased > 0 ? 1 : 0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
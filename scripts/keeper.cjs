@@ -0,0 +1,82 @@
+const hre = require("hardhat");
+const { readRegistry } = require("./lib/network-registry.cjs");
+const { Keeper } = require("./lib/keeper.cjs");
+require("dotenv").config();
+
+// Settles expired reward pool rounds and, when KEEPER_RAFFLE_INTERVAL is set,
+// picks raffle winners on that schedule with the owner account.
+//
+//   KEEPER_POOLS            pool addresses, comma separated (default: the registry's EthRewardPool)
+//   KEEPER_RAFFLES          raffle addresses for Raffle mode (default: the registry's Raffle)
+//   KEEPER_RAFFLE_INTERVAL  seconds between pickWinner calls, enables Raffle mode
+//   KEEPER_MAX_GAS_GWEI     highest gas price to pay, unset for no cap
+//   KEEPER_POLL_INTERVAL    seconds between checks (default 15)
+//   KEEPER_RETRIES          retries after a failed send (default 3)
+//   KEEPER_ONCE             "true" to check once and exit, e.g. from cron
+
+const addressList = (value, fallback) =>
+  value ? value.split(",").map((address) => address.trim()).filter(Boolean) : fallback ? [fallback] : [];
+
+async function main() {
+  const [signer] = await hre.ethers.getSigners();
+  const network = await hre.ethers.provider.getNetwork();
+  const deployed = readRegistry()[String(network.chainId)]?.contracts ?? {};
+
+  console.log(`🤖 Keeper on ${hre.network.name} (Chain ID: ${network.chainId}) as ${signer.address}`);
+
+  const poolAddresses = addressList(process.env.KEEPER_POOLS, deployed.EthRewardPool?.address);
+  const pools = await Promise.all(
+    poolAddresses.map((address) => hre.ethers.getContractAt("EthRewardPool", address, signer))
+  );
+
+  const raffleInterval = Number(process.env.KEEPER_RAFFLE_INTERVAL || 0);
+  const raffleAddresses = raffleInterval > 0
+    ? addressList(process.env.KEEPER_RAFFLES, deployed.Raffle?.address)
+    : [];
+  const raffles = await Promise.all(
+    raffleAddresses.map((address) => hre.ethers.getContractAt("Raffle", address, signer))
+  );
+
+  // pickWinner is owner-only, fail now instead of on every scheduled pick
+  for (const raffle of raffles) {
+    const owner = await raffle.owner();
+    if (owner.toLowerCase() !== signer.address.toLowerCase()) {
+      throw new Error(`Raffle ${raffle.target} is owned by ${owner}, not the keeper account ${signer.address}`);
+    }
+  }
+
+  if (pools.length === 0 && raffles.length === 0) {
+    throw new Error("Nothing to watch: deploy a pool, or set KEEPER_POOLS or KEEPER_RAFFLE_INTERVAL");
+  }
+  pools.forEach((pool) => console.log(`   Pool   ${pool.target}`));
+  raffles.forEach((raffle) => console.log(`   Raffle ${raffle.target}, a pick every ${raffleInterval}s`));
+
+  const keeper = new Keeper({
+    pools,
+    raffles,
+    raffleInterval,
+    maxGasPrice: process.env.KEEPER_MAX_GAS_GWEI
+      ? hre.ethers.parseUnits(process.env.KEEPER_MAX_GAS_GWEI, "gwei")
+      : null,
+    retries: Number(process.env.KEEPER_RETRIES || 3)
+  });
+
+  if (process.env.KEEPER_ONCE === "true") {
+    await keeper.tick();
+    return;
+  }
+
+  keeper.start(Number(process.env.KEEPER_POLL_INTERVAL || 15) * 1000);
+  await new Promise((resolve) => {
+    process.on("SIGINT", resolve);
+    process.on("SIGTERM", resolve);
+  });
+  await keeper.stop();
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,233 @@
+const { formatEther } = require("ethers");
+const { readRegistry, readSavedArtifact } = require("./network-registry.cjs");
+const { FRONTEND_ARTIFACTS, stripMetadata, hashAbi } = require("./deployments.cjs");
+
+// Used by the check-deployments task: compares what runs on chain and what
+// the frontend bundle points at with the compiled contracts and the
+// deployment records. Every check is { contractName, address, check, status,
+// detail }, where status is one of:
+//   ok        matches
+//   warning   worth a look, e.g. a fee the owner changed since deployment
+//   mismatch  the chain disagrees with the artifacts or the record
+//   stale     frontend/src/contracts differs from what export-frontend writes
+//   skipped   nothing to compare against
+
+const FAILURES = ["mismatch", "stale"];
+
+/**
+ * Runtime bytecode with the immutable values zeroed, as the compiler leaves
+ * them in the artifact.
+ */
+function maskImmutables(bytecode, immutableReferences) {
+  let masked = bytecode.toLowerCase();
+  for (const references of Object.values(immutableReferences)) {
+    for (const { start, length } of references) {
+      const from = 2 + start * 2;
+      masked = masked.slice(0, from) + "00".repeat(length) + masked.slice(from + length * 2);
+    }
+  }
+  return masked;
+}
+
+/**
+ * Whether the code at address is the compiled contractName, ignoring the
+ * metadata hash and the values of immutables.
+ */
+async function checkCode(hre, contractName, address) {
+  const code = await hre.ethers.provider.getCode(address);
+  if (code === "0x") {
+    return { status: "mismatch", detail: "no code at this address" };
+  }
+
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const buildInfo = await hre.artifacts.getBuildInfo(`${artifact.sourceName}:${contractName}`);
+  const { immutableReferences = {} } =
+    buildInfo.output.contracts[artifact.sourceName][contractName].evm.deployedBytecode;
+
+  const onChain = stripMetadata(maskImmutables(code, immutableReferences));
+  const compiled = stripMetadata(maskImmutables(artifact.deployedBytecode, immutableReferences));
+  if (onChain !== compiled) {
+    return { status: "mismatch", detail: `runtime bytecode differs from the compiled ${contractName}` };
+  }
+  return { status: "ok", detail: "runtime bytecode matches the compiled contract" };
+}
+
+// None of the contracts can transfer ownership, so the owner is always the deployer
+function ownerCheck(owner, record) {
+  if (!record) {
+    return { check: "owner", status: "ok", detail: owner };
+  }
+  if (owner !== record.deployer) {
+    return { check: "owner", status: "mismatch", detail: `${owner}, deployed by ${record.deployer}` };
+  }
+  return { check: "owner", status: "ok", detail: `${owner} (deployer)` };
+}
+
+async function raffleConfig(contract, record, feeArg) {
+  const [owner, entryFee, isActive] = await Promise.all([contract.owner(), contract.entryFee(), contract.isActive()]);
+  const checks = [ownerCheck(owner, record)];
+
+  // startNewRaffle may change the fee, so a difference is only a warning
+  if (record && entryFee.toString() !== record.args[feeArg]) {
+    checks.push({
+      check: "entryFee",
+      status: "warning",
+      detail: `${formatEther(entryFee)} ETH, deployed with ${formatEther(record.args[feeArg])} ETH`
+    });
+  } else {
+    checks.push({ check: "entryFee", status: "ok", detail: `${formatEther(entryFee)} ETH` });
+  }
+
+  checks.push({
+    check: "isActive",
+    status: isActive ? "ok" : "warning",
+    detail: isActive ? "open for entries" : "closed to new entries"
+  });
+  return checks;
+}
+
+async function raffleVRFConfig(contract, record, hre) {
+  const checks = await raffleConfig(contract, record, 4);
+  const [vrfCoordinator, gasLane, subscriptionId, callbackGasLimit] = await contract.getVRFConfig();
+  const raffleDuration = await contract.raffleDuration();
+  const live = [
+    ["vrfCoordinator", vrfCoordinator, 0],
+    ["gasLane", gasLane, 1],
+    ["subscriptionId", subscriptionId.toString(), 2],
+    ["callbackGasLimit", callbackGasLimit.toString(), 3],
+    ["raffleDuration", raffleDuration.toString(), 5]
+  ];
+
+  for (const [check, value, arg] of live) {
+    // These are fixed at deployment, any difference means another contract
+    if (record && value.toLowerCase() !== record.args[arg].toLowerCase()) {
+      checks.push({ check, status: "mismatch", detail: `${value}, deployed with ${record.args[arg]}` });
+    } else {
+      checks.push({ check, status: "ok", detail: value });
+    }
+  }
+
+  if ((await hre.ethers.provider.getCode(vrfCoordinator)) === "0x") {
+    checks.push({ check: "vrfCoordinator", status: "mismatch", detail: `no code at ${vrfCoordinator}` });
+  }
+  return checks;
+}
+
+async function poolConfig(contract, record) {
+  const [owner, roundId] = await Promise.all([contract.owner(), contract.roundId()]);
+  return [ownerCheck(owner, record), { check: "roundId", status: "ok", detail: roundId.toString() }];
+}
+
+// Contract name -> live config reader, given the contract and its record (if
+// the record is for the same address)
+const CONFIG_CHECKS = {
+  Raffle: (contract, record) => raffleConfig(contract, record, 0),
+  RaffleVRF: raffleVRFConfig,
+  EthRewardPool: poolConfig
+};
+
+/**
+ * Live configuration of contractName at address, compared with its record.
+ */
+async function checkConfig(hre, contractName, address, record) {
+  const read = CONFIG_CHECKS[contractName];
+  if (!read) {
+    return [];
+  }
+  const contract = await hre.ethers.getContractAt(contractName, address);
+  return read(contract, record && record.address === address ? record : null, hre);
+}
+
+/**
+ * Differences between frontend/src/contracts and what export-frontend would
+ * write for this network.
+ * - registry: the parsed networks.json
+ * - readSaved: contract name -> the artifact saved next to it, or null
+ */
+async function checkBundle(hre, deployments, { registry = readRegistry(), readSaved = readSavedArtifact } = {}) {
+  const bundle = await deployments.frontendBundle();
+  const exported = registry[String(bundle.chainId)]?.contracts ?? {};
+  const checks = [];
+
+  for (const [contractName, expected] of Object.entries(bundle.contracts)) {
+    const actual = exported[contractName];
+    if (!actual) {
+      checks.push({ contractName, check: "networks.json", status: "stale", detail: "not exported" });
+    } else if (actual.address !== expected.address || actual.blockNumber !== expected.blockNumber) {
+      checks.push({
+        contractName,
+        check: "networks.json",
+        status: "stale",
+        detail: `has ${actual.address} (block ${actual.blockNumber}), recorded ${expected.address} (block ${expected.blockNumber})`
+      });
+    }
+  }
+
+  // The ABI files are shared by every network, check the ones this network uses
+  const names = new Set([...Object.keys(bundle.contracts), ...Object.keys(exported)]);
+  for (const contractName of FRONTEND_ARTIFACTS.filter((name) => names.has(name))) {
+    const saved = readSaved(contractName);
+    const { abi } = await hre.artifacts.readArtifact(contractName);
+    if (!saved) {
+      checks.push({ contractName, check: "abi", status: "stale", detail: `${contractName}.json is missing` });
+    } else if (hashAbi(saved.abi) !== hashAbi(abi)) {
+      checks.push({ contractName, check: "abi", status: "stale", detail: `${contractName}.json differs from the compiled ABI` });
+    }
+  }
+  return checks;
+}
+
+/**
+ * Every check for the contracts recorded for this network or exported to the
+ * frontend for its chain. The frontend's address wins when they differ, since
+ * that is what users talk to.
+ */
+async function checkDeployments(hre, deployments, options = {}) {
+  const { MULTICALL3_ADDRESS } = await import("../../sdk/index.js");
+  const { registry = readRegistry() } = options;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const records = Object.fromEntries(
+    deployments.all()
+      .filter((record) => record.chainId === Number(chainId))
+      .map((record) => [record.contractName, record])
+  );
+  const exported = registry[String(chainId)]?.contracts ?? {};
+  const names = [...new Set([...Object.keys(exported), ...Object.keys(records)])];
+
+  const checks = [];
+  for (const contractName of names) {
+    const record = records[contractName];
+    const address = exported[contractName]?.address ?? record.address;
+    const add = (check) => checks.push({ contractName, address, ...check });
+
+    if (address === MULTICALL3_ADDRESS) {
+      add({ check: "code", status: "skipped", detail: "canonical Multicall3, not built here" });
+      continue;
+    }
+    if (!(await hre.artifacts.artifactExists(contractName))) {
+      add({ check: "code", status: "skipped", detail: `no ${contractName} artifact to compare with` });
+      continue;
+    }
+    const code = await checkCode(hre, contractName, address);
+    add({ check: "code", ...code });
+    // Other code may not even have the getters
+    if (code.status === "ok") {
+      (await checkConfig(hre, contractName, address, record)).forEach(add);
+    }
+  }
+
+  for (const check of await checkBundle(hre, deployments, options)) {
+    checks.push({ address: exported[check.contractName]?.address ?? records[check.contractName].address, ...check });
+  }
+  // Grouped by contract, in a stable order
+  return checks.sort((a, b) => names.indexOf(a.contractName) - names.indexOf(b.contractName));
+}
+
+module.exports = {
+  FAILURES,
+  maskImmutables,
+  checkCode,
+  checkConfig,
+  checkBundle,
+  checkDeployments
+};
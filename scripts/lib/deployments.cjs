@@ -0,0 +1,200 @@
+const fs = require("fs");
+const path = require("path");
+const { id, keccak256 } = require("ethers");
+const { recordDeployments, saveArtifact } = require("./network-registry.cjs");
+
+// Used by the deploy and export-frontend tasks: deployments/<network>/<Contract>.json
+// records where each contract lives on that network and what was deployed
+// there, so a rerun can skip contracts that have not changed.
+const DEPLOYMENTS_DIR = "./deployments";
+
+// Contracts whose ABI the frontend loads from frontend/src/contracts
+const FRONTEND_ARTIFACTS = ["Raffle", "RaffleVRF", "EthRewardPool"];
+
+/**
+ * Creation or runtime bytecode without the CBOR metadata solc appends. The metadata
+ * hashes the sources, so it changes with comments and file paths while the
+ * code stays the same. Its length is stored in the last two bytes.
+ */
+function stripMetadata(bytecode) {
+  const length = parseInt(bytecode.slice(-4), 16);
+  const end = bytecode.length - (length + 2) * 2;
+  return Number.isNaN(length) || end < 2 ? bytecode : bytecode.slice(0, end);
+}
+
+const hashAbi = (abi) => id(JSON.stringify(abi));
+const hashBytecode = (bytecode) => keccak256(stripMetadata(bytecode));
+
+// Constructor args as they are stored: numbers and bigints become decimal
+// strings, so 500000, "500000" and 500000n all compare equal
+const serializeArgs = (args) =>
+  args.map((arg) => {
+    if (Array.isArray(arg)) return serializeArgs(arg);
+    return typeof arg === "bigint" || typeof arg === "number" ? arg.toString() : arg;
+  });
+
+class Deployments {
+  /**
+   * - dir: where the per-network folders live
+   * - force: redeploy even when the recorded deployment is up to date
+   * - confirmations: blocks to wait for after each deployment
+   */
+  constructor(hre, { dir = DEPLOYMENTS_DIR, force = false, confirmations = 1, log = console.log } = {}) {
+    this.hre = hre;
+    this.dir = path.join(dir, hre.network.name);
+    this.force = force;
+    this.confirmations = confirmations;
+    this.log = log;
+
+    // Records written by deploy() during this run, e.g. to verify them
+    this.deployed = [];
+  }
+
+  read(contractName) {
+    const file = path.join(this.dir, contractName + ".json");
+    return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+  }
+
+  all() {
+    if (!fs.existsSync(this.dir)) {
+      return [];
+    }
+    return fs.readdirSync(this.dir)
+      .filter((file) => file.endsWith(".json"))
+      .sort()
+      .map((file) => JSON.parse(fs.readFileSync(path.join(this.dir, file), "utf8")));
+  }
+
+  write(record) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, record.contractName + ".json"), JSON.stringify(record, undefined, 2) + "\n");
+    return record;
+  }
+
+  /**
+   * Why `previous` cannot be reused for `wanted`, or null when it can.
+   */
+  async changeFrom(previous, wanted) {
+    if (!previous) return "not deployed yet";
+    if (previous.chainId !== wanted.chainId) return `recorded on chain ${previous.chainId}`;
+    if ((await this.hre.ethers.provider.getCode(previous.address)) === "0x") return "no code at the recorded address";
+    if (previous.bytecodeHash !== wanted.bytecodeHash) return "bytecode changed";
+    if (JSON.stringify(previous.args) !== JSON.stringify(wanted.args)) return "constructor args changed";
+    return null;
+  }
+
+  /**
+   * Deploy contractName with args unless the recorded deployment has the same
+   * bytecode and args and still has code. Resolves with the record, an ethers
+   * Contract for it and whether a new deployment was made.
+   */
+  async deploy(contractName, args = []) {
+    const { ethers, artifacts } = this.hre;
+    const artifact = await artifacts.readArtifact(contractName);
+    const { chainId } = await ethers.provider.getNetwork();
+    const wanted = {
+      chainId: Number(chainId),
+      args: serializeArgs(args),
+      abiHash: hashAbi(artifact.abi),
+      bytecodeHash: hashBytecode(artifact.bytecode)
+    };
+
+    let previous = this.read(contractName);
+    const reason = this.force ? "forced" : await this.changeFrom(previous, wanted);
+    if (!reason) {
+      // An ABI-only change (e.g. a renamed parameter) needs no redeploy
+      if (previous.abiHash !== wanted.abiHash) {
+        previous = this.write({ ...previous, abiHash: wanted.abiHash });
+      }
+      this.log(`♻️  ${contractName} unchanged at ${previous.address}`);
+      return { record: previous, contract: await ethers.getContractAt(contractName, previous.address), deployed: false };
+    }
+
+    this.log(`📝 Deploying ${contractName} (${reason})...`);
+    const factory = await ethers.getContractFactory(contractName);
+    const contract = await factory.deploy(...args);
+    const transaction = contract.deploymentTransaction();
+    const receipt = await transaction.wait(this.confirmations);
+    const record = this.write({
+      contractName,
+      chainId: wanted.chainId,
+      address: receipt.contractAddress,
+      txHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      deployer: transaction.from,
+      args: wanted.args,
+      abiHash: wanted.abiHash,
+      bytecodeHash: wanted.bytecodeHash
+    });
+    this.deployed.push(record);
+    this.log(`✅ ${contractName} deployed to ${record.address} in block ${record.blockNumber}`);
+    return { record, contract, deployed: true };
+  }
+
+  /**
+   * Record a contract this repo did not deploy, such as the canonical
+   * Multicall3 on a public chain.
+   */
+  async adopt(contractName, address, blockNumber) {
+    const { chainId } = await this.hre.ethers.provider.getNetwork();
+    const previous = this.read(contractName);
+    if (previous && previous.address === address && previous.chainId === Number(chainId)) {
+      return previous;
+    }
+    return this.write({
+      contractName,
+      chainId: Number(chainId),
+      address,
+      txHash: null,
+      blockNumber,
+      deployer: null,
+      args: [],
+      abiHash: null,
+      bytecodeHash: null
+    });
+  }
+
+  /**
+   * What exportFrontend writes: the registry entries for this network's
+   * records and the compiled artifacts of the ones the frontend loads.
+   */
+  async frontendBundle() {
+    const { chainId } = await this.hre.ethers.provider.getNetwork();
+    const records = this.all().filter((record) => record.chainId === Number(chainId));
+    const artifacts = [];
+    for (const { contractName } of records) {
+      if (FRONTEND_ARTIFACTS.includes(contractName)) {
+        artifacts.push(await this.hre.artifacts.readArtifact(contractName));
+      }
+    }
+    return {
+      chainId: Number(chainId),
+      records,
+      contracts: Object.fromEntries(
+        records.map(({ contractName, address, blockNumber }) => [contractName, { address, blockNumber }])
+      ),
+      artifacts
+    };
+  }
+
+  /**
+   * Merge this network's records into frontend/src/contracts/networks.json
+   * and copy the ABIs the frontend loads next to it.
+   */
+  async exportFrontend() {
+    const { records, contracts, artifacts } = await this.frontendBundle();
+    await recordDeployments(this.hre, contracts);
+    artifacts.forEach(saveArtifact);
+    return records;
+  }
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  FRONTEND_ARTIFACTS,
+  Deployments,
+  stripMetadata,
+  hashAbi,
+  hashBytecode,
+  serializeArgs
+};
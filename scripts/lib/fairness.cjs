@@ -0,0 +1,299 @@
+const { solidityPackedKeccak256, toBeHex, toQuantity, id } = require("ethers");
+
+// Plays many rounds of a game on the Hardhat network and measures how its
+// winner picks are distributed. scripts/fairness.cjs runs it with thousands of
+// rounds and prints a report; test/Fairness.test.js runs smaller samples.
+//
+// For the block-data games (Raffle, EthRewardPool) every pick is reproduced
+// off-chain from the block it was mined in, and an optional grinding attacker
+// settles only in a block where the target player wins. RaffleVRF runs through
+// the same rounds with the coordinator mock, where block data does not decide
+// the winner.
+
+const STAKE = 10n ** 9n; // 1 gwei per entry, winners get the pot back
+const SLOT_SECONDS = 12;
+
+// ---------------------------------------------------------------------------
+// Statistics
+
+// Lanczos approximation of ln(Γ(x)), accurate to ~1e-15 for x > 0
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7
+];
+
+function logGamma(x) {
+  if (x < 0.5) {
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+  x -= 1;
+  let sum = LANCZOS[0];
+  for (let i = 1; i < LANCZOS.length; i++) {
+    sum += LANCZOS[i] / (x + i);
+  }
+  const t = x + LANCZOS.length - 1.5;
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+/**
+ * Regularized upper incomplete gamma function Q(a, x), by its series below
+ * a + 1 and its continued fraction above (Numerical Recipes 6.2).
+ */
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+  const prefix = Math.exp(-x + a * Math.log(x) - logGamma(a));
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 1000 && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+      term *= x / (a + n);
+      sum += term;
+    }
+    return 1 - sum * prefix;
+  }
+
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let h = d;
+  for (let i = 1; i < 1000; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) d = tiny;
+    c = b + an / c;
+    if (Math.abs(c) < tiny) c = tiny;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return prefix * h;
+}
+
+/**
+ * Pearson's chi-square test of `counts` against a uniform distribution.
+ * A small pValue means the counts are unlikely to come from fair picks.
+ */
+function chiSquare(counts) {
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  const expected = total / counts.length;
+  const statistic = counts.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+  const degreesOfFreedom = counts.length - 1;
+  return { statistic, degreesOfFreedom, pValue: gammaQ(degreesOfFreedom / 2, statistic / 2) };
+}
+
+// ---------------------------------------------------------------------------
+// Off-chain copies of the on-chain picks
+
+// EthRewardPool._random() % getTotalContributions(), where _random() is
+// keccak256(abi.encodePacked(block.prevrandao, participants.length, roundId))
+function poolWinningWei({ prevrandao, participantCount, roundId, totalContributions }) {
+  const random = solidityPackedKeccak256(["uint256", "uint256", "uint256"], [prevrandao, participantCount, roundId]);
+  return BigInt(random) % BigInt(totalContributions);
+}
+
+// Raffle.pickWinner(): keccak256(abi.encodePacked(block.timestamp, block.prevrandao, ticketCount)) % ticketCount
+function raffleWinningTicket({ timestamp, prevrandao, ticketCount }) {
+  const random = solidityPackedKeccak256(["uint256", "uint256", "uint256"], [timestamp, prevrandao, ticketCount]);
+  return BigInt(random) % BigInt(ticketCount);
+}
+
+/**
+ * Index of the purchase holding `ticket` when purchases, in order, bought
+ * `counts` tickets (or wei) each, as TicketRanges.ownerOf() finds it.
+ */
+function purchaseAt(counts, ticket) {
+  let end = 0n;
+  return counts.findIndex((count) => ticket < (end += BigInt(count)));
+}
+
+/**
+ * The block values the contracts read. ethers does not expose prevrandao,
+ * which post-merge nodes return as the block's mixHash.
+ */
+async function blockData(provider, blockNumber) {
+  const block = await provider.send("eth_getBlockByNumber", [toQuantity(blockNumber), false]);
+  return { prevrandao: BigInt(block.mixHash), timestamp: Number(block.timestamp) };
+}
+
+// ---------------------------------------------------------------------------
+// Games
+
+const eventArg = (contract, receipt, eventName, field) =>
+  receipt.logs
+    .map((log) => contract.interface.parseLog(log))
+    .find((event) => event && event.name === eventName)
+    .args[field];
+
+// Each game deploys a fresh contract, enters a player, reads what its pick
+// depends on before settling, settles the round and, for block-data games,
+// repeats the pick off-chain
+const GAMES = {
+  EthRewardPool: {
+    async deploy({ ethers }) {
+      const EthRewardPool = await ethers.getContractFactory("EthRewardPool");
+      return { contract: await EthRewardPool.deploy() };
+    },
+    enter: ({ contract }, player) => contract.connect(player).joinPool({ value: STAKE }),
+    async before({ contract }) {
+      const [roundId, roundStart, duration] = await Promise.all([
+        contract.roundId(),
+        contract.roundStart(),
+        contract.ROUND_DURATION()
+      ]);
+      return { roundId, earliest: Number(roundStart + duration) };
+    },
+    async settle({ contract }) {
+      const receipt = await (await contract.distributeReward()).wait();
+      return { winner: eventArg(contract, receipt, "RewardDistributed", "recipient"), blockNumber: receipt.blockNumber };
+    },
+    // Every player contributes one stake
+    predict: (state, block, playerCount) => purchaseAt(
+      new Array(playerCount).fill(STAKE),
+      poolWinningWei({ ...block, participantCount: playerCount, roundId: state.roundId, totalContributions: STAKE * BigInt(playerCount) })
+    )
+  },
+
+  Raffle: {
+    async deploy({ ethers }) {
+      const Raffle = await ethers.getContractFactory("Raffle");
+      return { contract: await Raffle.deploy(STAKE) };
+    },
+    enter: ({ contract }, player) => contract.connect(player).enter({ value: STAKE }),
+    before: async () => ({ earliest: 0 }),
+    async settle({ contract }) {
+      const receipt = await (await contract.pickWinner()).wait();
+      return { winner: eventArg(contract, receipt, "WinnerPicked", "winner"), blockNumber: receipt.blockNumber };
+    },
+    // Every player buys one ticket, so ticket i is player i's
+    predict: (state, block, playerCount) => Number(raffleWinningTicket({ ...block, ticketCount: playerCount }))
+  },
+
+  RaffleVRF: {
+    async deploy({ ethers }) {
+      const VRFCoordinatorV2Mock = await ethers.getContractFactory("VRFCoordinatorV2Mock");
+      // No LINK fees, so the subscription never runs dry
+      const coordinator = await VRFCoordinatorV2Mock.deploy(0, 0);
+      const receipt = await (await coordinator.createSubscription()).wait();
+      const subscriptionId = eventArg(coordinator, receipt, "SubscriptionCreated", "subId");
+
+      const RaffleVRF = await ethers.getContractFactory("RaffleVRF");
+      // Rounds last ten years, entries never close during a run
+      const contract = await RaffleVRF.deploy(
+        await coordinator.getAddress(), ethers.ZeroHash, subscriptionId, 500000, STAKE, 10 * 365 * 86400
+      );
+      await (await coordinator.addConsumer(subscriptionId, await contract.getAddress())).wait();
+      return { contract, coordinator };
+    },
+    enter: ({ contract }, player) => contract.connect(player).enter({ value: STAKE }),
+    before: async () => ({ earliest: 0 }),
+    async settle({ contract, coordinator }) {
+      const request = await (await contract.pickWinner()).wait();
+      const requestId = eventArg(contract, request, "RandomnessRequested", "requestId");
+      const receipt = await (await coordinator.fulfillRandomWords(requestId, contract.target)).wait();
+      return { winner: eventArg(contract, receipt, "WinnerPicked", "winner"), blockNumber: receipt.blockNumber };
+    },
+    // The winner comes from the coordinator's random words, not the block
+    predict: null
+  }
+};
+
+/**
+ * Pick the block the round settles in. Its prevrandao comes from the seed, as
+ * Hardhat derives its own from the previous block, so a run's picks do not
+ * depend on what ran on the chain before it. Without grinding that is the
+ * next block. With grinding the attacker looks at up to `grind` upcoming
+ * blocks, whose prevrandao (the previous block's RANDAO mix) and timestamp
+ * (one slot later each) are known in advance, and settles in the first one
+ * where the target wins.
+ */
+async function chooseBlock(provider, game, state, playerCount, { grind, target, seed, round }) {
+  const latest = await provider.getBlock("latest");
+  const timestamp = Math.max(state.earliest, latest.timestamp + 1);
+  const blockAt = (k) => ({ prevrandao: BigInt(id(`${seed}:${round}:${k}`)), timestamp: timestamp + k * SLOT_SECONDS });
+
+  let candidate = blockAt(0);
+  if (game.predict) {
+    for (let k = 1; k < grind && game.predict(state, candidate, playerCount) !== target; k++) {
+      candidate = blockAt(k);
+    }
+  }
+  await provider.send("hardhat_setPrevRandao", [toBeHex(candidate.prevrandao, 32)]);
+  await provider.send("evm_setNextBlockTimestamp", [candidate.timestamp]);
+}
+
+/**
+ * Play `rounds` rounds of gameName, cycling through playerCounts. Players are
+ * the Hardhat accounts after the first, which deploys and settles.
+ * - grind: blocks a grinding attacker may choose from, 0 for honest rounds
+ * - target: index of the player the attacker wants to win
+ * - seed: string the blocks' prevrandao values are derived from
+ * Resolves with, per player count, how often each index won and the
+ * chi-square test of those counts, plus how many picks the block data
+ * reproduced (null for VRF) and how often the target won.
+ */
+async function runFairness(hre, gameName, { rounds, playerCounts, grind = 0, target = 0, seed = "fairness", onRound = () => {} }) {
+  const game = GAMES[gameName];
+  const { ethers } = hre;
+  const [, ...players] = await ethers.getSigners();
+  if (Math.max(...playerCounts) > players.length) {
+    throw new Error(`At most ${players.length} players per round with the configured accounts`);
+  }
+
+  const context = await game.deploy(hre);
+  const counts = new Map(playerCounts.map((playerCount) => [playerCount, new Array(playerCount).fill(0)]));
+  let reproduced = 0;
+  let targetWins = 0;
+  let expectedTargetWins = 0;
+
+  for (let round = 0; round < rounds; round++) {
+    const playerCount = playerCounts[round % playerCounts.length];
+    const entrants = players.slice(0, playerCount);
+    for (const player of entrants) {
+      await game.enter(context, player);
+    }
+
+    const state = await game.before(context);
+    await chooseBlock(ethers.provider, game, state, playerCount, { grind, target, seed, round });
+    const { winner, blockNumber } = await game.settle(context);
+    const index = entrants.findIndex((player) => player.address === winner);
+
+    counts.get(playerCount)[index]++;
+    if (game.predict && game.predict(state, await blockData(ethers.provider, blockNumber), playerCount) === index) {
+      reproduced++;
+    }
+    if (index === target) targetWins++;
+    expectedTargetWins += 1 / playerCount;
+    onRound(round + 1);
+  }
+
+  return {
+    game: gameName,
+    rounds,
+    grind,
+    byPlayerCount: [...counts].map(([playerCount, wins]) => ({
+      playerCount,
+      rounds: wins.reduce((sum, count) => sum + count, 0),
+      wins,
+      ...chiSquare(wins)
+    })),
+    reproduced: game.predict ? reproduced : null,
+    targetWins,
+    expectedTargetWins
+  };
+}
+
+module.exports = {
+  GAMES,
+  chiSquare,
+  gammaQ,
+  poolWinningWei,
+  raffleWinningTicket,
+  purchaseAt,
+  blockData,
+  runFairness
+};
@@ -0,0 +1,196 @@
+// Settles expired EthRewardPool rounds and, in Raffle mode, picks raffle
+// winners on a fixed schedule. scripts/keeper.cjs runs it against the
+// deployments in the network registry; the tests drive tick() directly.
+//
+// Times are compared against the latest block's timestamp rather than the
+// local clock, so a node moved forward with evm_increaseTime + evm_mine is
+// settled straight away.
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const describeError = (error) => error.reason || error.shortMessage || error.message;
+
+// Reverts are final, anything else (RPC hiccups, nonce races, timeouts) is
+// retried. Hardhat's in-process network reports reverts with raw data instead
+// of a CALL_EXCEPTION.
+const isRetryable = (error) => error.code !== "CALL_EXCEPTION" && typeof error.data !== "string";
+
+class Keeper {
+  /**
+   * pools and raffles are ethers Contracts connected to the keeper's signer,
+   * which must own the raffles.
+   * - raffleInterval: seconds between scheduled pickWinner calls
+   * - maxGasPrice: wei per gas the keeper will pay at most, null for no cap
+   * - retries / backoffMs: attempts after a failed send, waiting backoffMs,
+   *   then twice as long each time
+   */
+  constructor({
+    pools = [],
+    raffles = [],
+    raffleInterval = 3600,
+    maxGasPrice = null,
+    retries = 3,
+    backoffMs = 2000,
+    log = (result) => console.log(`[${new Date().toISOString()}]`, result.kind, result.address, result.outcome, result.detail)
+  }) {
+    this.pools = pools;
+    this.raffles = raffles;
+    this.options = { raffleInterval, maxGasPrice, retries, backoffMs };
+    this.log = log;
+
+    // Next scheduled pickWinner per raffle address, in chain time
+    this.nextPickAt = new Map();
+    this.timer = null;
+    this.running = null;
+  }
+
+  /**
+   * Check every pool and raffle once and act on the ones that are due.
+   * Resolves with one { kind, address, outcome, detail } per contract.
+   */
+  async tick() {
+    const results = [];
+    for (const pool of this.pools) {
+      results.push(await this.run("pool", pool, () => this.checkPool(pool)));
+    }
+    for (const raffle of this.raffles) {
+      results.push(await this.run("raffle", raffle, () => this.checkRaffle(raffle)));
+    }
+    return results;
+  }
+
+  start(pollInterval = 15000) {
+    if (this.timer) return;
+    const tick = () => {
+      if (!this.running) {
+        this.running = this.tick().finally(() => {
+          this.running = null;
+        });
+      }
+    };
+    this.timer = setInterval(tick, pollInterval);
+    tick();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    return this.running;
+  }
+
+  async run(kind, contract, check) {
+    let result;
+    try {
+      result = await check();
+    } catch (error) {
+      result = { outcome: "failed", detail: describeError(error) };
+    }
+    result = { kind, address: contract.target, ...result };
+    this.log(result);
+    return result;
+  }
+
+  async chainTime(contract) {
+    return (await contract.runner.provider.getBlock("latest")).timestamp;
+  }
+
+  async checkPool(pool) {
+    const [roundId, roundStart, duration, participants, now] = await Promise.all([
+      pool.roundId(),
+      pool.roundStart(),
+      pool.ROUND_DURATION(),
+      pool.getParticipants(),
+      this.chainTime(pool)
+    ]);
+    const expiresAt = Number(roundStart + duration);
+
+    if (now < expiresAt) {
+      return { outcome: "waiting", detail: `round ${roundId} expires in ${expiresAt - now}s` };
+    }
+    // An empty round has nothing to pay out, so no transaction is sent for it
+    if (participants.length === 0) {
+      return { outcome: "empty", detail: `round ${roundId} expired with no participants` };
+    }
+    return this.send(pool, "distributeReward", `round ${roundId}, ${participants.length} participants`);
+  }
+
+  async checkRaffle(raffle) {
+    const now = await this.chainTime(raffle);
+    const address = raffle.target;
+    if (!this.nextPickAt.has(address)) {
+      this.nextPickAt.set(address, now + this.options.raffleInterval);
+    }
+    const dueAt = this.nextPickAt.get(address);
+    if (now < dueAt) {
+      return { outcome: "waiting", detail: `next pick in ${dueAt - now}s` };
+    }
+
+    // Whatever happens now, the following pick is one interval later
+    this.nextPickAt.set(address, now + this.options.raffleInterval);
+    const [isActive, playerCount] = await Promise.all([raffle.isActive(), raffle.getPlayerCount()]);
+    if (!isActive) {
+      return { outcome: "inactive", detail: "raffle is closed" };
+    }
+    if (playerCount === 0n) {
+      return { outcome: "empty", detail: "no players this round" };
+    }
+    return this.send(raffle, "pickWinner", `${playerCount} players`);
+  }
+
+  /**
+   * Gas price overrides within the cap, or null when the network is above it.
+   * EIP-1559 transactions get the cap as their max fee so a rising base fee
+   * does not strand them.
+   */
+  async feeOverrides(provider) {
+    const { maxGasPrice } = this.options;
+    const fee = await provider.getFeeData();
+    const current = fee.maxFeePerGas ?? fee.gasPrice;
+    if (maxGasPrice !== null && current > maxGasPrice) {
+      return null;
+    }
+    if (fee.maxFeePerGas === null) {
+      return { gasPrice: fee.gasPrice };
+    }
+    const cap = maxGasPrice ?? fee.maxFeePerGas;
+    return {
+      maxFeePerGas: cap,
+      maxPriorityFeePerGas: fee.maxPriorityFeePerGas < cap ? fee.maxPriorityFeePerGas : cap
+    };
+  }
+
+  async send(contract, method, detail) {
+    const call = contract.getFunction(method);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        // A revert here is final: someone else settled first, or the keeper
+        // is not allowed to call it
+        await call.staticCall();
+
+        const overrides = await this.feeOverrides(contract.runner.provider);
+        if (!overrides) {
+          return { outcome: "deferred", detail: `${detail}, gas price above the cap` };
+        }
+        const gasLimit = ((await call.estimateGas()) * 12n) / 10n;
+        const receipt = await (await call({ ...overrides, gasLimit })).wait();
+        return {
+          outcome: "settled",
+          detail: `${detail}, ${method} in ${receipt.hash} (${receipt.gasUsed} gas)`,
+          txHash: receipt.hash
+        };
+      } catch (error) {
+        if (!isRetryable(error) || attempt >= this.options.retries) {
+          const attempts = attempt + 1;
+          return {
+            outcome: "failed",
+            detail: `${detail}, ${describeError(error)} after ${attempts} attempt${attempts === 1 ? "" : "s"}`
+          };
+        }
+        await sleep(this.options.backoffMs * 2 ** attempt);
+      }
+    }
+  }
+}
+
+module.exports = { Keeper };
@@ -0,0 +1,21 @@
+const { getDeployment } = require("./network-registry.cjs");
+
+/**
+ * Record Multicall3 for the current network in `deployments`. Public chains
+ * already have it at the canonical address; on a local node the recorded copy
+ * is reused while it still has code (a restarted node loses it) and a new one
+ * is deployed otherwise.
+ */
+async function ensureMulticall3(hre, deployments) {
+  const { MULTICALL3_ADDRESS } = await import("../../sdk/index.js");
+  const provider = hre.ethers.provider;
+
+  if ((await provider.getCode(MULTICALL3_ADDRESS)) !== "0x") {
+    const { chainId } = await provider.getNetwork();
+    const known = getDeployment(chainId, "Multicall3");
+    return deployments.adopt("Multicall3", MULTICALL3_ADDRESS, known?.address === MULTICALL3_ADDRESS ? known.blockNumber : 0);
+  }
+  return (await deployments.deploy("Multicall3")).record;
+}
+
+module.exports = { ensureMulticall3 };
@@ -0,0 +1,65 @@
+const fs = require("fs");
+
+// Written by the deploy task, read by the scripts and the indexer:
+// frontend/src/contracts/networks.json maps a chainId to its RPC/explorer URLs
+// and the contracts deployed there.
+const CONTRACTS_DIR = "./frontend/src/contracts";
+const REGISTRY_PATH = CONTRACTS_DIR + "/networks.json";
+
+function readRegistry() {
+  if (!fs.existsSync(REGISTRY_PATH)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(REGISTRY_PATH, "utf8"));
+}
+
+function getDeployment(chainId, contractName) {
+  const network = readRegistry()[String(chainId)];
+  return network && network.contracts[contractName];
+}
+
+/**
+ * Merge deployed contracts into the registry entry for the current network,
+ * leaving every other chain and contract untouched.
+ * `deployments` maps a contract name to { address, blockNumber }.
+ */
+async function recordDeployments(hre, deployments) {
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const registry = readRegistry();
+  const key = String(chainId);
+  const network = registry[key] || {
+    name: hre.network.name,
+    rpcUrl: hre.network.config.url || "",
+    explorerUrl: "",
+    contracts: {}
+  };
+
+  network.contracts = { ...network.contracts, ...deployments };
+  registry[key] = network;
+
+  if (!fs.existsSync(CONTRACTS_DIR)) {
+    fs.mkdirSync(CONTRACTS_DIR, { recursive: true });
+  }
+  fs.writeFileSync(REGISTRY_PATH, JSON.stringify(registry, undefined, 2) + "\n");
+}
+
+function saveArtifact(artifact) {
+  fs.writeFileSync(
+    CONTRACTS_DIR + "/" + artifact.contractName + ".json",
+    JSON.stringify(artifact, null, 2)
+  );
+}
+
+function readSavedArtifact(contractName) {
+  const file = CONTRACTS_DIR + "/" + contractName + ".json";
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+module.exports = {
+  REGISTRY_PATH,
+  readRegistry,
+  getDeployment,
+  recordDeployments,
+  saveArtifact,
+  readSavedArtifact
+};
@@ -1,22 +1,24 @@
 const hre = require("hardhat");
-const fs = require("fs");
+const { getDeployment } = require("./lib/network-registry.cjs");
 
 async function main() {
+  const { RaffleVRFClient } = await import("../sdk/index.js");
   console.log("🧪 Testing RaffleVRF contract...\n");
 
-  // Load deployed contract address
-  const contractAddressPath = "./frontend/src/contracts/contract-address.json";
-  
-  if (!fs.existsSync(contractAddressPath)) {
-    console.error("❌ Contract address file not found!");
+  // Load deployed contract address for this network
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const deployment = getDeployment(chainId, "RaffleVRF");
+
+  if (!deployment) {
+    console.error(`❌ No RaffleVRF deployment recorded for chain ${chainId}!`);
     console.error("Please deploy the contract first using:");
-    console.error("npx hardhat run scripts/deploy-vrf.cjs --network <network>");
+    console.error("npx hardhat deploy RaffleVRF --network <network>");
     process.exit(1);
   }
 
-  const { RaffleVRF: contractAddress } = JSON.parse(
-    fs.readFileSync(contractAddressPath, "utf8")
-  );
+  const contractAddress = deployment.address;
+  const mock = getDeployment(chainId, "VRFCoordinatorV2Mock");
+  const mockAddress = mock && mock.address;
 
   console.log(`📍 Contract address: ${contractAddress}\n`);
 
@@ -28,21 +30,20 @@ async function main() {
   console.log(`👤 Player 3: ${player3.address}\n`);
 
   // Connect to contract
-  const RaffleVRF = await hre.ethers.getContractFactory("RaffleVRF");
-  const raffle = RaffleVRF.attach(contractAddress);
+  const raffle = new RaffleVRFClient(contractAddress, owner);
 
   // Get raffle info
   console.log("📊 Current Raffle Info:");
-  const info = await raffle.getRaffleInfo();
-  console.log(`   Entry Fee: ${hre.ethers.formatEther(info[0])} ETH`);
-  console.log(`   Player Count: ${info[1]}`);
-  console.log(`   Prize Pool: ${hre.ethers.formatEther(info[2])} ETH`);
-  console.log(`   Is Active: ${info[3]}`);
-  console.log(`   Round Number: ${info[6]}`);
-  console.log(`   Is Open: ${info[7]}`);
-  console.log(`   Time Remaining: ${info[8]} seconds\n`);
+  const info = await raffle.getInfo();
+  console.log(`   Entry Fee: ${hre.ethers.formatEther(info.entryFee)} ETH`);
+  console.log(`   Player Count: ${info.playerCount}`);
+  console.log(`   Prize Pool: ${hre.ethers.formatEther(info.prizePool)} ETH`);
+  console.log(`   Is Active: ${info.isActive}`);
+  console.log(`   Round Number: ${info.roundNumber}`);
+  console.log(`   Is Open: ${info.isOpen}`);
+  console.log(`   Time Remaining: ${info.timeRemaining} seconds\n`);
 
-  const entryFee = info[0];
+  const entryFee = info.entryFee;
 
   // Test 1: Players enter raffle
   console.log("🎯 Test 1: Players entering raffle...");
@@ -63,10 +64,10 @@ async function main() {
   }
 
   // Check updated info
-  const updatedInfo = await raffle.getRaffleInfo();
+  const updatedInfo = await raffle.getInfo();
   console.log("📊 Updated Raffle Info:");
-  console.log(`   Player Count: ${updatedInfo[1]}`);
-  console.log(`   Prize Pool: ${hre.ethers.formatEther(updatedInfo[2])} ETH\n`);
+  console.log(`   Player Count: ${updatedInfo.playerCount}`);
+  console.log(`   Prize Pool: ${hre.ethers.formatEther(updatedInfo.prizePool)} ETH\n`);
 
   // Get all players
   const players = await raffle.getPlayers();
@@ -79,7 +80,7 @@ async function main() {
   // Test 2: Request random winner
   console.log("🎲 Test 2: Requesting random winner...");
   try {
-    const tx = await raffle.connect(owner).pickWinner();
+    const tx = await raffle.pickWinner();
     console.log(`   📝 Transaction hash: ${tx.hash}`);
     console.log(`   ⏳ Waiting for confirmation...`);
     
@@ -87,18 +88,29 @@ async function main() {
     console.log(`   ✅ Transaction confirmed in block ${receipt.blockNumber}`);
     
     // Check for RandomnessRequested event
-    const requestEvent = receipt.logs.find(
-      log => log.fragment && log.fragment.name === "RandomnessRequested"
-    );
-    
-    if (requestEvent) {
-      console.log(`   🎯 VRF Request ID: ${requestEvent.args[0]}`);
-      console.log(`   ⏰ Timestamp: ${requestEvent.args[1]}\n`);
+    const requestId = raffle.requestIdFrom(receipt);
+
+    if (requestId !== null) {
+      console.log(`   🎯 VRF Request ID: ${requestId}\n`);
     }
 
-    console.log("   ⏳ Waiting for Chainlink VRF to fulfill the request...");
-    console.log("   This may take 1-3 minutes depending on network congestion.");
-    console.log("   Monitor at: https://vrf.chain.link/\n");
+    // Locally the mock coordinator stands in for Chainlink, so fulfill right away
+    if (mockAddress && requestId !== null) {
+      console.log("   🧪 Fulfilling request with VRFCoordinatorV2Mock...");
+      const VRFCoordinatorV2Mock = await hre.ethers.getContractFactory("VRFCoordinatorV2Mock");
+      const vrfCoordinatorMock = VRFCoordinatorV2Mock.attach(mockAddress);
+      const fulfillTx = await vrfCoordinatorMock.fulfillRandomWords(requestId, contractAddress);
+      await fulfillTx.wait();
+
+      const result = await raffle.getInfo();
+      console.log(`   🏆 Winner: ${result.lastWinner}`);
+      console.log(`   💰 Prize: ${hre.ethers.formatEther(result.lastWinAmount)} ETH, claimable with claim()`);
+      console.log(`   🔁 Next Round: ${result.roundNumber}\n`);
+    } else {
+      console.log("   ⏳ Waiting for Chainlink VRF to fulfill the request...");
+      console.log("   This may take 1-3 minutes depending on network congestion.");
+      console.log("   Monitor at: https://vrf.chain.link/\n");
+    }
 
     // Check if request is pending
     const isPending = await raffle.isRequestPending();
@@ -124,10 +136,10 @@ async function main() {
   // Test 3: Check VRF configuration
   console.log("⚙️  VRF Configuration:");
   const vrfConfig = await raffle.getVRFConfig();
-  console.log(`   VRF Coordinator: ${vrfConfig[0]}`);
-  console.log(`   Gas Lane: ${vrfConfig[1]}`);
-  console.log(`   Subscription ID: ${vrfConfig[2]}`);
-  console.log(`   Callback Gas Limit: ${vrfConfig[3]}\n`);
+  console.log(`   VRF Coordinator: ${vrfConfig.coordinator}`);
+  console.log(`   Gas Lane: ${vrfConfig.gasLane}`);
+  console.log(`   Subscription ID: ${vrfConfig.subscriptionId}`);
+  console.log(`   Callback Gas Limit: ${vrfConfig.callbackGasLimit}\n`);
 
   console.log("=" .repeat(60));
   console.log("✅ Testing complete!");
@@ -0,0 +1,165 @@
+// Follows a contract's logs with plain eth_getLogs polling, so it works on
+// providers without filter support and never depends on a node keeping a
+// filter alive. Each sync scans from the last processed block to the head,
+// which also backfills anything missed while the tab slept or the connection
+// dropped.
+
+const logKey = (log) => `${log.transactionHash}:${log.index}`;
+const byPosition = (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+
+// Block subscriptions are optional, some providers throw and some reject
+const quietly = (subscribe) => {
+  try {
+    Promise.resolve(subscribe()).catch(() => {});
+  } catch {
+    // Not supported, the poll timer covers it
+  }
+};
+
+/**
+ * Stream of parsed events for the given event names of an ethers Contract.
+ *
+ * Options:
+ * - fromBlock: first block to deliver, typically one past the block the
+ *   caller read its initial state at
+ * - onEvents(events): new events, oldest first, each
+ *   { name, args, blockNumber, blockHash, timestamp, txHash, logIndex }
+ * - onRemoved(events): previously delivered events that a reorg dropped
+ * - onError(error): a sync failed, the next one retries the same range
+ * - confirmations: only deliver logs this many blocks below the head
+ * - reorgWindow: recent blocks re-scanned on every sync to spot reorgs
+ * - pollInterval: ms between syncs when no new block notification arrives
+ * - maxBlockRange: largest block span asked of eth_getLogs in one request
+ */
+export class EventStream {
+  constructor(contract, eventNames, {
+    fromBlock,
+    onEvents,
+    onRemoved = () => {},
+    onError = () => {},
+    confirmations = 0,
+    reorgWindow = 12,
+    pollInterval = 4000,
+    maxBlockRange = 2000
+  }) {
+    this.contract = contract;
+    this.provider = contract.runner.provider ?? contract.runner;
+    this.topics = eventNames.map((name) => contract.interface.getEvent(name).topicHash);
+    this.fromBlock = fromBlock;
+    this.lastBlock = fromBlock - 1;
+    this.options = { onEvents, onRemoved, onError, confirmations, reorgWindow, pollInterval, maxBlockRange };
+
+    // Delivered logs still inside the reorg window, by txHash:logIndex
+    this.delivered = new Map();
+    this.running = null;
+    this.rerun = false;
+    this.timer = null;
+    this.trigger = () => {
+      this.sync();
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(this.trigger, this.options.pollInterval);
+    // New block notifications only make the stream faster, the timer keeps
+    // it going when the provider cannot deliver them
+    quietly(() => this.provider.on("block", this.trigger));
+    this.sync();
+  }
+
+  stop() {
+    if (!this.timer) return;
+    clearInterval(this.timer);
+    this.timer = null;
+    quietly(() => this.provider.off("block", this.trigger));
+  }
+
+  /**
+   * Catch up to the chain head. Calls made while a sync is running are folded
+   * into one more pass once it finishes.
+   */
+  sync() {
+    if (this.running) {
+      this.rerun = true;
+      return this.running;
+    }
+
+    this.running = (async () => {
+      do {
+        this.rerun = false;
+        try {
+          await this.scan();
+        } catch (error) {
+          this.options.onError(error);
+        }
+      } while (this.rerun && this.timer);
+    })().finally(() => {
+      this.running = null;
+    });
+    return this.running;
+  }
+
+  async scan() {
+    const { confirmations, reorgWindow, maxBlockRange } = this.options;
+    const head = (await this.provider.getBlockNumber()) - confirmations;
+    const scanFrom = Math.max(this.fromBlock, this.lastBlock - reorgWindow + 1);
+    if (head < scanFrom) return;
+
+    const logs = [];
+    for (let from = scanFrom; from <= head; from += maxBlockRange) {
+      const to = Math.min(from + maxBlockRange - 1, head);
+      logs.push(...await this.provider.getLogs({
+        address: this.contract.target,
+        topics: [this.topics],
+        fromBlock: from,
+        toBlock: to
+      }));
+    }
+
+    // Anything delivered from the re-scanned blocks that is gone now, or moved
+    // to another block, was reorged out
+    const current = new Map(logs.map((log) => [logKey(log), log]));
+    const removed = [];
+    for (const [key, event] of this.delivered) {
+      if (event.blockNumber < scanFrom) continue;
+      if (current.get(key)?.blockHash !== event.blockHash) {
+        removed.push(event);
+        this.delivered.delete(key);
+      }
+    }
+
+    const fresh = logs.filter((log) => !this.delivered.has(logKey(log)));
+    const events = await this.toEvents(fresh);
+    events.forEach((event) => this.delivered.set(`${event.txHash}:${event.logIndex}`, event));
+
+    this.lastBlock = Math.max(this.lastBlock, head);
+    for (const [key, event] of this.delivered) {
+      if (event.blockNumber <= this.lastBlock - reorgWindow) this.delivered.delete(key);
+    }
+
+    if (removed.length > 0) this.options.onRemoved(removed.sort(byPosition));
+    if (events.length > 0) this.options.onEvents(events);
+  }
+
+  async toEvents(logs) {
+    const blockHashes = [...new Set(logs.map((log) => log.blockHash))];
+    const blocks = await Promise.all(blockHashes.map((hash) => this.provider.getBlock(hash)));
+    const timestamps = new Map(blocks.map((block) => [block.hash, block.timestamp]));
+
+    return logs
+      .map((log) => {
+        const parsed = this.contract.interface.parseLog(log);
+        return {
+          name: parsed.name,
+          args: parsed.args,
+          blockNumber: log.blockNumber,
+          blockHash: log.blockHash,
+          timestamp: timestamps.get(log.blockHash),
+          txHash: log.transactionHash,
+          logIndex: log.index
+        };
+      })
+      .sort(byPosition);
+  }
+}
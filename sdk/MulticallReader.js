@@ -0,0 +1,145 @@
+import { Contract } from "ethers";
+import { MULTICALL3_ABI } from "./abi.js";
+
+// Batches view calls into one Multicall3 aggregate3 eth_call. Reads issued
+// within a short window are sent together, identical reads share one request,
+// and results are kept for a few seconds so widgets refreshing at the same
+// time after an event do not each hit the RPC.
+
+// Same address on every public chain, see https://www.multicall3.com
+export const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+const MULTICALL3 = new Contract(MULTICALL3_ADDRESS, MULTICALL3_ABI);
+
+/**
+ * Options:
+ * - address: Multicall3 on this chain. Without one every read is its own
+ *   eth_call, still coalesced and cached
+ * - batchDelay: ms to wait for more reads before sending a batch
+ * - cacheTtl: ms a result is reused for the same call and block tag
+ * - maxBatchSize: most calls packed into one aggregate3
+ */
+export class MulticallReader {
+  constructor(provider, { address = null, batchDelay = 10, cacheTtl = 2000, maxBatchSize = 100 } = {}) {
+    this.provider = provider;
+    this.address = address;
+    this.options = { batchDelay, cacheTtl, maxBatchSize };
+
+    // Results and in-flight reads by block tag, target and calldata
+    this.cache = new Map();
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Call a view function of an ethers Contract, resolving like the Contract
+   * method would: the single output unwrapped, otherwise the Result.
+   */
+  read(contract, method, args = [], { blockTag = "latest" } = {}) {
+    const fragment = contract.interface.getFunction(method);
+    const target = contract.target;
+    const data = contract.interface.encodeFunctionData(fragment, args);
+    const key = `${blockTag}:${target}:${data}`.toLowerCase();
+
+    const cached = this.cache.get(key);
+    if (cached && cached.expires > Date.now()) {
+      return cached.promise;
+    }
+
+    const promise = new Promise((resolve, reject) => {
+      this.queue.push({ iface: contract.interface, target, data, blockTag, resolve, reject });
+      if (!this.timer) {
+        this.timer = setTimeout(() => this.flush(), this.options.batchDelay);
+      }
+    }).then((returnData) => {
+      const result = contract.interface.decodeFunctionResult(fragment, returnData);
+      return fragment.outputs.length === 1 ? result[0] : result;
+    });
+
+    // Pending reads never expire, finished ones live for cacheTtl
+    const entry = { promise, expires: Infinity };
+    this.cache.set(key, entry);
+    promise.then(
+      () => {
+        entry.expires = Date.now() + this.options.cacheTtl;
+      },
+      () => {
+        if (this.cache.get(key) === entry) this.cache.delete(key);
+      }
+    );
+    return promise;
+  }
+
+  getBalance(address, overrides) {
+    if (!this.address) return this.provider.getBalance(address, overrides?.blockTag);
+    return this.read(this.multicall(), "getEthBalance", [address], overrides);
+  }
+
+  async getBlockTimestamp(overrides) {
+    if (!this.address) return (await this.provider.getBlock(overrides?.blockTag ?? "latest")).timestamp;
+    return Number(await this.read(this.multicall(), "getCurrentBlockTimestamp", [], overrides));
+  }
+
+  /**
+   * Drop cached results, e.g. after sending a transaction.
+   */
+  clear() {
+    this.cache.clear();
+  }
+
+  multicall() {
+    return MULTICALL3.attach(this.address);
+  }
+
+  flush() {
+    const queue = this.queue;
+    this.queue = [];
+    this.timer = null;
+
+    const byBlockTag = new Map();
+    for (const request of queue) {
+      const group = byBlockTag.get(request.blockTag) ?? [];
+      group.push(request);
+      byBlockTag.set(request.blockTag, group);
+    }
+
+    for (const [blockTag, requests] of byBlockTag) {
+      if (!this.address) {
+        for (const request of requests) {
+          this.provider.call({ to: request.target, data: request.data, blockTag })
+            .then(request.resolve, request.reject);
+        }
+        continue;
+      }
+      for (let i = 0; i < requests.length; i += this.options.maxBatchSize) {
+        this.aggregate(blockTag, requests.slice(i, i + this.options.maxBatchSize));
+      }
+    }
+  }
+
+  async aggregate(blockTag, requests) {
+    const iface = MULTICALL3.interface;
+    try {
+      const calls = requests.map(({ target, data }) => ({ target, allowFailure: true, callData: data }));
+      const returnData = await this.provider.call({
+        to: this.address,
+        data: iface.encodeFunctionData("aggregate3", [calls]),
+        blockTag
+      });
+      const [results] = iface.decodeFunctionResult("aggregate3", returnData);
+
+      results.forEach(({ success, returnData }, i) => {
+        const request = requests[i];
+        if (success) {
+          request.resolve(returnData);
+        } else {
+          // The same CALL_EXCEPTION a direct call would have thrown, decoded
+          // with the target's ABI so custom errors keep their names
+          request.reject(request.iface.makeError(returnData, { to: request.target, data: request.data }));
+        }
+      });
+    } catch (error) {
+      requests.forEach(({ reject }) => reject(error));
+    }
+  }
+}
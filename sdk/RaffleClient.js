@@ -0,0 +1,388 @@
+import { Contract } from "ethers";
+import { RAFFLE_ABI, RAFFLE_VRF_ABI } from "./abi.js";
+
+// RaffleVRF entries are always a single ticket and do not log a count
+const entryRecord = (args) => ({
+  player: args.player,
+  amount: args.amount,
+  tickets: args.length > 2 ? args.tickets : 1n
+});
+
+const cancellationRecord = ({ roundId, refunds }) => ({ roundId, refunds });
+
+/**
+ * The getFeeConfig() tuple of any game as a named object. A feeChangeTime
+ * of 0 means no fee change is scheduled. roundFeeBps is what the round being
+ * played is charged, fixed when its first player entered.
+ */
+export function parseFeeConfig(config) {
+  return {
+    feeBps: Number(config._feeBps),
+    pendingFeeBps: Number(config._pendingFeeBps),
+    feeChangeTime: Number(config._feeChangeTime),
+    treasury: config._treasury,
+    accruedFees: config._accruedFees,
+    roundFeeBps: Number(config._roundFeeBps)
+  };
+}
+
+// Where a log sits on chain, shared by every history record
+const logPosition = (log) => ({
+  blockNumber: log.blockNumber,
+  txHash: log.transactionHash,
+  logIndex: log.index
+});
+
+/**
+ * What Raffle and RaffleVRF have in common, refunds of cancelled rounds
+ * (contracts/RoundRefunds.sol) included, over any ethers v6 provider or
+ * signer. Reads come back as plain objects with bigint amounts and accept call
+ * overrides such as { blockTag }, writes return the ethers TransactionResponse.
+ * Given a MulticallReader, reads are batched through it.
+ */
+class BaseRaffleClient {
+  /**
+   * Write calls as { method, args, value } descriptors, for callers that
+   * simulate or queue a call before sending it with send().
+   */
+  static calls = {
+    enter: (value) => ({ method: "enter", args: [], value }),
+    pickWinner: () => ({ method: "pickWinner", args: [] }),
+    startNewRaffle: (entryFee) => ({ method: "startNewRaffle", args: [entryFee] }),
+    closeRaffle: () => ({ method: "closeRaffle", args: [] }),
+    activateRaffle: () => ({ method: "activateRaffle", args: [] }),
+    withdrawFees: () => ({ method: "withdrawFees", args: [] }),
+    scheduleFeeChange: (feeBps) => ({ method: "scheduleFeeChange", args: [feeBps] }),
+    cancelFeeChange: () => ({ method: "cancelFeeChange", args: [] }),
+    setTreasury: (treasury) => ({ method: "setTreasury", args: [treasury] }),
+    claim: () => ({ method: "claim", args: [] }),
+    cancelRound: () => ({ method: "cancelRound", args: [] }),
+    setMinPlayers: (minPlayers) => ({ method: "setMinPlayers", args: [minPlayers] }),
+    claimRefund: (roundId) => ({ method: "claimRefund", args: [roundId] })
+  };
+
+  constructor(address, runner, { reader = null } = {}) {
+    this.address = address;
+    this.reader = reader;
+    this.contract = new Contract(address, this.constructor.abi, runner);
+  }
+
+  /**
+   * Same contract through another provider or signer.
+   */
+  connect(runner) {
+    return new this.constructor(this.address, runner, { reader: this.reader });
+  }
+
+  read(method, args = [], overrides = {}) {
+    if (this.reader) return this.reader.read(this.contract, method, args, overrides);
+    return this.contract.getFunction(method)(...args, overrides);
+  }
+
+  parseInfo(info) {
+    return {
+      entryFee: info._entryFee,
+      playerCount: Number(info._playerCount),
+      prizePool: info._prizePool,
+      isActive: info._isActive,
+      lastWinner: info._lastWinner,
+      lastWinAmount: info._lastWinAmount
+    };
+  }
+
+  async getInfo(overrides) {
+    return this.parseInfo(await this.read("getRaffleInfo", [], overrides));
+  }
+
+  getOwner(overrides) {
+    return this.read("owner", [], overrides);
+  }
+
+  getEntryFee(overrides) {
+    return this.read("entryFee", [], overrides);
+  }
+
+  /**
+   * Protocol fee settings, see parseFeeConfig().
+   */
+  async getFeeConfig(overrides) {
+    return parseFeeConfig(await this.read("getFeeConfig", [], overrides));
+  }
+
+  async getPlayers(overrides) {
+    return [...(await this.read("getPlayers", [], overrides))];
+  }
+
+  /**
+   * Prizes a winner has not claimed yet.
+   */
+  getClaimable(account, overrides) {
+    return this.read("claimable", [account], overrides);
+  }
+
+  getMinPlayers(overrides) {
+    return this.read("minPlayers", [], overrides);
+  }
+
+  /**
+   * What a player can take back from a round, 0 unless it was cancelled.
+   */
+  getRefund(roundId, player, overrides) {
+    return this.read("getRefund", [roundId, player], overrides);
+  }
+
+  send(call, overrides = {}) {
+    const { method, args = [], value = 0n } = call;
+    return this.contract.getFunction(method)(...args, { value, ...overrides });
+  }
+
+  /**
+   * Enter the current round, paying the on-chain entry fee unless a value is given.
+   */
+  async enter({ value, ...overrides } = {}) {
+    return this.send(BaseRaffleClient.calls.enter(value ?? await this.getEntryFee()), overrides);
+  }
+
+  pickWinner(overrides) {
+    return this.send(BaseRaffleClient.calls.pickWinner(), overrides);
+  }
+
+  startNewRaffle(entryFee, overrides) {
+    return this.send(BaseRaffleClient.calls.startNewRaffle(entryFee), overrides);
+  }
+
+  closeRaffle(overrides) {
+    return this.send(BaseRaffleClient.calls.closeRaffle(), overrides);
+  }
+
+  activateRaffle(overrides) {
+    return this.send(BaseRaffleClient.calls.activateRaffle(), overrides);
+  }
+
+  withdrawFees(overrides) {
+    return this.send(BaseRaffleClient.calls.withdrawFees(), overrides);
+  }
+
+  /**
+   * Announce a new fee in basis points, charged once FEE_CHANGE_DELAY has passed.
+   */
+  scheduleFeeChange(feeBps, overrides) {
+    return this.send(BaseRaffleClient.calls.scheduleFeeChange(feeBps), overrides);
+  }
+
+  cancelFeeChange(overrides) {
+    return this.send(BaseRaffleClient.calls.cancelFeeChange(), overrides);
+  }
+
+  setTreasury(treasury, overrides) {
+    return this.send(BaseRaffleClient.calls.setTreasury(treasury), overrides);
+  }
+
+  /**
+   * Send the caller every prize they won and have not claimed.
+   */
+  claim(overrides) {
+    return this.send(BaseRaffleClient.calls.claim(), overrides);
+  }
+
+  /**
+   * Call off the current round, its players claim their refunds with claimRefund().
+   */
+  cancelRound(overrides) {
+    return this.send(BaseRaffleClient.calls.cancelRound(), overrides);
+  }
+
+  setMinPlayers(minPlayers, overrides) {
+    return this.send(BaseRaffleClient.calls.setMinPlayers(minPlayers), overrides);
+  }
+
+  claimRefund(roundId, overrides) {
+    return this.send(BaseRaffleClient.calls.claimRefund(roundId), overrides);
+  }
+
+  // Subscriptions return a function that removes only that listener
+
+  subscribe(eventName, toRecord, listener) {
+    const handler = (...args) => {
+      const event = args[args.length - 1];
+      listener({ ...toRecord(event.args), ...logPosition(event.log) });
+    };
+    this.contract.on(eventName, handler);
+    return () => this.contract.off(eventName, handler);
+  }
+
+  onPlayerEntered(listener) {
+    return this.subscribe("PlayerEntered", entryRecord, listener);
+  }
+
+  onWinnerPicked(listener) {
+    return this.subscribe("WinnerPicked", ({ winner, amount }) => ({ winner, amount }), listener);
+  }
+
+  onRaffleStarted(listener) {
+    return this.subscribe("RaffleStarted", ({ entryFee }) => ({ entryFee }), listener);
+  }
+
+  onRaffleClosed(listener) {
+    return this.subscribe("RaffleClosed", () => ({}), listener);
+  }
+
+  onRoundCancelled(listener) {
+    return this.subscribe("RoundCancelled", cancellationRecord, listener);
+  }
+
+  // History queries, oldest first
+
+  async queryEvents(filter, toRecord, { fromBlock = 0, toBlock = "latest" } = {}) {
+    const logs = await this.contract.queryFilter(filter, fromBlock, toBlock);
+    return logs.map((log) => ({ ...toRecord(log.args), ...logPosition(log) }));
+  }
+
+  /**
+   * PlayerEntered logs with the tickets each bought, optionally for a single player.
+   */
+  getEntries({ player, ...range } = {}) {
+    return this.queryEvents(
+      this.contract.filters.PlayerEntered(player ?? null),
+      entryRecord,
+      range
+    );
+  }
+
+  /**
+   * WinnerPicked logs, optionally for a single winner.
+   */
+  getWinners({ winner, ...range } = {}) {
+    return this.queryEvents(
+      this.contract.filters.WinnerPicked(winner ?? null),
+      ({ winner, amount }) => ({ winner, amount }),
+      range
+    );
+  }
+
+  /**
+   * RoundCancelled logs, each with what its players paid in.
+   */
+  getCancellations(range) {
+    return this.queryEvents(this.contract.filters.RoundCancelled(), cancellationRecord, range);
+  }
+}
+
+/**
+ * Client for the Raffle contract: tickets bought in bulk and rounds numbered
+ * by roundId().
+ */
+export class RaffleClient extends BaseRaffleClient {
+  static abi = RAFFLE_ABI;
+
+  static calls = {
+    ...BaseRaffleClient.calls,
+    buyTickets: (count, value) => ({ method: "buyTickets", args: [count], value })
+  };
+
+  /**
+   * Tickets a player holds in the current round.
+   */
+  getTickets(player, overrides) {
+    return this.read("getTickets", [player], overrides);
+  }
+
+  /**
+   * Each player's tickets, in the order of getPlayers().
+   */
+  async getTicketCounts(overrides) {
+    return [...(await this.read("getTicketCounts", [], overrides))];
+  }
+
+  /**
+   * Most tickets a single buyTickets() call may buy.
+   */
+  getMaxTicketsPerEntry(overrides) {
+    return this.read("MAX_TICKETS_PER_ENTRY", [], overrides);
+  }
+
+  getRoundId(overrides) {
+    return this.read("roundId", [], overrides);
+  }
+
+  /**
+   * Buy `count` tickets, paying the on-chain entry fee for each unless a value is given.
+   */
+  async buyTickets(count, { value, ...overrides } = {}) {
+    const total = value ?? (await this.getEntryFee()) * BigInt(count);
+    return this.send(RaffleClient.calls.buyTickets(count, total), overrides);
+  }
+}
+
+/**
+ * Client for RaffleVRF: timed rounds whose winner is drawn by Chainlink VRF.
+ * Entries are single tickets, so the ticket methods of RaffleClient are not
+ * available here, and getInfo() carries the round number.
+ */
+export class RaffleVRFClient extends BaseRaffleClient {
+  static abi = RAFFLE_VRF_ABI;
+
+  static calls = {
+    ...BaseRaffleClient.calls,
+    retryRequest: () => ({ method: "retryRequest", args: [] })
+  };
+
+  parseInfo(info) {
+    return {
+      ...super.parseInfo(info),
+      roundNumber: Number(info._roundNumber),
+      isOpen: info._isOpen,
+      timeRemaining: Number(info._timeRemaining)
+    };
+  }
+
+  isRequestPending(overrides) {
+    return this.read("isRequestPending", [], overrides);
+  }
+
+  /**
+   * Request randomness again once the pending request is REQUEST_TIMEOUT old.
+   */
+  retryRequest(overrides) {
+    return this.send(RaffleVRFClient.calls.retryRequest(), overrides);
+  }
+
+  async getVRFConfig(overrides) {
+    const config = await this.read("getVRFConfig", [], overrides);
+    return {
+      coordinator: config._vrfCoordinator,
+      gasLane: config._gasLane,
+      subscriptionId: config._subscriptionId,
+      callbackGasLimit: Number(config._callbackGasLimit)
+    };
+  }
+
+  /**
+   * The VRF request id emitted by a pickWinner receipt, or null.
+   */
+  requestIdFrom(receipt) {
+    for (const log of receipt.logs) {
+      const parsed = this.contract.interface.parseLog(log);
+      if (parsed && parsed.name === "RandomnessRequested") {
+        return parsed.args.requestId;
+      }
+    }
+    return null;
+  }
+
+  onRandomnessRequested(listener) {
+    return this.subscribe(
+      "RandomnessRequested",
+      ({ requestId, timestamp }) => ({ requestId, timestamp: Number(timestamp) }),
+      listener
+    );
+  }
+
+  getRandomnessRequests(range) {
+    return this.queryEvents(
+      this.contract.filters.RandomnessRequested(),
+      ({ requestId, timestamp }) => ({ requestId, timestamp: Number(timestamp) }),
+      range
+    );
+  }
+}
@@ -0,0 +1,145 @@
+// Human-readable ABIs for the raffle contracts and Multicall3. This is the
+// only copy the JS side reads, so a contract change is fixed here;
+// test/RaffleClient.test.js fails when it drifts from the compiled artifacts.
+
+// contracts/ProtocolFee.sol, inherited by every game
+const PROTOCOL_FEE = [
+  "function MAX_FEE_BPS() view returns (uint256)",
+  "function FEE_CHANGE_DELAY() view returns (uint256)",
+  "function treasury() view returns (address)",
+  "function accruedFees() view returns (uint256)",
+  "function pendingFeeBps() view returns (uint256)",
+  "function feeChangeTime() view returns (uint256)",
+  "function roundFeeBps() view returns (uint256)",
+  "function feeBps() view returns (uint256)",
+  "function getFeeConfig() view returns (uint256 _feeBps, uint256 _pendingFeeBps, uint256 _feeChangeTime, address _treasury, uint256 _accruedFees, uint256 _roundFeeBps)",
+  "function scheduleFeeChange(uint256 newFeeBps)",
+  "function cancelFeeChange()",
+  "function setTreasury(address _treasury)",
+  "function withdrawFees()",
+  "event FeeAccrued(uint256 amount, uint256 accruedFees)",
+  "event FeesWithdrawn(address indexed treasury, uint256 amount)",
+  "event FeeChangeScheduled(uint256 feeBps, uint256 effectiveTime)",
+  "event FeeChangeCancelled(uint256 feeBps)",
+  "event FeeChanged(uint256 oldFeeBps, uint256 newFeeBps)",
+  "event TreasuryChanged(address indexed treasury)"
+];
+
+// contracts/RoundRefunds.sol, inherited by every game
+const ROUND_REFUNDS = [
+  "function refundsOwed() view returns (uint256)",
+  "function minPlayers() view returns (uint256)",
+  "function roundCancelled(uint256) view returns (bool)",
+  "function getRefund(uint256 roundId, address player) view returns (uint256)",
+  "function setMinPlayers(uint256 _minPlayers)",
+  "function claimRefund(uint256 roundId)",
+  "event RoundCancelled(uint256 indexed roundId, uint256 refunds)",
+  "event RefundClaimed(address indexed player, uint256 indexed roundId, uint256 amount)",
+  "event MinPlayersChanged(uint256 minPlayers)"
+];
+
+const RAFFLE_COMMON = [
+  ...PROTOCOL_FEE,
+  ...ROUND_REFUNDS,
+  "function owner() view returns (address)",
+  "function entryFee() view returns (uint256)",
+  "function players(uint256) view returns (address)",
+  "function lastWinner() view returns (address)",
+  "function lastWinAmount() view returns (uint256)",
+  "function isActive() view returns (bool)",
+  "function claimable(address) view returns (uint256)",
+  "function totalClaimable() view returns (uint256)",
+  "function enter() payable",
+  "function getPrizePool() view returns (uint256)",
+  "function getPlayers() view returns (address[])",
+  "function getPlayerCount() view returns (uint256)",
+  "function pickWinner()",
+  "function cancelRound()",
+  "function startNewRaffle(uint256 _entryFee)",
+  "function closeRaffle()",
+  "function activateRaffle()",
+  "function claim()",
+  "event WinnerPicked(address indexed winner, uint256 amount)",
+  "event RaffleStarted(uint256 entryFee)",
+  "event RaffleClosed()",
+  "event PrizeClaimed(address indexed winner, uint256 amount)"
+];
+
+export const RAFFLE_ABI = [
+  "constructor(uint256 _entryFee)",
+  ...RAFFLE_COMMON,
+  "function MAX_TICKETS_PER_ENTRY() view returns (uint256)",
+  "function roundId() view returns (uint256)",
+  "function buyTickets(uint256 count) payable",
+  "function getTicketCount() view returns (uint256)",
+  "function getTickets(address player) view returns (uint256)",
+  "function getTicketCounts() view returns (uint256[] counts)",
+  "function getRaffleInfo() view returns (uint256 _entryFee, uint256 _playerCount, uint256 _prizePool, bool _isActive, address _lastWinner, uint256 _lastWinAmount)",
+  // Unlike RaffleVRF's, carries the number of tickets bought
+  "event PlayerEntered(address indexed player, uint256 amount, uint256 tickets)",
+  "event PrizeClaimable(address indexed winner, uint256 amount, uint256 roundId)"
+];
+
+export const RAFFLE_VRF_ABI = [
+  "constructor(address _vrfCoordinator, bytes32 _gasLane, uint64 _subscriptionId, uint32 _callbackGasLimit, uint256 _entryFee, uint256 _raffleDuration)",
+  ...RAFFLE_COMMON,
+  "function REQUEST_TIMEOUT() view returns (uint256)",
+  "function raffleDuration() view returns (uint256)",
+  "function roundNumber() view returns (uint256)",
+  "function roundStartTime() view returns (uint256)",
+  "function lastRequestId() view returns (uint256)",
+  "function lastRequestTime() view returns (uint256)",
+  "function requestPending() view returns (bool)",
+  "function retryRequest()",
+  "function isOpen() view returns (bool)",
+  "function getTimeRemaining() view returns (uint256)",
+  "function isRequestPending() view returns (bool)",
+  "function getVRFConfig() view returns (address _vrfCoordinator, bytes32 _gasLane, uint64 _subscriptionId, uint32 _callbackGasLimit)",
+  "function getRaffleInfo() view returns (uint256 _entryFee, uint256 _playerCount, uint256 _prizePool, bool _isActive, address _lastWinner, uint256 _lastWinAmount, uint256 _roundNumber, bool _isOpen, uint256 _timeRemaining)",
+  "function rawFulfillRandomWords(uint256 requestId, uint256[] randomWords)",
+  "event PlayerEntered(address indexed player, uint256 amount)",
+  "event RandomnessRequested(uint256 indexed requestId, uint256 timestamp)",
+  "event PrizeClaimable(address indexed winner, uint256 amount, uint256 roundNumber)",
+  "error OnlyCoordinatorCanFulfill(address have, address want)"
+];
+
+export const ETH_REWARD_POOL_ABI = [
+  "constructor()",
+  "function owner() view returns (address)",
+  "function roundId() view returns (uint256)",
+  "function roundStart() view returns (uint256)",
+  "function ROUND_DURATION() view returns (uint256)",
+  "function MIN_CONTRIBUTION() view returns (uint256)",
+  "function participants(uint256) view returns (address)",
+  "function hasJoined(address) view returns (bool)",
+  "function rewardHistory(uint256) view returns (address)",
+  "function claimable(address) view returns (uint256)",
+  "function totalClaimable() view returns (uint256)",
+  "function joinPool() payable",
+  "function getParticipants() view returns (address[])",
+  "function getPoolBalance() view returns (uint256)",
+  "function getContribution(address participant) view returns (uint256)",
+  "function getContributions() view returns (uint256[] amounts)",
+  "function getTotalContributions() view returns (uint256)",
+  "function distributeReward()",
+  "function getRewardRecipient(uint256 _roundId) view returns (address)",
+  "function claim()",
+  "function cancelRound()",
+  ...PROTOCOL_FEE,
+  ...ROUND_REFUNDS,
+  "event ParticipantJoined(address indexed participant, uint256 amount)",
+  "event RewardDistributed(address indexed recipient, uint256 amount, uint256 roundId)",
+  "event NewRoundStarted(uint256 roundId)",
+  "event PrizeClaimable(address indexed winner, uint256 amount, uint256 roundId)",
+  "event PrizeClaimed(address indexed winner, uint256 amount)"
+];
+
+// The Multicall3 functions used by MulticallReader, identical to the canonical
+// deployment and to contracts/test/Multicall3.sol
+export const MULTICALL3_ABI = [
+  "function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)",
+  "function getEthBalance(address addr) view returns (uint256 balance)",
+  "function getBlockNumber() view returns (uint256 blockNumber)",
+  "function getCurrentBlockTimestamp() view returns (uint256 timestamp)",
+  "function getChainId() view returns (uint256 chainid)"
+];
@@ -0,0 +1,6 @@
+// Framework-agnostic JS client for the raffle contracts, shared by the
+// frontend, the Hardhat scripts and the tests.
+export { RaffleClient, RaffleVRFClient, parseFeeConfig } from "./RaffleClient.js";
+export { EventStream } from "./EventStream.js";
+export { MulticallReader, MULTICALL3_ADDRESS } from "./MulticallReader.js";
+export { RAFFLE_ABI, RAFFLE_VRF_ABI, ETH_REWARD_POOL_ABI, MULTICALL3_ABI } from "./abi.js";
@@ -0,0 +1,42 @@
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { Deployments } = require("../scripts/lib/deployments.cjs");
+const { FAILURES, checkDeployments } = require("../scripts/lib/deployment-check.cjs");
+
+// npx hardhat check-deployments --network <network>
+//
+// Confirms that every contract recorded in deployments/<network>/ or exported
+// to frontend/src/contracts/networks.json runs the compiled code with the
+// recorded config, and that the frontend bundle is up to date. Exits non-zero
+// on any mismatch or stale file, so CI can run it after a deploy.
+
+const ICONS = { ok: "✅", warning: "⚠️ ", mismatch: "❌", stale: "❌", skipped: "➖" };
+
+task("check-deployments", "Compares deployed contracts and the frontend bundle with the artifacts and deployment records")
+  .setAction(async (_, hre) => {
+    await hre.run("compile", { quiet: true });
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    console.log(`🔎 Checking deployments on ${hre.network.name} (Chain ID: ${chainId})`);
+
+    const checks = await checkDeployments(hre, new Deployments(hre));
+    if (checks.length === 0) {
+      throw new HardhatPluginError("check-deployments", `Nothing is deployed on ${hre.network.name}`);
+    }
+
+    let current;
+    for (const { contractName, address, check, status, detail } of checks) {
+      if (contractName !== current) {
+        current = contractName;
+        console.log(`\n${contractName} ${address}`);
+      }
+      console.log(`   ${ICONS[status]} ${check.padEnd(17)} ${detail}`);
+    }
+
+    const failures = checks.filter(({ status }) => FAILURES.includes(status));
+    const stale = failures.filter(({ status }) => status === "stale");
+    if (failures.length > 0) {
+      const hint = stale.length > 0 ? ", run `npx hardhat export-frontend` to refresh the frontend bundle" : "";
+      throw new HardhatPluginError("check-deployments", `${failures.length} problem(s) found${hint}`);
+    }
+    console.log("\n✅ Deployments match the artifacts and the frontend bundle is up to date");
+  });
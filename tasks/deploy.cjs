@@ -0,0 +1,154 @@
+const { task } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const { Deployments } = require("../scripts/lib/deployments.cjs");
+const { ensureMulticall3 } = require("../scripts/lib/multicall.cjs");
+
+// npx hardhat deploy [contracts...] --network <network>
+//
+// Deploys each contract with the parameters below, records it under
+// deployments/<network>/ and skips contracts whose bytecode and constructor
+// args match a deployment that still has code. Then updates the frontend
+// bundle in frontend/src/contracts/.
+
+const LOCAL_CHAIN_IDS = [1337n, 31337n];
+
+const deployError = (message) => new HardhatPluginError("deploy", message);
+
+/**
+ * The subscription RaffleVRF used last time, if it is on this mock, or a new
+ * funded one.
+ */
+async function mockSubscription(deployments, mock) {
+  const previous = deployments.read("RaffleVRF");
+  if (previous && previous.args[0] === mock.target) {
+    try {
+      await mock.getSubscription(previous.args[2]);
+      return previous.args[2];
+    } catch {
+      // The mock was redeployed since, fall through to a new subscription
+    }
+  }
+
+  const receipt = await (await mock.createSubscription()).wait();
+  const created = receipt.logs
+    .map((log) => mock.interface.parseLog(log))
+    .find((event) => event && event.name === "SubscriptionCreated");
+  const subscriptionId = created.args.subId.toString();
+  await (await mock.fundSubscription(subscriptionId, deployments.hre.ethers.parseEther("10"))).wait();
+  console.log(`   Created and funded mock subscription ${subscriptionId}`);
+  return subscriptionId;
+}
+
+async function deployRaffleVRF(deployments, { entryFee, raffleDuration, isLocal }) {
+  const { ethers } = deployments.hre;
+  let vrfCoordinator = process.env.VRF_COORDINATOR;
+  let gasLane = process.env.GAS_LANE;
+  let subscriptionId = process.env.SUBSCRIPTION_ID;
+  const callbackGasLimit = process.env.CALLBACK_GAS_LIMIT || "500000";
+
+  // On a local node there is no Chainlink coordinator, so use the mock
+  // with a funded subscription for the raffle
+  let mock;
+  if (isLocal && !vrfCoordinator) {
+    ({ contract: mock } = await deployments.deploy("VRFCoordinatorV2Mock", [
+      ethers.parseEther("0.25"), // base fee in LINK
+      1e9 // LINK per gas
+    ]));
+    vrfCoordinator = mock.target;
+    subscriptionId = await mockSubscription(deployments, mock);
+    // The mock does not check the key hash, any 32 bytes will do
+    gasLane = gasLane || ethers.ZeroHash;
+  }
+
+  if (!vrfCoordinator || !gasLane || !subscriptionId) {
+    throw deployError(
+      "RaffleVRF needs VRF_COORDINATOR, GAS_LANE and SUBSCRIPTION_ID in .env, see the Chainlink VRF section of readme.md"
+    );
+  }
+
+  const result = await deployments.deploy("RaffleVRF", [
+    vrfCoordinator,
+    gasLane,
+    subscriptionId,
+    callbackGasLimit,
+    entryFee,
+    raffleDuration
+  ]);
+
+  if (result.deployed && mock) {
+    await (await mock.addConsumer(subscriptionId, result.record.address)).wait();
+    console.log("   Added RaffleVRF as a consumer of the mock subscription");
+  } else if (result.deployed) {
+    console.log(`   Add ${result.record.address} as a consumer of subscription ${subscriptionId} at https://vrf.chain.link/`);
+  }
+  return result;
+}
+
+// Contract name -> function deploying it and anything it depends on
+const RECIPES = {
+  Raffle: (deployments, { entryFee }) => deployments.deploy("Raffle", [entryFee]),
+  EthRewardPool: (deployments) => deployments.deploy("EthRewardPool"),
+  RaffleVRF: deployRaffleVRF
+};
+
+task("deploy", "Deploys contracts that changed and records them under deployments/<network>")
+  .addOptionalVariadicPositionalParam(
+    "contracts",
+    `Contracts to deploy: ${Object.keys(RECIPES).join(", ")}`,
+    ["Raffle"]
+  )
+  .addOptionalParam("entryFee", "Raffle and RaffleVRF entry fee in ETH", process.env.ENTRY_FEE || "0.01")
+  .addOptionalParam("raffleDuration", "RaffleVRF round length in seconds", process.env.RAFFLE_DURATION || "86400")
+  .addFlag("force", "Redeploy even when nothing changed")
+  .addFlag("skipExport", "Leave frontend/src/contracts/ untouched")
+  .setAction(async ({ contracts, entryFee, raffleDuration, force, skipExport }, hre) => {
+    const unknown = contracts.filter((name) => !RECIPES[name]);
+    if (unknown.length > 0) {
+      throw deployError(`Unknown contract ${unknown.join(", ")}, expected one of ${Object.keys(RECIPES).join(", ")}`);
+    }
+    // Like `hardhat run`, never deploy or export outdated artifacts
+    await hre.run("compile", { quiet: true });
+
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const [deployer] = await hre.ethers.getSigners();
+    const balance = await hre.ethers.provider.getBalance(deployer.address);
+    const isLocal = LOCAL_CHAIN_IDS.includes(chainId);
+
+    console.log(`🚀 Deploying ${contracts.join(", ")} to ${hre.network.name} (Chain ID: ${chainId})`);
+    console.log(`👤 ${deployer.address} (${hre.ethers.formatEther(balance)} ETH)\n`);
+
+    // Public chains wait a few blocks so Etherscan has the code to verify
+    const deployments = new Deployments(hre, { force, confirmations: isLocal ? 1 : 6 });
+    const params = { entryFee: hre.ethers.parseEther(entryFee), raffleDuration, isLocal };
+    for (const name of contracts) {
+      await RECIPES[name](deployments, params);
+    }
+    // The frontend batches its reads through Multicall3
+    await ensureMulticall3(hre, deployments);
+
+    if (!isLocal && process.env.ETHERSCAN_API_KEY) {
+      for (const { contractName, address, args } of deployments.deployed) {
+        console.log(`🔍 Verifying ${contractName} on Etherscan...`);
+        try {
+          await hre.run("verify:verify", { address, constructorArguments: args });
+        } catch (error) {
+          console.log(`⚠️  Verification failed: ${error.message}`);
+        }
+      }
+    }
+
+    if (!skipExport) {
+      await deployments.exportFrontend();
+      console.log("\n💾 Addresses and ABIs saved to frontend/src/contracts/");
+    }
+  });
+
+task("export-frontend", "Writes the deployments recorded for the network to frontend/src/contracts")
+  .setAction(async (_, hre) => {
+    await hre.run("compile", { quiet: true });
+    const records = await new Deployments(hre).exportFrontend();
+    for (const { contractName, address } of records) {
+      console.log(`   ${contractName.padEnd(22)} ${address}`);
+    }
+    console.log(`💾 ${records.length} deployments on ${hre.network.name} saved to frontend/src/contracts/`);
+  });
@@ -0,0 +1,135 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import hre from "hardhat";
+import deploymentsLib from "../scripts/lib/deployments.cjs";
+import checkLib from "../scripts/lib/deployment-check.cjs";
+
+const { ethers } = hre;
+const { Deployments } = deploymentsLib;
+const { checkCode, checkConfig, checkBundle, checkDeployments } = checkLib;
+
+describe("Deployment check", function () {
+  const entryFee = ethers.parseEther("0.01");
+  let dir;
+  let deployments;
+
+  const statusOf = (checks, check) => checks.find((entry) => entry.check === check)?.status;
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+    deployments = new Deployments(hre, { dir, log: () => {} });
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe("Bytecode", function () {
+    it("Should match a deployed contract", async function () {
+      const { record } = await deployments.deploy("Raffle", [entryFee]);
+      expect((await checkCode(hre, "Raffle", record.address)).status).to.equal("ok");
+    });
+
+    it("Should match a contract with immutables", async function () {
+      const { record: mock } = await deployments.deploy("VRFCoordinatorV2Mock", [ethers.parseEther("0.25"), 1e9]);
+      const { record } = await deployments.deploy("RaffleVRF", [mock.address, ethers.ZeroHash, 1, 500000, entryFee, 3600]);
+
+      expect((await checkCode(hre, "RaffleVRF", record.address)).status).to.equal("ok");
+    });
+
+    it("Should report other code or no code", async function () {
+      const { record } = await deployments.deploy("EthRewardPool");
+
+      expect((await checkCode(hre, "Raffle", record.address)).status).to.equal("mismatch");
+      expect(await checkCode(hre, "Raffle", ethers.ZeroAddress)).to.deep.equal({
+        status: "mismatch",
+        detail: "no code at this address"
+      });
+    });
+  });
+
+  describe("Config", function () {
+    it("Should warn when the owner changed the fee or closed the raffle", async function () {
+      const { record, contract } = await deployments.deploy("Raffle", [entryFee]);
+      expect((await checkConfig(hre, "Raffle", record.address, record)).map(({ status }) => status))
+        .to.deep.equal(["ok", "ok", "ok"]);
+
+      await contract.startNewRaffle(entryFee * 2n);
+      await contract.closeRaffle();
+      const checks = await checkConfig(hre, "Raffle", record.address, record);
+      expect(statusOf(checks, "entryFee")).to.equal("warning");
+      expect(statusOf(checks, "isActive")).to.equal("warning");
+    });
+
+    it("Should report a VRF config that differs from the record", async function () {
+      const { record: mock } = await deployments.deploy("VRFCoordinatorV2Mock", [ethers.parseEther("0.25"), 1e9]);
+      const { record } = await deployments.deploy("RaffleVRF", [mock.address, ethers.ZeroHash, 1, 500000, entryFee, 3600]);
+      const recorded = { ...record, args: [...record.args.slice(0, 2), "7", ...record.args.slice(3)] };
+
+      const checks = await checkConfig(hre, "RaffleVRF", record.address, recorded);
+      expect(statusOf(checks, "subscriptionId")).to.equal("mismatch");
+      expect(statusOf(checks, "vrfCoordinator")).to.equal("ok");
+      expect(statusOf(checks, "callbackGasLimit")).to.equal("ok");
+    });
+
+    it("Should report an owner that is not the deployer", async function () {
+      const [, other] = await ethers.getSigners();
+      const { record } = await deployments.deploy("EthRewardPool");
+
+      const checks = await checkConfig(hre, "EthRewardPool", record.address, { ...record, deployer: other.address });
+      expect(statusOf(checks, "owner")).to.equal("mismatch");
+    });
+  });
+
+  describe("Frontend bundle", function () {
+    let record;
+    let registry;
+    let saved;
+
+    const readSaved = (contractName) => saved[contractName] ?? null;
+
+    beforeEach(async function () {
+      ({ record } = await deployments.deploy("Raffle", [entryFee]));
+      registry = {
+        1337: { contracts: { Raffle: { address: record.address, blockNumber: record.blockNumber } } }
+      };
+      saved = { Raffle: await hre.artifacts.readArtifact("Raffle") };
+    });
+
+    it("Should pass when it matches the records", async function () {
+      expect(await checkBundle(hre, deployments, { registry, readSaved })).to.deep.equal([]);
+      const checks = await checkDeployments(hre, deployments, { registry, readSaved });
+      expect(checks.every(({ status }) => status === "ok")).to.equal(true);
+    });
+
+    it("Should be stale when networks.json points elsewhere", async function () {
+      registry[1337].contracts.Raffle.address = ethers.ZeroAddress;
+      const checks = await checkDeployments(hre, deployments, { registry, readSaved });
+
+      expect(checks.filter(({ status }) => status !== "ok").map(({ check, status }) => [check, status])).to.deep.equal([
+        ["code", "mismatch"],
+        ["networks.json", "stale"]
+      ]);
+    });
+
+    it("Should be stale when a recorded contract is not exported", async function () {
+      delete registry[1337].contracts.Raffle;
+      expect(await checkBundle(hre, deployments, { registry, readSaved })).to.deep.include({
+        contractName: "Raffle",
+        check: "networks.json",
+        status: "stale",
+        detail: "not exported"
+      });
+    });
+
+    it("Should be stale when an ABI file is missing or outdated", async function () {
+      saved.Raffle = { ...saved.Raffle, abi: saved.Raffle.abi.slice(1) };
+      expect(statusOf(await checkBundle(hre, deployments, { registry, readSaved }), "abi")).to.equal("stale");
+
+      delete saved.Raffle;
+      expect(statusOf(await checkBundle(hre, deployments, { registry, readSaved }), "abi")).to.equal("stale");
+    });
+  });
+});
@@ -0,0 +1,95 @@
+import { expect } from "chai";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import hre from "hardhat";
+import deploymentsLib from "../scripts/lib/deployments.cjs";
+
+const { ethers } = hre;
+const { Deployments, stripMetadata, hashAbi } = deploymentsLib;
+
+describe("Deployments", function () {
+  const entryFee = ethers.parseEther("0.01");
+  let dir;
+
+  const newDeployments = (options) => new Deployments(hre, { dir, log: () => {}, ...options });
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "deployments-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should record the deployment", async function () {
+    const { record, deployed } = await newDeployments().deploy("Raffle", [entryFee]);
+    const receipt = await ethers.provider.getTransactionReceipt(record.txHash);
+    const [deployer] = await ethers.getSigners();
+
+    expect(deployed).to.equal(true);
+    expect(record).to.include({
+      contractName: "Raffle",
+      chainId: 1337,
+      address: receipt.contractAddress,
+      blockNumber: receipt.blockNumber,
+      deployer: deployer.address,
+      abiHash: hashAbi((await hre.artifacts.readArtifact("Raffle")).abi)
+    });
+    expect(record.args).to.deep.equal([entryFee.toString()]);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, "hardhat", "Raffle.json"), "utf8"))).to.deep.equal(record);
+  });
+
+  it("Should reuse an unchanged deployment", async function () {
+    const first = await newDeployments().deploy("Raffle", [entryFee]);
+    const blockNumber = await ethers.provider.getBlockNumber();
+    const second = await newDeployments().deploy("Raffle", [entryFee]);
+
+    expect(second.deployed).to.equal(false);
+    expect(second.record).to.deep.equal(first.record);
+    expect(await second.contract.entryFee()).to.equal(entryFee);
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+  });
+
+  it("Should redeploy when the constructor args change", async function () {
+    const first = await newDeployments().deploy("Raffle", [entryFee]);
+    const second = await newDeployments().deploy("Raffle", [entryFee * 2n]);
+
+    expect(second.deployed).to.equal(true);
+    expect(second.record.address).to.not.equal(first.record.address);
+    expect(second.record.args).to.deep.equal([(entryFee * 2n).toString()]);
+  });
+
+  it("Should redeploy when the bytecode changed", async function () {
+    const deployments = newDeployments();
+    const { record } = await deployments.deploy("Raffle", [entryFee]);
+    deployments.write({ ...record, bytecodeHash: ethers.ZeroHash });
+
+    expect((await newDeployments().deploy("Raffle", [entryFee])).deployed).to.equal(true);
+  });
+
+  it("Should redeploy when the recorded address has no code", async function () {
+    const { record } = await newDeployments().deploy("EthRewardPool");
+    await ethers.provider.send("hardhat_setCode", [record.address, "0x"]);
+
+    const again = await newDeployments().deploy("EthRewardPool");
+    expect(again.deployed).to.equal(true);
+    expect(again.record.address).to.not.equal(record.address);
+  });
+
+  it("Should redeploy an unchanged contract when forced", async function () {
+    await newDeployments().deploy("EthRewardPool");
+    expect((await newDeployments({ force: true }).deploy("EthRewardPool")).deployed).to.equal(true);
+  });
+
+  it("Should ignore the metadata hash when comparing bytecode", async function () {
+    const { bytecode } = await hre.artifacts.readArtifact("Raffle");
+    // The IPFS hash sits right after the a2 64 "ipfs" 58 22 prefix
+    const ipfs = bytecode.lastIndexOf("a264697066735822") + 16;
+    const rebuilt = bytecode.slice(0, ipfs) + "00".repeat(34) + bytecode.slice(ipfs + 68);
+
+    expect(rebuilt).to.not.equal(bytecode);
+    expect(stripMetadata(rebuilt)).to.equal(stripMetadata(bytecode));
+    expect(stripMetadata(bytecode).length).to.be.lessThan(bytecode.length);
+  });
+});
@@ -0,0 +1,396 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { setBalance, time } from "@nomicfoundation/hardhat-network-helpers";
+import { anyValue } from "@nomicfoundation/hardhat-chai-matchers/withArgs.js";
+
+const { ethers } = hre;
+
+describe("EthRewardPool Contract", function () {
+  let pool;
+  let owner;
+  let player1;
+  let player2;
+  let player3;
+  let duration;
+  const contribution = ethers.parseEther("0.1");
+
+  const roundEnd = async () => (await pool.roundStart()) + duration;
+
+  // Pays out the current round and returns the RewardDistributed args
+  async function settle(caller = owner) {
+    await time.increaseTo(await roundEnd());
+    const receipt = await (await pool.connect(caller).distributeReward()).wait();
+    const event = receipt.logs
+      .map((log) => pool.interface.parseLog(log))
+      .find((parsed) => parsed && parsed.name === "RewardDistributed");
+    return { receipt, ...event.args.toObject() };
+  }
+
+  beforeEach(async function () {
+    [owner, player1, player2, player3] = await ethers.getSigners();
+
+    const EthRewardPool = await ethers.getContractFactory("EthRewardPool");
+    pool = await EthRewardPool.deploy();
+    await pool.waitForDeployment();
+    duration = await pool.ROUND_DURATION();
+  });
+
+  describe("Deployment", function () {
+    it("Should set the owner and open round 1", async function () {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+
+      expect(await pool.owner()).to.equal(owner.address);
+      expect(await pool.roundId()).to.equal(1n);
+      expect(await pool.roundStart()).to.equal(BigInt(timestamp));
+      expect(await pool.getParticipants()).to.deep.equal([]);
+    });
+
+    it("Should announce round 1", async function () {
+      await expect(pool.deploymentTransaction()).to.emit(pool, "NewRoundStarted").withArgs(1n);
+    });
+
+    it("Should run 10 minute rounds with a 1 wei minimum", async function () {
+      expect(duration).to.equal(600n);
+      expect(await pool.MIN_CONTRIBUTION()).to.equal(1n);
+    });
+  });
+
+  describe("Joining", function () {
+    it("Should record the participant and hold the contribution", async function () {
+      await expect(pool.connect(player1).joinPool({ value: contribution }))
+        .to.emit(pool, "ParticipantJoined")
+        .withArgs(player1.address, contribution);
+
+      expect(await pool.getParticipants()).to.deep.equal([player1.address]);
+      expect(await pool.hasJoined(player1.address)).to.equal(true);
+      expect(await pool.getPoolBalance()).to.equal(contribution);
+    });
+
+    it("Should accept any amount from the minimum up", async function () {
+      await pool.connect(player1).joinPool({ value: 1n });
+      await pool.connect(player2).joinPool({ value: ethers.parseEther("5") });
+
+      expect(await pool.getPoolBalance()).to.equal(ethers.parseEther("5") + 1n);
+    });
+
+    it("Should reject a contribution below the minimum", async function () {
+      // The message still says 0.01 ETH, the constant is 1 wei
+      await expect(pool.connect(player1).joinPool({ value: 0 }))
+        .to.be.revertedWith("Minimum contribution is 0.01 ETH");
+    });
+
+    it("Should add a second join to the contribution", async function () {
+      await pool.connect(player1).joinPool({ value: contribution });
+      await pool.connect(player2).joinPool({ value: contribution });
+
+      await expect(pool.connect(player1).joinPool({ value: contribution * 2n }))
+        .to.emit(pool, "ParticipantJoined")
+        .withArgs(player1.address, contribution * 2n);
+      expect(await pool.getParticipants()).to.deep.equal([player1.address, player2.address]);
+      expect(await pool.getContribution(player1.address)).to.equal(contribution * 3n);
+      expect(await pool.getContributions()).to.deep.equal([contribution * 3n, contribution]);
+      expect(await pool.getTotalContributions()).to.equal(contribution * 4n);
+    });
+
+    it("Should let the owner join", async function () {
+      await pool.connect(owner).joinPool({ value: contribution });
+      expect(await pool.hasJoined(owner.address)).to.equal(true);
+    });
+  });
+
+  describe("Round timing", function () {
+    it("Should accept joins until the last second of the round", async function () {
+      await time.setNextBlockTimestamp((await roundEnd()) - 1n);
+      await expect(pool.connect(player1).joinPool({ value: contribution })).to.not.be.reverted;
+    });
+
+    it("Should close the round once the duration has passed", async function () {
+      await pool.connect(player1).joinPool({ value: contribution });
+      await time.setNextBlockTimestamp(await roundEnd());
+      await expect(pool.connect(player2).joinPool({ value: contribution }))
+        .to.be.revertedWith("Round closed");
+    });
+
+    it("Should not distribute before the round ends", async function () {
+      await pool.connect(player1).joinPool({ value: contribution });
+      await time.setNextBlockTimestamp((await roundEnd()) - 1n);
+
+      await expect(pool.distributeReward()).to.be.revertedWith("Round not finished");
+    });
+
+    it("Should not distribute a round without participants", async function () {
+      await time.increaseTo(await roundEnd());
+      await expect(pool.distributeReward()).to.be.revertedWith("No participants");
+    });
+
+    it("Should restart an expired round without participants when someone joins", async function () {
+      await time.increaseTo(await roundEnd());
+      const tx = await pool.connect(player1).joinPool({ value: contribution });
+      const { timestamp } = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+
+      await expect(tx).to.emit(pool, "NewRoundStarted").withArgs(1n);
+      expect(await pool.roundId()).to.equal(1n);
+      expect(await pool.roundStart()).to.equal(timestamp);
+      await expect(pool.distributeReward()).to.be.revertedWith("Round not finished");
+    });
+
+    it("Should let anyone distribute an expired round", async function () {
+      await pool.connect(player1).joinPool({ value: contribution });
+      await time.increaseTo(await roundEnd());
+
+      await expect(pool.connect(player3).distributeReward()).to.emit(pool, "RewardDistributed");
+    });
+  });
+
+  describe("Payout", function () {
+    const amounts = [ethers.parseEther("0.1"), ethers.parseEther("0.25"), ethers.parseEther("1")];
+    const total = amounts.reduce((sum, amount) => sum + amount, 0n);
+
+    beforeEach(async function () {
+      await pool.connect(player1).joinPool({ value: amounts[0] });
+      await pool.connect(player2).joinPool({ value: amounts[1] });
+      await pool.connect(player3).joinPool({ value: amounts[2] });
+    });
+
+    it("Should award the whole pool to one participant to claim", async function () {
+      const players = [player1, player2, player3];
+      const before = await Promise.all(players.map((player) => ethers.provider.getBalance(player.address)));
+
+      const { recipient, amount, roundId } = await settle();
+      const after = await Promise.all(players.map((player) => ethers.provider.getBalance(player.address)));
+
+      expect([player1.address, player2.address, player3.address]).to.include(recipient);
+      expect(amount).to.equal(total);
+      expect(roundId).to.equal(1n);
+      // Nothing is sent until the winner claims it
+      expect(after).to.deep.equal(before);
+      expect(await Promise.all(players.map((player) => pool.claimable(player.address)))).to.deep.equal(
+        players.map((player) => (player.address === recipient ? total : 0n))
+      );
+      expect(await pool.totalClaimable()).to.equal(total);
+      expect(await pool.getPoolBalance()).to.equal(0n);
+    });
+
+    it("Should pay the participant whose contribution holds the winning wei", async function () {
+      // player1 owns wei [0, 0.1), player2 [0.1, 0.35) and player3 [0.35, 1.35) ETH
+      const players = [player1, player2, player3];
+      const ends = amounts.map((_, i) => amounts.slice(0, i + 1).reduce((sum, amount) => sum + amount, 0n));
+
+      // Find a block where the smallest contribution wins
+      await time.increaseTo(await roundEnd());
+      let prevrandao;
+      let winningWei;
+      for (let seed = 0; winningWei === undefined || winningWei >= ends[0]; seed++) {
+        prevrandao = BigInt(ethers.id(`wei ${seed}`));
+        const random = ethers.solidityPackedKeccak256(["uint256", "uint256", "uint256"], [prevrandao, 3n, 1n]);
+        winningWei = BigInt(random) % total;
+      }
+      await ethers.provider.send("hardhat_setPrevRandao", [ethers.toBeHex(prevrandao, 32)]);
+
+      await expect(pool.distributeReward())
+        .to.emit(pool, "RewardDistributed")
+        .withArgs(players[ends.findIndex((end) => winningWei < end)].address, total, 1n);
+    });
+
+    it("Should announce the winner and the next round", async function () {
+      await time.increaseTo(await roundEnd());
+
+      await expect(pool.distributeReward())
+        .to.emit(pool, "PrizeClaimable")
+        .withArgs(anyValue, total, 1n)
+        .and.to.emit(pool, "RewardDistributed")
+        .withArgs(anyValue, total, 1n)
+        .and.to.emit(pool, "NewRoundStarted")
+        .withArgs(2n);
+    });
+  });
+
+  describe("Claims", function () {
+    beforeEach(async function () {
+      await pool.connect(player1).joinPool({ value: contribution });
+      await settle();
+    });
+
+    it("Should send the winner their reward when they claim it", async function () {
+      const tx = await pool.connect(player1).claim();
+
+      await expect(tx).to.emit(pool, "PrizeClaimed").withArgs(player1.address, contribution);
+      await expect(tx).to.changeEtherBalances([pool, player1], [-contribution, contribution]);
+      expect(await pool.claimable(player1.address)).to.equal(0n);
+      expect(await pool.totalClaimable()).to.equal(0n);
+    });
+
+    it("Should pay a reward only once", async function () {
+      await pool.connect(player1).claim();
+
+      await expect(pool.connect(player1).claim()).to.be.revertedWith("Nothing to claim");
+      await expect(pool.connect(player2).claim()).to.be.revertedWith("Nothing to claim");
+    });
+
+    it("Should add up rewards left unclaimed over several rounds", async function () {
+      await pool.connect(player1).joinPool({ value: contribution * 2n });
+      await settle();
+
+      expect(await pool.claimable(player1.address)).to.equal(contribution * 3n);
+      await expect(pool.connect(player1).claim()).to.changeEtherBalance(player1, contribution * 3n);
+    });
+
+    it("Should keep unclaimed rewards out of the next round's pool", async function () {
+      await pool.connect(player2).joinPool({ value: contribution });
+
+      expect(await pool.getPoolBalance()).to.equal(contribution);
+      const { recipient, amount } = await settle();
+      expect(recipient).to.equal(player2.address);
+      expect(amount).to.equal(contribution);
+      expect(await ethers.provider.getBalance(pool.target)).to.equal(contribution * 2n);
+    });
+  });
+
+  describe("Round reset", function () {
+    beforeEach(async function () {
+      await pool.connect(player1).joinPool({ value: contribution });
+      await pool.connect(player2).joinPool({ value: contribution });
+    });
+
+    it("Should clear participants, hasJoined and contributions for the next round", async function () {
+      const { receipt } = await settle();
+      const { timestamp } = await ethers.provider.getBlock(receipt.blockNumber);
+
+      expect(await pool.roundId()).to.equal(2n);
+      expect(await pool.roundStart()).to.equal(BigInt(timestamp));
+      expect(await pool.getParticipants()).to.deep.equal([]);
+      expect(await pool.hasJoined(player1.address)).to.equal(false);
+      expect(await pool.hasJoined(player2.address)).to.equal(false);
+      expect(await pool.getContribution(player1.address)).to.equal(0n);
+      expect(await pool.getTotalContributions()).to.equal(0n);
+    });
+
+    it("Should let last round's participants join again", async function () {
+      await settle();
+
+      await pool.connect(player1).joinPool({ value: contribution });
+      expect(await pool.getParticipants()).to.deep.equal([player1.address]);
+      expect(await pool.getContribution(player1.address)).to.equal(contribution);
+    });
+
+    it("Should give the next round its full duration", async function () {
+      await settle();
+      const end = await roundEnd();
+
+      await time.setNextBlockTimestamp(end - 2n);
+      await expect(pool.connect(player3).joinPool({ value: contribution })).to.not.be.reverted;
+      await time.setNextBlockTimestamp(end - 1n);
+      await expect(pool.distributeReward()).to.be.revertedWith("Round not finished");
+    });
+  });
+
+  describe("Reward history", function () {
+    it("Should record each round's winner", async function () {
+      const winners = [];
+      for (const players of [[player1], [player2, player3], [player3]]) {
+        for (const player of players) {
+          await pool.connect(player).joinPool({ value: contribution });
+        }
+        winners.push((await settle()).recipient);
+      }
+
+      expect(winners[0]).to.equal(player1.address);
+      expect([player2.address, player3.address]).to.include(winners[1]);
+      expect(winners[2]).to.equal(player3.address);
+      for (const [i, winner] of winners.entries()) {
+        expect(await pool.rewardHistory(i + 1)).to.equal(winner);
+        expect(await pool.getRewardRecipient(i + 1)).to.equal(winner);
+      }
+    });
+
+    it("Should return the zero address for rounds not paid out", async function () {
+      await pool.connect(player1).joinPool({ value: contribution });
+
+      expect(await pool.getRewardRecipient(0)).to.equal(ethers.ZeroAddress);
+      expect(await pool.getRewardRecipient(1)).to.equal(ethers.ZeroAddress);
+      await settle();
+      expect(await pool.getRewardRecipient(2)).to.equal(ethers.ZeroAddress);
+    });
+  });
+
+  describe("Malicious participants", function () {
+    let attacker;
+
+    beforeEach(async function () {
+      const ReentrantPoolAttacker = await ethers.getContractFactory("ReentrantPoolAttacker");
+      attacker = await ReentrantPoolAttacker.deploy(await pool.getAddress());
+      await attacker.waitForDeployment();
+    });
+
+    it("Should block re-entering claim from the payout", async function () {
+      // player1's unclaimed reward is still in the pool when the attacker claims
+      await pool.connect(player1).joinPool({ value: contribution });
+      await settle();
+      await attacker.join({ value: contribution });
+      await settle();
+
+      await attacker.claim();
+
+      expect(await attacker.payouts()).to.equal(1n);
+      expect(await attacker.reentered()).to.equal(false);
+      expect(await attacker.failure()).to.equal("ReentrancyGuard: reentrant call");
+      expect(await ethers.provider.getBalance(attacker.target)).to.equal(contribution);
+      expect(await ethers.provider.getBalance(pool.target)).to.equal(contribution);
+    });
+
+    it("Should start the next round when the winner rejects ETH", async function () {
+      const RevertingReceiver = await ethers.getContractFactory("RevertingReceiver");
+      const receiver = await RevertingReceiver.deploy();
+      await receiver.join(await pool.getAddress(), { value: contribution });
+
+      const { recipient } = await settle();
+      expect(recipient).to.equal(receiver.target);
+      expect(await pool.roundId()).to.equal(2n);
+      await pool.connect(player1).joinPool({ value: contribution });
+      expect(await pool.getPoolBalance()).to.equal(contribution);
+
+      // The reward stays claimable, and only the receiver is held up
+      await expect(receiver.claim(await pool.getAddress())).to.be.revertedWith("Claim transfer failed");
+      expect(await pool.claimable(receiver.target)).to.equal(contribution);
+      const { recipient: next } = await settle();
+      expect(next).to.equal(player1.address);
+      await expect(pool.connect(player1).claim()).to.changeEtherBalance(player1, contribution);
+    });
+  });
+
+  describe("Gas", function () {
+    // distributeReward resets hasJoined for every participant in a loop, so
+    // its cost grows with the round's size and has no upper bound
+    async function distributionGas(participants) {
+      const EthRewardPool = await ethers.getContractFactory("EthRewardPool");
+      const fresh = await EthRewardPool.deploy();
+      for (let i = 0; i < participants; i++) {
+        const wallet = ethers.Wallet.createRandom().connect(ethers.provider);
+        await setBalance(wallet.address, ethers.parseEther("1"));
+        await fresh.connect(wallet).joinPool({ value: contribution });
+      }
+      await time.increase(duration);
+      return (await (await fresh.distributeReward()).wait()).gasUsed;
+    }
+
+    it("Should cost a fixed amount more for every participant", async function () {
+      const small = await distributionGas(5);
+      const medium = await distributionGas(25);
+      const large = await distributionGas(45);
+
+      // Each participant adds a hasJoined reset and an array slot to clear
+      const perParticipant = (medium - small) / 20n;
+      expect(perParticipant).to.be.greaterThan(5000n);
+      // Linear: the next 20 participants cost the same again, give or take a
+      // step of the binary search for the winning wei, about one cold read
+      // each time the round doubles
+      expect(large - medium).to.be.closeTo(medium - small, 5000n);
+
+      // A few thousand participants are enough to make a round impossible to
+      // distribute within a 30M gas mainnet block
+      const blockGasLimit = 30_000_000n;
+      const ceiling = (blockGasLimit - small) / perParticipant;
+      expect(ceiling).to.be.lessThan(5000n);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { mine } from "@nomicfoundation/hardhat-network-helpers";
+import { EventStream } from "../sdk/index.js";
+
+const { ethers } = hre;
+
+describe("EventStream", function () {
+  const entryFee = ethers.parseEther("0.01");
+  let raffle;
+  let owner;
+  let player1;
+  let player2;
+  let received;
+  let removed;
+
+  async function openStream(options = {}) {
+    const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+    return new EventStream(raffle, ["PlayerEntered", "WinnerPicked"], {
+      fromBlock,
+      onEvents: (events) => received.push(...events),
+      onRemoved: (events) => removed.push(...events),
+      ...options
+    });
+  }
+
+  const enter = (player) => raffle.connect(player).enter({ value: entryFee });
+
+  beforeEach(async function () {
+    [owner, player1, player2] = await ethers.getSigners();
+    const Raffle = await ethers.getContractFactory("Raffle");
+    raffle = await Raffle.deploy(entryFee);
+    await raffle.waitForDeployment();
+    received = [];
+    removed = [];
+  });
+
+  it("Should deliver parsed events in chain order with their position and time", async function () {
+    const stream = await openStream();
+    const tx1 = await enter(player1);
+    await enter(player2);
+    await raffle.connect(owner).pickWinner();
+    await stream.sync();
+
+    expect(received.map((event) => event.name)).to.deep.equal(["PlayerEntered", "PlayerEntered", "WinnerPicked"]);
+    expect(received[0].args.player).to.equal(player1.address);
+    expect(received[0].txHash).to.equal(tx1.hash);
+    const block = await ethers.provider.getBlock(received[0].blockNumber);
+    expect(received[0].timestamp).to.equal(block.timestamp);
+  });
+
+  it("Should not deliver the same log twice", async function () {
+    const stream = await openStream();
+    await enter(player1);
+    await stream.sync();
+    await stream.sync();
+    await enter(player2);
+    await stream.sync();
+
+    expect(received.map((event) => event.args.player)).to.deep.equal([player1.address, player2.address]);
+  });
+
+  it("Should ignore logs before fromBlock", async function () {
+    await enter(player1);
+    const stream = await openStream();
+    await enter(player2);
+    await stream.sync();
+
+    expect(received.map((event) => event.args.player)).to.deep.equal([player2.address]);
+  });
+
+  it("Should backfill every block missed between syncs in bounded ranges", async function () {
+    const stream = await openStream({ maxBlockRange: 2, reorgWindow: 0 });
+    await stream.sync();
+    await enter(player1);
+    await mine(5);
+    await enter(player2);
+    await stream.sync();
+
+    expect(received).to.have.length(2);
+    expect(stream.lastBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("Should hold logs back until they have enough confirmations", async function () {
+    const stream = await openStream({ confirmations: 3 });
+    await enter(player1);
+    await stream.sync();
+    expect(received).to.have.length(0);
+
+    await mine(3);
+    await stream.sync();
+    expect(received).to.have.length(1);
+  });
+
+  it("Should report events dropped by a reorg and deliver their replacements", async function () {
+    const stream = await openStream();
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await enter(player1);
+    await stream.sync();
+    expect(received).to.have.length(1);
+
+    // Replace the block with one where another player entered instead
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await enter(player2);
+    await stream.sync();
+
+    expect(removed.map((event) => event.args.player)).to.deep.equal([player1.address]);
+    expect(received.map((event) => event.args.player)).to.deep.equal([player1.address, player2.address]);
+  });
+
+  it("Should retry the same range after a failed sync", async function () {
+    let failNext = true;
+    const provider = ethers.provider;
+    const flakyProvider = {
+      getBlockNumber: () => provider.getBlockNumber(),
+      getBlock: (tag) => provider.getBlock(tag),
+      getLogs: (filter) => {
+        if (failNext) {
+          failNext = false;
+          return Promise.reject(new Error("connection dropped"));
+        }
+        return provider.getLogs(filter);
+      }
+    };
+    const errors = [];
+    const stream = new EventStream(
+      raffle.connect(flakyProvider),
+      ["PlayerEntered"],
+      {
+        fromBlock: (await provider.getBlockNumber()) + 1,
+        onEvents: (events) => received.push(...events),
+        onError: (error) => errors.push(error)
+      }
+    );
+
+    await enter(player1);
+    await stream.sync();
+    expect(errors).to.have.length(1);
+    expect(received).to.have.length(0);
+
+    await stream.sync();
+    expect(received).to.have.length(1);
+  });
+});
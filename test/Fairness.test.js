@@ -0,0 +1,117 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import fairnessLib from "../scripts/lib/fairness.cjs";
+
+const { ethers } = hre;
+const { chiSquare, gammaQ, poolWinningWei, raffleWinningTicket, purchaseAt, blockData, runFairness } = fairnessLib;
+
+// Small samples so the suite stays fast, `npm run fairness` runs thousands
+// of rounds. Chi-square p-values below this flag a biased pick.
+const SIGNIFICANCE = 0.001;
+const playerCounts = [2, 3, 5];
+
+describe("Fairness", function () {
+  describe("Chi-square test", function () {
+    it("Should match reference p-values", function () {
+      // 95th percentiles of the chi-square distribution with 1 and 5 degrees of freedom
+      expect(gammaQ(0.5, 3.841 / 2)).to.be.closeTo(0.05, 1e-4);
+      expect(gammaQ(2.5, 11.070 / 2)).to.be.closeTo(0.05, 1e-4);
+      expect(chiSquare([25, 25, 25, 25]).pValue).to.equal(1);
+    });
+
+    it("Should flag a biased distribution", function () {
+      const { statistic, degreesOfFreedom, pValue } = chiSquare([70, 15, 15]);
+
+      expect(statistic).to.be.closeTo(60.5, 1e-9);
+      expect(degreesOfFreedom).to.equal(2);
+      expect(pValue).to.be.lessThan(1e-10);
+    });
+  });
+
+  describe("Block-data randomness", function () {
+    for (const game of ["EthRewardPool", "Raffle"]) {
+      it(`Should pick ${game} winners uniformly`, async function () {
+        const result = await runFairness(hre, game, { rounds: 300, playerCounts });
+
+        for (const { playerCount, pValue } of result.byPlayerCount) {
+          expect(pValue, `${playerCount} players`).to.be.greaterThan(SIGNIFICANCE);
+        }
+      });
+
+      it(`Should let anyone reproduce every ${game} pick from its block`, async function () {
+        const result = await runFairness(hre, game, { rounds: 60, playerCounts });
+        expect(result.reproduced).to.equal(result.rounds);
+      });
+
+      it(`Should let a grinding caller choose the ${game} winner`, async function () {
+        // Choosing among 16 upcoming blocks, the target wins unless none of them favours it
+        const result = await runFairness(hre, game, { rounds: 60, playerCounts: [4], grind: 16, target: 2 });
+
+        expect(result.targetWins).to.be.greaterThan(55);
+        expect(result.expectedTargetWins).to.equal(15);
+      });
+    }
+
+    it("Should precompute the pool winner before the block is mined", async function () {
+      const [, player1, player2, player3] = await ethers.getSigners();
+      const EthRewardPool = await ethers.getContractFactory("EthRewardPool");
+      const pool = await EthRewardPool.deploy();
+      const amounts = [1n, 2n, 3n];
+      for (const [i, player] of [player1, player2, player3].entries()) {
+        await pool.connect(player).joinPool({ value: amounts[i] });
+      }
+      await time.increase(await pool.ROUND_DURATION());
+
+      // The next block's prevrandao is public before it is built
+      const prevrandao = BigInt(ethers.id("next block"));
+      await ethers.provider.send("hardhat_setPrevRandao", [ethers.toBeHex(prevrandao, 32)]);
+      const winningWei = poolWinningWei({
+        prevrandao,
+        participantCount: 3,
+        roundId: await pool.roundId(),
+        totalContributions: 6n
+      });
+      const index = purchaseAt(amounts, winningWei);
+
+      const receipt = await (await pool.distributeReward()).wait();
+      expect(await pool.getRewardRecipient(1)).to.equal([player1, player2, player3][index].address);
+      expect((await blockData(ethers.provider, receipt.blockNumber)).prevrandao).to.equal(prevrandao);
+    });
+
+    it("Should precompute the raffle winner from a chosen timestamp", async function () {
+      const [owner, player1, player2] = await ethers.getSigners();
+      const Raffle = await ethers.getContractFactory("Raffle");
+      const raffle = await Raffle.connect(owner).deploy(1n);
+      await raffle.connect(player1).enter({ value: 1n });
+      await raffle.connect(player2).buyTickets(3, { value: 3n });
+
+      const prevrandao = BigInt(ethers.id("next block"));
+      const timestamp = (await time.latest()) + 12;
+      await ethers.provider.send("hardhat_setPrevRandao", [ethers.toBeHex(prevrandao, 32)]);
+      await time.setNextBlockTimestamp(timestamp);
+      const index = purchaseAt([1n, 3n], raffleWinningTicket({ timestamp, prevrandao, ticketCount: 4n }));
+
+      await raffle.pickWinner();
+      expect(await raffle.lastWinner()).to.equal([player1, player2][index].address);
+    });
+  });
+
+  describe("VRF randomness", function () {
+    it("Should pick RaffleVRF winners uniformly", async function () {
+      const result = await runFairness(hre, "RaffleVRF", { rounds: 300, playerCounts });
+
+      for (const { playerCount, pValue } of result.byPlayerCount) {
+        expect(pValue, `${playerCount} players`).to.be.greaterThan(SIGNIFICANCE);
+      }
+      expect(result.reproduced).to.equal(null);
+    });
+
+    it("Should not let the caller choose the winner through block data", async function () {
+      const result = await runFairness(hre, "RaffleVRF", { rounds: 60, playerCounts: [4], grind: 16, target: 2 });
+
+      // Around a quarter of the rounds, as for any player
+      expect(result.targetWins).to.be.lessThan(30);
+    });
+  });
+});
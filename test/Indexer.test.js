@@ -0,0 +1,242 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { mine, time } from "@nomicfoundation/hardhat-network-helpers";
+import { EventStore } from "../indexer/EventStore.js";
+import { Indexer } from "../indexer/Indexer.js";
+import { createApiServer } from "../indexer/server.js";
+
+const { ethers } = hre;
+
+describe("Indexer", function () {
+  const entryFee = ethers.parseEther("0.01");
+  let raffle;
+  let raffleAddress;
+  let owner;
+  let player1;
+  let player2;
+  let store;
+
+  const newIndexer = (options = {}) => new Indexer({
+    provider: ethers.provider,
+    store,
+    contracts: [{ name: "Raffle", address: raffleAddress, startBlock: 0 }],
+    confirmations: 0,
+    ...options
+  });
+
+  const enter = (player) => raffle.connect(player).enter({ value: entryFee });
+
+  // Two rounds: player1 and player2 enter and one of them wins, then player1 enters again
+  async function playRounds() {
+    await enter(player1);
+    await enter(player2);
+    await raffle.connect(owner).pickWinner();
+    await enter(player1);
+  }
+
+  beforeEach(async function () {
+    [owner, player1, player2] = await ethers.getSigners();
+    const Raffle = await ethers.getContractFactory("Raffle");
+    raffle = await Raffle.deploy(entryFee);
+    await raffle.waitForDeployment();
+    raffleAddress = await raffle.getAddress();
+    store = new EventStore();
+  });
+
+  afterEach(function () {
+    store.close();
+  });
+
+  describe("Indexing", function () {
+    it("Should store every followed event and group entries into rounds", async function () {
+      await playRounds();
+      await newIndexer().sync();
+
+      const [round] = store.getRounds(raffleAddress);
+      const [winner] = await raffle.queryFilter("WinnerPicked");
+      expect(round.roundId).to.equal(1);
+      expect(round.winner).to.equal(winner.args.winner);
+      expect(round.prize).to.equal((entryFee * 2n).toString());
+      expect(round.entrants.map((entrant) => entrant.player)).to.deep.equal([player1.address, player2.address]);
+
+      const open = store.getRound(raffleAddress, 2);
+      expect(open.winner).to.equal(null);
+      expect(open.entrants.map((entrant) => entrant.player)).to.deep.equal([player1.address]);
+      expect(store.getCursor(raffleAddress)).to.equal(await ethers.provider.getBlockNumber());
+    });
+
+    it("Should resume from its cursor without storing events twice", async function () {
+      await enter(player1);
+      await newIndexer().sync();
+      await enter(player2);
+      await newIndexer().sync();
+
+      expect(store.getEvents(raffleAddress).map((event) => event.player)).to.deep.equal([
+        player1.address,
+        player2.address
+      ]);
+    });
+
+    it("Should only store events once they have enough confirmations", async function () {
+      const indexer = newIndexer({ confirmations: 3 });
+      await enter(player1);
+      await indexer.sync();
+      expect(store.getEvents(raffleAddress)).to.have.length(0);
+
+      await mine(3);
+      await indexer.sync();
+      expect(store.getEvents(raffleAddress)).to.have.length(1);
+    });
+
+    it("Should delete events a reorg dropped", async function () {
+      const indexer = newIndexer();
+      const snapshot = await ethers.provider.send("evm_snapshot", []);
+      await enter(player1);
+      await indexer.sync();
+
+      await ethers.provider.send("evm_revert", [snapshot]);
+      await enter(player2);
+      await indexer.sync();
+
+      expect(store.getEvents(raffleAddress).map((event) => event.player)).to.deep.equal([player2.address]);
+    });
+
+    it("Should end a round at its cancellation and credit the refund to it", async function () {
+      await raffle.connect(player1).buyTickets(2, { value: entryFee * 2n });
+      await raffle.connect(owner).cancelRound();
+      await raffle.connect(player1).claimRefund(1);
+      await enter(player2);
+      await raffle.connect(owner).pickWinner();
+      await enter(player1);
+      await newIndexer().sync();
+
+      const [settled, cancelled] = store.getRounds(raffleAddress);
+      expect(settled).to.include({ roundId: 2, cancelled: false, winner: player2.address });
+      expect(settled.entrants.map((entrant) => entrant.player)).to.deep.equal([player2.address]);
+      expect(cancelled).to.include({ roundId: 1, cancelled: true, winner: null, prize: null });
+      expect(cancelled.refunds).to.equal((entryFee * 2n).toString());
+      expect(cancelled.entrants.map((entrant) => entrant.player)).to.deep.equal([player1.address]);
+      expect(store.getRound(raffleAddress, 3).entrants).to.have.length(1);
+      expect(await raffle.roundId()).to.equal(3n);
+
+      const summary = store.getPlayer(raffleAddress, player1.address);
+      expect(summary.rows.map(({ roundId, cancelled, isCurrent, refunded, net }) => (
+        { roundId, cancelled, isCurrent, refunded, net }
+      ))).to.deep.equal([
+        { roundId: 1, cancelled: true, isCurrent: false, refunded: (entryFee * 2n).toString(), net: "0" },
+        { roundId: 3, cancelled: false, isCurrent: true, refunded: "0", net: (-entryFee).toString() }
+      ]);
+      expect(summary).to.include({ roundsEntered: 2, refunded: (entryFee * 2n).toString() });
+
+      const [ranked] = store.getPlayers(raffleAddress);
+      expect(ranked).to.include({ player: player1.address, entries: 2, rounds: 2, refunded: (entryFee * 2n).toString() });
+      expect(store.getStats(raffleAddress)).to.include({ rounds: 1, cancelled: 1 });
+      expect(store.getEvents(raffleAddress, { player: player2.address }).map((event) => event.kind)).to.deep.equal([
+        "cancellation",
+        "entry",
+        "settlement"
+      ]);
+    });
+
+    it("Should index the reward pool with its own event names", async function () {
+      const EthRewardPool = await ethers.getContractFactory("EthRewardPool");
+      const pool = await EthRewardPool.deploy();
+      const poolAddress = await pool.getAddress();
+      await pool.connect(player1).joinPool({ value: entryFee });
+      await time.increase(await pool.ROUND_DURATION());
+      await pool.distributeReward();
+
+      await newIndexer({ contracts: [{ name: "EthRewardPool", address: poolAddress }] }).sync();
+      const [round] = store.getRounds(poolAddress);
+      expect(round.winner).to.equal(player1.address);
+      expect(round.entrants).to.have.length(1);
+    });
+
+    it("Should index RaffleVRF cancellations and refunds", async function () {
+      const VRFCoordinatorV2Mock = await ethers.getContractFactory("VRFCoordinatorV2Mock");
+      const coordinator = await VRFCoordinatorV2Mock.deploy(0, 0);
+      const RaffleVRF = await ethers.getContractFactory("RaffleVRF");
+      const vrf = await RaffleVRF.deploy(await coordinator.getAddress(), ethers.ZeroHash, 1, 500000, entryFee, 3600);
+      const vrfAddress = await vrf.getAddress();
+      await vrf.connect(player1).enter({ value: entryFee });
+      await vrf.cancelRound();
+      await vrf.connect(player1).claimRefund(1);
+
+      await newIndexer({ contracts: [{ name: "RaffleVRF", address: vrfAddress }] }).sync();
+      const [round] = store.getRounds(vrfAddress);
+      expect(round).to.include({ roundId: 1, cancelled: true, refunds: entryFee.toString() });
+      expect(store.getPlayer(vrfAddress, player1.address)).to.include({ refunded: entryFee.toString() });
+    });
+  });
+
+  describe("API", function () {
+    let server;
+    let baseUrl;
+
+    const get = async (path) => {
+      const response = await fetch(baseUrl + path);
+      return { status: response.status, body: await response.json() };
+    };
+
+    beforeEach(async function () {
+      await playRounds();
+      await newIndexer().sync();
+      server = createApiServer(store, { contracts: [{ name: "Raffle", address: raffleAddress }] });
+      await new Promise((resolve) => server.listen(0, resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async function () {
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    it("Should list rounds and a single round", async function () {
+      const rounds = await get("/api/rounds");
+      expect(rounds.body).to.have.length(1);
+      expect(rounds.body[0].entrants).to.have.length(2);
+
+      const open = await get(`/api/rounds/2?contract=${raffleAddress}`);
+      expect(open.body.entrants).to.have.length(1);
+      expect((await get("/api/rounds/3")).status).to.equal(404);
+    });
+
+    it("Should summarise a player and rank players and winners", async function () {
+      const { body: summary } = await get(`/api/players/${player1.address.toLowerCase()}`);
+      const [winner] = await raffle.queryFilter("WinnerPicked");
+      const player1Won = winner.args.winner === player1.address;
+      expect(summary.roundsEntered).to.equal(2);
+      expect(summary.spent).to.equal((entryFee * 2n).toString());
+      expect(summary.rows.map((row) => row.isCurrent)).to.deep.equal([false, true]);
+      expect(summary.wins).to.equal(player1Won ? 1 : 0);
+
+      const { body: players } = await get("/api/players");
+      expect(players[0]).to.include({ player: player1.address, entries: 2, rounds: 2 });
+
+      const { body: winners } = await get("/api/winners");
+      expect(winners).to.deep.equal([{ winner: winner.args.winner, wins: 1, won: (entryFee * 2n).toString() }]);
+    });
+
+    it("Should report stats", async function () {
+      const { body: stats } = await get("/api/stats");
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      expect(stats).to.deep.include({
+        rounds: 1,
+        entries: 3,
+        players: 2,
+        volume: (entryFee * 3n).toString(),
+        paidOut: (entryFee * 2n).toString(),
+        biggestPrize: (entryFee * 2n).toString()
+      });
+      expect(stats.roundsPerDay).to.deep.equal([
+        { day: new Date(timestamp * 1000).toISOString().slice(0, 10), rounds: 1 }
+      ]);
+    });
+
+    it("Should reject bad parameters", async function () {
+      expect((await get("/api/players/not-an-address")).status).to.equal(400);
+      expect((await get("/api/rounds?limit=-1")).status).to.equal(400);
+      expect((await get(`/api/stats?contract=${ethers.ZeroAddress}`)).status).to.equal(404);
+      expect((await get("/api/nothing")).status).to.equal(404);
+    });
+  });
+});
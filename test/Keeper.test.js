@@ -0,0 +1,148 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import keeperLib from "../scripts/lib/keeper.cjs";
+
+const { ethers } = hre;
+const { Keeper } = keeperLib;
+
+describe("Keeper", function () {
+  const contribution = ethers.parseEther("0.1");
+  let keeperSigner;
+  let player1;
+  let player2;
+
+  const newKeeper = (options) => new Keeper({ backoffMs: 0, log: () => {}, ...options });
+
+  beforeEach(async function () {
+    [keeperSigner, player1, player2] = await ethers.getSigners();
+  });
+
+  describe("Reward pool", function () {
+    let pool;
+    let duration;
+
+    beforeEach(async function () {
+      const EthRewardPool = await ethers.getContractFactory("EthRewardPool");
+      pool = await EthRewardPool.deploy();
+      await pool.waitForDeployment();
+      duration = await pool.ROUND_DURATION();
+    });
+
+    it("Should wait while the round is open", async function () {
+      await pool.connect(player1).joinPool({ value: contribution });
+      const [result] = await newKeeper({ pools: [pool] }).tick();
+
+      expect(result.outcome).to.equal("waiting");
+      expect(await pool.roundId()).to.equal(1n);
+    });
+
+    it("Should skip an expired round with no participants", async function () {
+      await time.increase(duration);
+      const [result] = await newKeeper({ pools: [pool] }).tick();
+
+      expect(result.outcome).to.equal("empty");
+      expect(await pool.roundId()).to.equal(1n);
+    });
+
+    it("Should distribute the reward once the round expires", async function () {
+      await pool.connect(player1).joinPool({ value: contribution });
+      await pool.connect(player2).joinPool({ value: contribution });
+      await time.increase(duration);
+
+      const [result] = await newKeeper({ pools: [pool] }).tick();
+      expect(result.outcome).to.equal("settled");
+      expect(await pool.roundId()).to.equal(2n);
+      expect(await pool.getPoolBalance()).to.equal(0n);
+      expect([player1.address, player2.address]).to.include(await pool.getRewardRecipient(1));
+    });
+
+    it("Should hold off while gas is above the cap", async function () {
+      await pool.connect(player1).joinPool({ value: contribution });
+      await time.increase(duration);
+
+      const [result] = await newKeeper({ pools: [pool], maxGasPrice: 1n }).tick();
+      expect(result.outcome).to.equal("deferred");
+      expect(await pool.roundId()).to.equal(1n);
+    });
+
+    it("Should retry a send that failed for a transient reason", async function () {
+      await pool.connect(player1).joinPool({ value: contribution });
+      await time.increase(duration);
+
+      const getFeeData = ethers.provider.getFeeData;
+      let failures = 2;
+      ethers.provider.getFeeData = function () {
+        if (failures-- > 0) return Promise.reject(new Error("socket hang up"));
+        return getFeeData.call(this);
+      };
+      try {
+        const [result] = await newKeeper({ pools: [pool], retries: 2 }).tick();
+        expect(result.outcome).to.equal("settled");
+      } finally {
+        ethers.provider.getFeeData = getFeeData;
+      }
+    });
+
+    it("Should give up after the last retry", async function () {
+      await pool.connect(player1).joinPool({ value: contribution });
+      await time.increase(duration);
+
+      const getFeeData = ethers.provider.getFeeData;
+      ethers.provider.getFeeData = () => Promise.reject(new Error("socket hang up"));
+      try {
+        const [result] = await newKeeper({ pools: [pool], retries: 1 }).tick();
+        expect(result.outcome).to.equal("failed");
+        expect(result.detail).to.include("after 2 attempts");
+      } finally {
+        ethers.provider.getFeeData = getFeeData;
+      }
+    });
+  });
+
+  describe("Raffle mode", function () {
+    const entryFee = ethers.parseEther("0.01");
+    const interval = 3600;
+    let raffle;
+
+    beforeEach(async function () {
+      const Raffle = await ethers.getContractFactory("Raffle");
+      raffle = await Raffle.connect(keeperSigner).deploy(entryFee);
+      await raffle.waitForDeployment();
+    });
+
+    it("Should pick a winner once per interval", async function () {
+      const keeper = newKeeper({ raffles: [raffle], raffleInterval: interval });
+      await raffle.connect(player1).enter({ value: entryFee });
+
+      expect((await keeper.tick())[0].outcome).to.equal("waiting");
+
+      await time.increase(interval);
+      expect((await keeper.tick())[0].outcome).to.equal("settled");
+      expect(await raffle.lastWinner()).to.equal(player1.address);
+
+      await raffle.connect(player2).enter({ value: entryFee });
+      expect((await keeper.tick())[0].outcome).to.equal("waiting");
+    });
+
+    it("Should skip a scheduled pick with no players", async function () {
+      const keeper = newKeeper({ raffles: [raffle], raffleInterval: interval });
+      await keeper.tick();
+      await time.increase(interval);
+
+      expect((await keeper.tick())[0].outcome).to.equal("empty");
+    });
+
+    it("Should not retry a pick the contract rejects", async function () {
+      const keeper = newKeeper({ raffles: [raffle.connect(player2)], raffleInterval: interval });
+      await raffle.connect(player1).enter({ value: entryFee });
+      await keeper.tick();
+      await time.increase(interval);
+
+      const [result] = await keeper.tick();
+      expect(result.outcome).to.equal("failed");
+      expect(result.detail).to.include("Only owner can call this function");
+      expect(result.detail).to.include("after 1 attempt");
+    });
+  });
+});
@@ -0,0 +1,128 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { MulticallReader, RaffleClient } from "../sdk/index.js";
+
+const { ethers } = hre;
+
+describe("MulticallReader", function () {
+  const entryFee = ethers.parseEther("0.01");
+  let raffle;
+  let multicallAddress;
+  let player1;
+  let player2;
+  let calls;
+
+  // Counts the eth_calls that reach the node
+  const countingProvider = {
+    call: (tx) => {
+      calls++;
+      return ethers.provider.call(tx);
+    },
+    getBalance: (address, blockTag) => ethers.provider.getBalance(address, blockTag),
+    getBlock: (blockTag) => ethers.provider.getBlock(blockTag)
+  };
+
+  const newReader = (options = {}) => new MulticallReader(countingProvider, { address: multicallAddress, ...options });
+
+  beforeEach(async function () {
+    [, player1, player2] = await ethers.getSigners();
+    const Multicall3 = await ethers.getContractFactory("Multicall3");
+    const multicall = await Multicall3.deploy();
+    multicallAddress = await multicall.getAddress();
+
+    const Raffle = await ethers.getContractFactory("Raffle");
+    raffle = await Raffle.deploy(entryFee);
+    await raffle.waitForDeployment();
+    await raffle.connect(player1).enter({ value: entryFee });
+    calls = 0;
+  });
+
+  it("Should batch concurrent reads into one eth_call", async function () {
+    const reader = newReader();
+    const [info, players, owner, balance, timestamp] = await Promise.all([
+      reader.read(raffle, "getRaffleInfo"),
+      reader.read(raffle, "getPlayers"),
+      reader.read(raffle, "owner"),
+      reader.getBalance(player1.address),
+      reader.getBlockTimestamp()
+    ]);
+
+    expect(calls).to.equal(1);
+    expect(info._playerCount).to.equal(1n);
+    expect([...players]).to.deep.equal([player1.address]);
+    expect(owner).to.equal(await raffle.owner());
+    expect(balance).to.equal(await ethers.provider.getBalance(player1.address));
+    expect(timestamp).to.equal((await ethers.provider.getBlock("latest")).timestamp);
+  });
+
+  it("Should share identical reads and cache results for the ttl", async function () {
+    const reader = newReader({ cacheTtl: 50 });
+    const [a, b] = await Promise.all([reader.read(raffle, "entryFee"), reader.read(raffle, "entryFee")]);
+    await reader.read(raffle, "entryFee");
+    expect([a, b]).to.deep.equal([entryFee, entryFee]);
+    expect(calls).to.equal(1);
+
+    await new Promise((resolve) => setTimeout(resolve, 60));
+    await reader.read(raffle, "entryFee");
+    expect(calls).to.equal(2);
+
+    reader.clear();
+    await reader.read(raffle, "entryFee");
+    expect(calls).to.equal(3);
+  });
+
+  it("Should reject only the call that reverted", async function () {
+    const reader = newReader();
+    const [players, outOfRange] = await Promise.allSettled([
+      reader.read(raffle, "players", [0]),
+      reader.read(raffle, "players", [5])
+    ]);
+
+    expect(calls).to.equal(1);
+    expect(players.value).to.equal(player1.address);
+    expect(outOfRange.status).to.equal("rejected");
+    expect(outOfRange.reason.code).to.equal("CALL_EXCEPTION");
+  });
+
+  it("Should read at a past block", async function () {
+    const reader = newReader();
+    const before = await ethers.provider.getBlockNumber();
+    await raffle.connect(player2).enter({ value: entryFee });
+
+    const [then, now] = await Promise.all([
+      reader.read(raffle, "getPlayerCount", [], { blockTag: before }),
+      reader.read(raffle, "getPlayerCount")
+    ]);
+    expect(then).to.equal(1n);
+    expect(now).to.equal(2n);
+  });
+
+  it("Should split large batches", async function () {
+    const reader = newReader({ maxBatchSize: 2 });
+    const methods = ["owner", "entryFee", "isActive", "getPlayerCount", "getPrizePool"];
+    await Promise.all(methods.map((method) => reader.read(raffle, method)));
+    expect(calls).to.equal(3);
+  });
+
+  it("Should fall back to one eth_call per read without Multicall3", async function () {
+    const reader = newReader({ address: null });
+    const [owner, count] = await Promise.all([
+      reader.read(raffle, "owner"),
+      reader.read(raffle, "getPlayerCount"),
+      reader.read(raffle, "getPlayerCount")
+    ]);
+
+    expect(owner).to.equal(await raffle.owner());
+    expect(count).to.equal(1n);
+    expect(calls).to.equal(2);
+  });
+
+  it("Should let RaffleClient load info and players in one eth_call", async function () {
+    const client = new RaffleClient(await raffle.getAddress(), ethers.provider, { reader: newReader() });
+    const [info, players] = await Promise.all([client.getInfo(), client.getPlayers()]);
+
+    expect(info.playerCount).to.equal(1);
+    expect(players).to.deep.equal([player1.address]);
+    expect(calls).to.equal(1);
+  });
+});
@@ -0,0 +1,300 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+
+const { ethers } = hre;
+
+const parseEvent = (contract, receipt, eventName) =>
+  receipt.logs
+    .map((log) => contract.interface.parseLog(log))
+    .find((event) => event && event.name === eventName);
+
+// Every game pays its winner through ProtocolFee. Each setup deploys the game
+// with the owner as its treasury and knows how to enter and settle a round.
+const GAMES = {
+  Raffle: {
+    stake: ethers.parseEther("0.01"),
+    async deploy() {
+      const Raffle = await ethers.getContractFactory("Raffle");
+      return { contract: await Raffle.deploy(this.stake) };
+    },
+    enter: ({ contract }, player, stake) => contract.connect(player).enter({ value: stake }),
+    async settle({ contract }) {
+      const receipt = await (await contract.pickWinner()).wait();
+      const { args } = parseEvent(contract, receipt, "WinnerPicked");
+      // The prize waits in the raffle until the winner claims it
+      await contract.connect(await ethers.getSigner(args.winner)).claim();
+      return { receipt, winner: args.winner, amount: args.amount };
+    }
+  },
+
+  RaffleVRF: {
+    stake: ethers.parseEther("0.01"),
+    async deploy() {
+      const VRFCoordinatorV2Mock = await ethers.getContractFactory("VRFCoordinatorV2Mock");
+      const coordinator = await VRFCoordinatorV2Mock.deploy(0, 0);
+      await coordinator.createSubscription();
+
+      // Rounds outlast the fee timelock
+      const RaffleVRF = await ethers.getContractFactory("RaffleVRF");
+      const contract = await RaffleVRF.deploy(
+        await coordinator.getAddress(), ethers.ZeroHash, 1, 500000, this.stake, 365 * 86400
+      );
+      await coordinator.addConsumer(1, await contract.getAddress());
+      return { contract, coordinator };
+    },
+    enter: ({ contract }, player, stake) => contract.connect(player).enter({ value: stake }),
+    async settle({ contract, coordinator }) {
+      const request = await (await contract.pickWinner()).wait();
+      const { requestId } = parseEvent(contract, request, "RandomnessRequested").args;
+      const receipt = await (await coordinator.fulfillRandomWords(requestId, contract.target)).wait();
+      const { args } = parseEvent(contract, receipt, "WinnerPicked");
+      // The prize waits in the raffle until the winner claims it
+      await contract.connect(await ethers.getSigner(args.winner)).claim();
+      return { receipt, winner: args.winner, amount: args.amount };
+    }
+  },
+
+  EthRewardPool: {
+    stake: ethers.parseEther("0.1"),
+    async deploy() {
+      const EthRewardPool = await ethers.getContractFactory("EthRewardPool");
+      return { contract: await EthRewardPool.deploy() };
+    },
+    enter: ({ contract }, player, stake) => contract.connect(player).joinPool({ value: stake }),
+    async settle({ contract }) {
+      const end = (await contract.roundStart()) + (await contract.ROUND_DURATION());
+      if (BigInt(await time.latest()) < end) await time.increaseTo(end);
+      const receipt = await (await contract.distributeReward()).wait();
+      const { args } = parseEvent(contract, receipt, "RewardDistributed");
+      // The reward waits in the pool until the winner claims it
+      await contract.connect(await ethers.getSigner(args.recipient)).claim();
+      return { receipt, winner: args.recipient, amount: args.amount };
+    }
+  }
+};
+
+// The prize pool view of each game
+const prizePool = (name, contract) =>
+  name === "EthRewardPool" ? contract.getPoolBalance() : contract.getPrizePool();
+
+describe("ProtocolFee", function () {
+  const feeBps = 500n; // 5%
+  const feeOf = (gross) => (gross * feeBps) / 10000n;
+  let owner;
+  let player1;
+  let player2;
+  let delay;
+
+  beforeEach(async function () {
+    [owner, player1, player2] = await ethers.getSigners();
+  });
+
+  for (const [name, game] of Object.entries(GAMES)) {
+    describe(name, function () {
+      let context;
+      let contract;
+
+      beforeEach(async function () {
+        context = await game.deploy();
+        contract = context.contract;
+        delay = await contract.FEE_CHANGE_DELAY();
+      });
+
+      // The fee is changed in time for the round, then both players enter
+      async function playRoundWithFee() {
+        await contract.scheduleFeeChange(feeBps);
+        await time.increase(delay);
+        await game.enter(context, player1, game.stake);
+        await game.enter(context, player2, game.stake);
+        return game.settle(context);
+      }
+
+      it("Should keep the fee from the payout for the treasury", async function () {
+        const gross = game.stake * 2n;
+        const { receipt, amount } = await playRoundWithFee();
+
+        expect(amount).to.equal(gross - feeOf(gross));
+        expect(parseEvent(contract, receipt, "FeeAccrued").args.toObject())
+          .to.deep.equal({ amount: feeOf(gross), accruedFees: feeOf(gross) });
+        expect(await contract.accruedFees()).to.equal(feeOf(gross));
+        expect(await ethers.provider.getBalance(contract.target)).to.equal(feeOf(gross));
+        expect(await prizePool(name, contract)).to.equal(0n);
+      });
+
+      it("Should leave accrued fees out of the next prize pool", async function () {
+        const { amount: first } = await playRoundWithFee();
+        const firstFee = game.stake * 2n - first;
+
+        await game.enter(context, player1, game.stake);
+        expect(await prizePool(name, contract)).to.equal(game.stake);
+        const { amount: second } = await game.settle(context);
+
+        expect(second).to.equal(game.stake - feeOf(game.stake));
+        expect(await contract.accruedFees()).to.equal(firstFee + feeOf(game.stake));
+      });
+
+      it("Should let the owner withdraw the fees to the treasury", async function () {
+        await playRoundWithFee();
+        const fees = await contract.accruedFees();
+
+        const tx = await contract.withdrawFees();
+        await expect(tx).to.emit(contract, "FeesWithdrawn").withArgs(owner.address, fees);
+        await expect(tx).to.changeEtherBalances([contract, owner], [-fees, fees]);
+        expect(await contract.accruedFees()).to.equal(0n);
+      });
+    });
+  }
+
+  describe("Fee changes", function () {
+    const entryFee = ethers.parseEther("0.01");
+    let raffle;
+
+    beforeEach(async function () {
+      const Raffle = await ethers.getContractFactory("Raffle");
+      raffle = await Raffle.deploy(entryFee);
+      delay = await raffle.FEE_CHANGE_DELAY();
+    });
+
+    it("Should start without a fee and pay fees to the owner", async function () {
+      expect(await raffle.getFeeConfig()).to.deep.equal([0n, 0n, 0n, owner.address, 0n, 0n]);
+      expect(await raffle.MAX_FEE_BPS()).to.equal(1000n);
+      expect(delay).to.equal(2n * 24n * 3600n);
+    });
+
+    it("Should announce a fee change and apply it once the delay has passed", async function () {
+      const tx = await raffle.scheduleFeeChange(feeBps);
+      const { timestamp } = await ethers.provider.getBlock((await tx.wait()).blockNumber);
+      const effectiveTime = BigInt(timestamp) + delay;
+      await expect(tx).to.emit(raffle, "FeeChangeScheduled").withArgs(feeBps, effectiveTime);
+
+      expect(await raffle.feeBps()).to.equal(0n);
+      expect(await raffle.getFeeConfig()).to.deep.equal([0n, feeBps, effectiveTime, owner.address, 0n, 0n]);
+
+      await time.increaseTo(effectiveTime);
+      expect(await raffle.feeBps()).to.equal(feeBps);
+      expect(await raffle.getFeeConfig()).to.deep.equal([feeBps, 0n, 0n, owner.address, 0n, 0n]);
+    });
+
+    it("Should charge the current fee until the change takes effect", async function () {
+      await raffle.scheduleFeeChange(feeBps);
+      await time.increase(delay - 10n);
+      await raffle.connect(player1).enter({ value: entryFee });
+
+      await expect(raffle.pickWinner())
+        .to.emit(raffle, "WinnerPicked")
+        .withArgs(player1.address, entryFee)
+        .and.not.to.emit(raffle, "FeeAccrued");
+    });
+
+    it("Should charge a round the fee in force at its first entry", async function () {
+      await raffle.connect(player1).enter({ value: entryFee });
+      await raffle.scheduleFeeChange(feeBps);
+      await time.increase(delay);
+      await raffle.connect(player2).enter({ value: entryFee });
+      expect(await raffle.roundFeeBps()).to.equal(0n);
+
+      await expect(raffle.pickWinner()).not.to.emit(raffle, "FeeAccrued");
+      expect(await raffle.accruedFees()).to.equal(0n);
+
+      await raffle.connect(player1).enter({ value: entryFee });
+      expect(await raffle.roundFeeBps()).to.equal(feeBps);
+      await expect(raffle.pickWinner())
+        .to.emit(raffle, "FeeAccrued")
+        .withArgs(feeOf(entryFee), feeOf(entryFee));
+    });
+
+    it("Should record the change at the first entry after it takes effect", async function () {
+      await raffle.scheduleFeeChange(feeBps);
+      await time.increase(delay);
+
+      await expect(raffle.connect(player1).enter({ value: entryFee }))
+        .to.emit(raffle, "FeeChanged")
+        .withArgs(0n, feeBps);
+      expect(await raffle.pendingFeeBps()).to.equal(0n);
+      expect(await raffle.feeChangeTime()).to.equal(0n);
+      expect(await raffle.getFeeConfig()).to.deep.equal([feeBps, 0n, 0n, owner.address, 0n, feeBps]);
+    });
+
+    it("Should restart the delay when a pending change is replaced", async function () {
+      await raffle.scheduleFeeChange(feeBps);
+      await time.increase(delay / 2n);
+      await raffle.scheduleFeeChange(200n);
+      await time.increase(delay / 2n);
+
+      expect(await raffle.feeBps()).to.equal(0n);
+      await time.increase(delay / 2n);
+      expect(await raffle.feeBps()).to.equal(200n);
+    });
+
+    it("Should let the owner cancel a change that has not taken effect", async function () {
+      await raffle.scheduleFeeChange(feeBps);
+      await expect(raffle.cancelFeeChange()).to.emit(raffle, "FeeChangeCancelled").withArgs(feeBps);
+      await time.increase(delay);
+
+      expect(await raffle.feeBps()).to.equal(0n);
+      await expect(raffle.cancelFeeChange()).to.be.revertedWith("No fee change scheduled");
+    });
+
+    it("Should not cancel a change that already took effect", async function () {
+      await raffle.scheduleFeeChange(feeBps);
+      await time.increase(delay);
+
+      await expect(raffle.cancelFeeChange()).to.be.revertedWith("No fee change scheduled");
+      expect(await raffle.feeBps()).to.equal(feeBps);
+    });
+
+    it("Should cap the fee", async function () {
+      await expect(raffle.scheduleFeeChange(1001n)).to.be.revertedWith("Fee above maximum");
+      await expect(raffle.scheduleFeeChange(1000n)).to.not.be.reverted;
+    });
+
+    it("Should keep fee settings to the owner", async function () {
+      const asPlayer = raffle.connect(player1);
+      const onlyOwner = "Only owner can call this function";
+
+      await expect(asPlayer.scheduleFeeChange(feeBps)).to.be.revertedWith(onlyOwner);
+      await expect(asPlayer.cancelFeeChange()).to.be.revertedWith(onlyOwner);
+      await expect(asPlayer.setTreasury(player1.address)).to.be.revertedWith(onlyOwner);
+      await expect(asPlayer.withdrawFees()).to.be.revertedWith(onlyOwner);
+    });
+  });
+
+  describe("Withdrawal", function () {
+    const entryFee = ethers.parseEther("0.01");
+    let raffle;
+
+    beforeEach(async function () {
+      const Raffle = await ethers.getContractFactory("Raffle");
+      raffle = await Raffle.deploy(entryFee);
+      await raffle.scheduleFeeChange(feeBps);
+      await time.increase(await raffle.FEE_CHANGE_DELAY());
+      await raffle.connect(player1).enter({ value: entryFee });
+      await raffle.pickWinner();
+    });
+
+    it("Should reject a withdrawal with nothing accrued", async function () {
+      await raffle.withdrawFees();
+      await expect(raffle.withdrawFees()).to.be.revertedWith("No fees to withdraw");
+    });
+
+    it("Should send the fees to a new treasury", async function () {
+      await expect(raffle.setTreasury(player2.address))
+        .to.emit(raffle, "TreasuryChanged")
+        .withArgs(player2.address);
+
+      await expect(raffle.withdrawFees()).to.changeEtherBalance(player2, feeOf(entryFee));
+      await expect(raffle.setTreasury(ethers.ZeroAddress))
+        .to.be.revertedWith("Treasury cannot be the zero address");
+    });
+
+    it("Should keep the fees when the treasury rejects them", async function () {
+      const RevertingReceiver = await ethers.getContractFactory("RevertingReceiver");
+      const receiver = await RevertingReceiver.deploy();
+      await raffle.setTreasury(await receiver.getAddress());
+
+      await expect(raffle.withdrawFees()).to.be.revertedWith("Fee transfer failed");
+      expect(await raffle.accruedFees()).to.equal(feeOf(entryFee));
+    });
+  });
+});
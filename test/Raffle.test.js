@@ -1,5 +1,8 @@
 import { expect } from "chai";
-import { ethers } from "hardhat";
+import hre from "hardhat";
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+
+const { ethers } = hre;
 
 describe("Raffle Contract", function () {
   let raffle;
@@ -54,6 +57,45 @@ describe("Raffle Contract", function () {
     });
   });
 
+  describe("Buying tickets", function () {
+    it("Should sell several tickets for the entry fee each", async function () {
+      await expect(raffle.connect(player1).buyTickets(3, { value: entryFee * 3n }))
+        .to.emit(raffle, "PlayerEntered")
+        .withArgs(player1.address, entryFee * 3n, 3n);
+
+      expect(await raffle.getPlayers()).to.deep.equal([player1.address]);
+      expect(await raffle.getTickets(player1.address)).to.equal(3n);
+      expect(await raffle.getTicketCount()).to.equal(3n);
+      expect(await raffle.getPrizePool()).to.equal(entryFee * 3n);
+    });
+
+    it("Should list a player once however many times they buy", async function () {
+      await raffle.connect(player1).buyTickets(2, { value: entryFee * 2n });
+      await raffle.connect(player2).enter({ value: entryFee });
+      await raffle.connect(player1).buyTickets(4, { value: entryFee * 4n });
+
+      expect(await raffle.getPlayers()).to.deep.equal([player1.address, player2.address]);
+      expect(await raffle.getTicketCounts()).to.deep.equal([6n, 1n]);
+      expect(await raffle.getTicketCount()).to.equal(7n);
+    });
+
+    it("Should reject a payment that does not match the ticket count", async function () {
+      await expect(
+        raffle.connect(player1).buyTickets(3, { value: entryFee * 2n })
+      ).to.be.revertedWith("Incorrect entry fee");
+    });
+
+    it("Should reject zero tickets and more than the limit per entry", async function () {
+      const max = await raffle.MAX_TICKETS_PER_ENTRY();
+
+      await expect(raffle.connect(player1).buyTickets(0)).to.be.revertedWith("Invalid ticket count");
+      await expect(
+        raffle.connect(player1).buyTickets(max + 1n, { value: entryFee * (max + 1n) })
+      ).to.be.revertedWith("Invalid ticket count");
+      await expect(raffle.connect(player1).buyTickets(max, { value: entryFee * max })).to.not.be.reverted;
+    });
+  });
+
   describe("Picking a winner", function () {
     beforeEach(async function () {
       await raffle.connect(player1).enter({ value: entryFee });
@@ -66,25 +108,70 @@ describe("Raffle Contract", function () {
       ).to.be.revertedWith("Only owner can call this function");
     });
 
-    it("Should pick a winner and transfer prize", async function () {
-      const initialBalance1 = await ethers.provider.getBalance(player1.address);
-      const initialBalance2 = await ethers.provider.getBalance(player2.address);
-      
-      await raffle.connect(owner).pickWinner();
+    it("Should pick a winner and let them claim the prize", async function () {
+      const prize = entryFee * 2n;
+      const tx = await raffle.connect(owner).pickWinner();
+      const winner = await raffle.lastWinner();
       
-      const finalBalance1 = await ethers.provider.getBalance(player1.address);
-      const finalBalance2 = await ethers.provider.getBalance(player2.address);
+      // One of the players is credited the prize, nothing is sent yet
+      expect([player1.address, player2.address]).to.include(winner);
+      await expect(tx).to.emit(raffle, "PrizeClaimable").withArgs(winner, prize, 1n);
+      expect(await raffle.claimable(winner)).to.equal(prize);
+      expect(await raffle.totalClaimable()).to.equal(prize);
+      expect(await raffle.getPrizePool()).to.equal(0n);
       
-      // One of the players should have received the prize
-      const player1Won = finalBalance1 > initialBalance1;
-      const player2Won = finalBalance2 > initialBalance2;
+      const claim = await raffle.connect(await ethers.getSigner(winner)).claim();
+      await expect(claim).to.emit(raffle, "PrizeClaimed").withArgs(winner, prize);
+      await expect(claim).to.changeEtherBalances([raffle, winner], [-prize, prize]);
+      await expect(raffle.connect(await ethers.getSigner(winner)).claim()).to.be.revertedWith("Nothing to claim");
+    });
+    
+    it("Should keep drawing when the winner rejects ETH", async function () {
+      await raffle.connect(owner).pickWinner();
+      const RevertingReceiver = await ethers.getContractFactory("RevertingReceiver");
+      const receiver = await RevertingReceiver.deploy();
+      await receiver.enterRaffle(await raffle.getAddress(), { value: entryFee });
       
-      expect(player1Won || player2Won).to.be.true;
+      // The receiver is the only player of round 2
+      await expect(raffle.connect(owner).pickWinner())
+        .to.emit(raffle, "WinnerPicked").withArgs(receiver.target, entryFee);
+      expect(await raffle.claimable(receiver.target)).to.equal(entryFee);
+      await expect(raffle.connect(player1).enter({ value: entryFee })).to.emit(raffle, "PlayerEntered");
+      expect(await raffle.getPrizePool()).to.equal(entryFee);
     });
 
     it("Should reset players after picking winner", async function () {
       await raffle.connect(owner).pickWinner();
       expect(await raffle.getPlayerCount()).to.equal(0);
+      expect(await raffle.getTicketCount()).to.equal(0);
+      expect(await raffle.getTickets(player1.address)).to.equal(0);
+    });
+
+    it("Should pay the owner of the winning ticket", async function () {
+      // Ticket 0 is player1's, 1-3 are player2's and 4-6 player1's again
+      await raffle.connect(player2).buyTickets(2, { value: entryFee * 2n });
+      await raffle.connect(player1).buyTickets(3, { value: entryFee * 3n });
+      const owners = [player1, player2, player2, player2, player1, player1, player1];
+      const ticketCount = 7n;
+
+      // Find a block whose winning ticket is in player1's second range
+      const timestamp = (await time.latest()) + 12;
+      let prevrandao;
+      let winningTicket;
+      for (let seed = 0; winningTicket === undefined || winningTicket < 4n; seed++) {
+        prevrandao = BigInt(ethers.id(`ticket ${seed}`));
+        const random = ethers.solidityPackedKeccak256(
+          ["uint256", "uint256", "uint256"],
+          [timestamp, prevrandao, ticketCount]
+        );
+        winningTicket = BigInt(random) % ticketCount;
+      }
+      await ethers.provider.send("hardhat_setPrevRandao", [ethers.toBeHex(prevrandao, 32)]);
+      await time.setNextBlockTimestamp(timestamp);
+
+      await expect(raffle.connect(owner).pickWinner())
+        .to.emit(raffle, "WinnerPicked")
+        .withArgs(owners[Number(winningTicket)].address, entryFee * ticketCount);
     });
   });
 
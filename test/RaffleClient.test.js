@@ -0,0 +1,266 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import {
+  RaffleClient,
+  RaffleVRFClient,
+  RAFFLE_ABI,
+  RAFFLE_VRF_ABI,
+  ETH_REWARD_POOL_ABI,
+  MULTICALL3_ABI
+} from "../sdk/index.js";
+
+const { ethers } = hre;
+
+// Every fragment of the compiled contract must be in the SDK ABI with the same
+// types and outputs, and the SDK must not declare anything the contract lacks
+async function expectAbiMatches(contractName, sdkAbi) {
+  const artifact = await hre.artifacts.readArtifact(contractName);
+  const compiled = new ethers.Interface(artifact.abi);
+  const sdk = new ethers.Interface(sdkAbi);
+  // The minimal format keeps types, indexed flags, mutability and outputs
+  const signature = (fragment) => fragment.format("minimal");
+
+  const compiledSignatures = compiled.fragments.map(signature).sort();
+  const sdkSignatures = sdk.fragments.map(signature).sort();
+  expect(sdkSignatures).to.deep.equal(compiledSignatures);
+}
+
+describe("RaffleClient SDK", function () {
+  const entryFee = ethers.parseEther("0.01");
+  let owner;
+  let player1;
+  let player2;
+
+  beforeEach(async function () {
+    [owner, player1, player2] = await ethers.getSigners();
+  });
+
+  describe("ABI", function () {
+    it("Should match the compiled Raffle contract", async function () {
+      await expectAbiMatches("Raffle", RAFFLE_ABI);
+    });
+
+    it("Should match the compiled RaffleVRF contract", async function () {
+      await expectAbiMatches("RaffleVRF", RAFFLE_VRF_ABI);
+    });
+
+    it("Should match the compiled EthRewardPool contract", async function () {
+      await expectAbiMatches("EthRewardPool", ETH_REWARD_POOL_ABI);
+    });
+
+    it("Should match the local Multicall3 contract", async function () {
+      await expectAbiMatches("Multicall3", MULTICALL3_ABI);
+    });
+  });
+
+  describe("Raffle", function () {
+    let client;
+
+    beforeEach(async function () {
+      const Raffle = await ethers.getContractFactory("Raffle");
+      const raffle = await Raffle.deploy(entryFee);
+      await raffle.waitForDeployment();
+      client = new RaffleClient(await raffle.getAddress(), owner);
+    });
+
+    it("Should return raffle info as a typed object", async function () {
+      await (await client.connect(player1).enter()).wait();
+
+      expect(await client.getInfo()).to.deep.equal({
+        entryFee,
+        playerCount: 1,
+        prizePool: entryFee,
+        isActive: true,
+        lastWinner: ethers.ZeroAddress,
+        lastWinAmount: 0n
+      });
+      expect(await client.getOwner()).to.equal(owner.address);
+      expect(await client.getPlayers()).to.deep.equal([player1.address]);
+    });
+
+    it("Should run the admin operations", async function () {
+      await (await client.closeRaffle()).wait();
+      expect((await client.getInfo()).isActive).to.equal(false);
+
+      await (await client.activateRaffle()).wait();
+      expect((await client.getInfo()).isActive).to.equal(true);
+
+      const newFee = ethers.parseEther("0.02");
+      await (await client.startNewRaffle(newFee)).wait();
+      expect(await client.getEntryFee()).to.equal(newFee);
+    });
+
+    it("Should read the fee settings and schedule fee changes", async function () {
+      expect(await client.getFeeConfig()).to.deep.equal({
+        feeBps: 0,
+        pendingFeeBps: 0,
+        feeChangeTime: 0,
+        treasury: owner.address,
+        accruedFees: 0n,
+        roundFeeBps: 0
+      });
+
+      await (await client.scheduleFeeChange(250)).wait();
+      expect((await client.getFeeConfig()).pendingFeeBps).to.equal(250);
+      await (await client.cancelFeeChange()).wait();
+      await (await client.setTreasury(player2.address)).wait();
+      expect(await client.getFeeConfig()).to.include({ pendingFeeBps: 0, feeChangeTime: 0, treasury: player2.address });
+    });
+
+    it("Should return entries and winners from the logs", async function () {
+      await (await client.connect(player1).enter()).wait();
+      await (await client.connect(player2).enter()).wait();
+      const receipt = await (await client.pickWinner()).wait();
+
+      const entries = await client.getEntries();
+      expect(entries.map((entry) => entry.player)).to.deep.equal([player1.address, player2.address]);
+      expect(entries[0].amount).to.equal(entryFee);
+
+      const mine = await client.getEntries({ player: player2.address });
+      expect(mine).to.have.length(1);
+
+      const [win] = await client.getWinners();
+      expect(win.amount).to.equal(entryFee * 2n);
+      expect(win.txHash).to.equal(receipt.hash);
+      expect(win.blockNumber).to.equal(receipt.blockNumber);
+      expect((await client.getInfo()).lastWinner).to.equal(win.winner);
+
+      // The prize waits in the raffle until the winner claims it
+      const winner = client.connect(await ethers.getSigner(win.winner));
+      expect(await client.getClaimable(win.winner)).to.equal(win.amount);
+      await expect(winner.claim()).to.changeEtherBalance(win.winner, win.amount);
+      expect(await client.getClaimable(win.winner)).to.equal(0n);
+    });
+
+    it("Should buy several tickets at the on-chain entry fee", async function () {
+      expect(await client.getMaxTicketsPerEntry()).to.equal(100n);
+      await (await client.connect(player1).buyTickets(3)).wait();
+      await (await client.connect(player2).enter()).wait();
+
+      expect(await client.getPlayers()).to.deep.equal([player1.address, player2.address]);
+      expect(await client.getTicketCounts()).to.deep.equal([3n, 1n]);
+      expect(await client.getTickets(player1.address)).to.equal(3n);
+      expect((await client.getInfo()).prizePool).to.equal(entryFee * 4n);
+
+      const entries = await client.getEntries();
+      expect(entries.map((entry) => entry.tickets)).to.deep.equal([3n, 1n]);
+      expect(entries[0].amount).to.equal(entryFee * 3n);
+    });
+
+    it("Should cancel a round and refund its players", async function () {
+      await (await client.setMinPlayers(2)).wait();
+      expect(await client.getMinPlayers()).to.equal(2n);
+      await (await client.connect(player1).buyTickets(2)).wait();
+      const receipt = await (await client.cancelRound()).wait();
+
+      const [cancellation] = await client.getCancellations();
+      expect(cancellation).to.include({ roundId: 1n, refunds: entryFee * 2n, txHash: receipt.hash });
+      expect(await client.getRoundId()).to.equal(2n);
+      expect(await client.getRefund(1n, player1.address)).to.equal(entryFee * 2n);
+      await (await client.connect(player1).claimRefund(1n)).wait();
+      expect(await client.getRefund(1n, player1.address)).to.equal(0n);
+    });
+
+    it("Should deliver events to subscribers until they unsubscribe", async function () {
+      let unsubscribe;
+      const delivered = new Promise((resolve) => {
+        unsubscribe = client.onPlayerEntered(resolve);
+      });
+
+      const tx = await client.connect(player1).enter();
+      const entry = await delivered;
+      await unsubscribe();
+
+      expect(entry.player).to.equal(player1.address);
+      expect(entry.amount).to.equal(entryFee);
+      expect(entry.tickets).to.equal(1n);
+      expect(entry.txHash).to.equal(tx.hash);
+      expect(await client.contract.listenerCount("PlayerEntered")).to.equal(0);
+    });
+  });
+
+  describe("RaffleVRF", function () {
+    let client;
+    let vrfCoordinator;
+
+    beforeEach(async function () {
+      const VRFCoordinatorV2Mock = await ethers.getContractFactory("VRFCoordinatorV2Mock");
+      vrfCoordinator = await VRFCoordinatorV2Mock.deploy(ethers.parseEther("0.25"), 1e9);
+      await vrfCoordinator.createSubscription();
+      await vrfCoordinator.fundSubscription(1, ethers.parseEther("10"));
+
+      const RaffleVRF = await ethers.getContractFactory("RaffleVRF");
+      const raffle = await RaffleVRF.deploy(
+        await vrfCoordinator.getAddress(),
+        ethers.ZeroHash,
+        1,
+        500000,
+        entryFee,
+        3600
+      );
+      await vrfCoordinator.addConsumer(1, await raffle.getAddress());
+      client = new RaffleVRFClient(await raffle.getAddress(), owner);
+    });
+
+    it("Should include the round fields in the info", async function () {
+      const info = await client.getInfo();
+      expect(info.roundNumber).to.equal(1);
+      expect(info.isOpen).to.equal(true);
+      expect(info.timeRemaining).to.be.within(3598, 3600);
+    });
+
+    it("Should only offer what RaffleVRF implements", async function () {
+      for (const method of ["buyTickets", "getTicketCounts", "getRoundId"]) {
+        expect(client[method], method).to.equal(undefined);
+        expect(RaffleVRFClient.calls[method], method).to.equal(undefined);
+      }
+      expect(RaffleVRFClient.calls.enter(entryFee)).to.deep.equal({ method: "enter", args: [], value: entryFee });
+    });
+
+    it("Should expose the VRF configuration by name", async function () {
+      expect(await client.getVRFConfig()).to.deep.equal({
+        coordinator: await vrfCoordinator.getAddress(),
+        gasLane: ethers.ZeroHash,
+        subscriptionId: 1n,
+        callbackGasLimit: 500000
+      });
+    });
+
+    it("Should read the request id from a pickWinner receipt", async function () {
+      await (await client.connect(player1).enter()).wait();
+      const receipt = await (await client.pickWinner()).wait();
+      const requestId = client.requestIdFrom(receipt);
+
+      expect(requestId).to.equal(1n);
+      expect(await client.isRequestPending()).to.equal(true);
+      const [request] = await client.getRandomnessRequests();
+      expect(request.requestId).to.equal(requestId);
+      // Every RaffleVRF entry is one ticket
+      const [entry] = await client.getEntries();
+      expect(entry.tickets).to.equal(1n);
+
+      await vrfCoordinator.fulfillRandomWords(requestId, client.address);
+      const info = await client.getInfo();
+      expect(info.lastWinner).to.equal(player1.address);
+      expect(info.roundNumber).to.equal(2);
+      expect(await client.getClaimable(player1.address)).to.equal(entryFee);
+      await expect(client.connect(player1).claim()).to.changeEtherBalance(player1, entryFee);
+    });
+
+    it("Should cancel a round and refund its players", async function () {
+      await (await client.setMinPlayers(2)).wait();
+      expect(await client.getMinPlayers()).to.equal(2n);
+      await (await client.connect(player1).enter()).wait();
+      await (await client.connect(player1).enter()).wait();
+      const receipt = await (await client.pickWinner()).wait();
+
+      expect(client.requestIdFrom(receipt)).to.equal(null);
+      const [cancellation] = await client.getCancellations();
+      expect(cancellation).to.include({ roundId: 1n, refunds: entryFee * 2n, txHash: receipt.hash });
+      expect((await client.getInfo()).roundNumber).to.equal(2);
+      expect(await client.getRefund(1n, player1.address)).to.equal(entryFee * 2n);
+      await (await client.connect(player1).claimRefund(1n)).wait();
+      expect(await client.getRefund(1n, player1.address)).to.equal(0n);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import { anyValue } from "@nomicfoundation/hardhat-chai-matchers/withArgs.js";
+import { RaffleVRFClient } from "../sdk/index.js";
+
+const { ethers } = hre;
+
+describe("RaffleVRF Contract", function () {
+  let raffle;
+  let client;
+  let vrfCoordinator;
+  let subscriptionId;
+  let owner;
+  let player1;
+  let player2;
+  const entryFee = ethers.parseEther("0.01");
+  const gasLane = ethers.ZeroHash;
+  const callbackGasLimit = 500000;
+  const raffleDuration = 3600;
+
+  async function requestWinner() {
+    const tx = await raffle.connect(owner).pickWinner();
+    return client.requestIdFrom(await tx.wait());
+  }
+
+  beforeEach(async function () {
+    [owner, player1, player2] = await ethers.getSigners();
+
+    const VRFCoordinatorV2Mock = await ethers.getContractFactory("VRFCoordinatorV2Mock");
+    vrfCoordinator = await VRFCoordinatorV2Mock.deploy(ethers.parseEther("0.25"), 1e9);
+    await vrfCoordinator.waitForDeployment();
+
+    await vrfCoordinator.createSubscription();
+    subscriptionId = 1;
+    await vrfCoordinator.fundSubscription(subscriptionId, ethers.parseEther("10"));
+
+    const RaffleVRF = await ethers.getContractFactory("RaffleVRF");
+    raffle = await RaffleVRF.deploy(
+      await vrfCoordinator.getAddress(),
+      gasLane,
+      subscriptionId,
+      callbackGasLimit,
+      entryFee,
+      raffleDuration
+    );
+    await raffle.waitForDeployment();
+    await vrfCoordinator.addConsumer(subscriptionId, await raffle.getAddress());
+    client = new RaffleVRFClient(await raffle.getAddress(), owner);
+  });
+
+  describe("Deployment", function () {
+    it("Should set the right owner and entry fee", async function () {
+      expect(await raffle.owner()).to.equal(owner.address);
+      expect(await raffle.entryFee()).to.equal(entryFee);
+    });
+
+    it("Should expose the VRF configuration", async function () {
+      const config = await client.getVRFConfig();
+      expect(config.coordinator).to.equal(await vrfCoordinator.getAddress());
+      expect(config.gasLane).to.equal(gasLane);
+      expect(config.subscriptionId).to.equal(subscriptionId);
+      expect(config.callbackGasLimit).to.equal(callbackGasLimit);
+    });
+
+    it("Should start round 1 open with the full duration remaining", async function () {
+      const info = await client.getInfo();
+      expect(info.isActive).to.equal(true);
+      expect(info.roundNumber).to.equal(1);
+      expect(info.isOpen).to.equal(true);
+      const elapsed = (await time.latest()) - Number(await raffle.roundStartTime());
+      expect(info.timeRemaining).to.equal(raffleDuration - elapsed);
+    });
+  });
+
+  describe("Entering the raffle", function () {
+    it("Should allow players to enter with correct fee", async function () {
+      await expect(raffle.connect(player1).enter({ value: entryFee }))
+        .to.emit(raffle, "PlayerEntered")
+        .withArgs(player1.address, entryFee);
+      expect(await raffle.getPlayerCount()).to.equal(1);
+    });
+
+    it("Should reject entry with incorrect fee", async function () {
+      await expect(
+        raffle.connect(player1).enter({ value: ethers.parseEther("0.005") })
+      ).to.be.revertedWith("Incorrect entry fee");
+    });
+
+    it("Should not allow owner to enter", async function () {
+      await expect(
+        raffle.connect(owner).enter({ value: entryFee })
+      ).to.be.revertedWith("Owner cannot enter the raffle");
+    });
+
+    it("Should not allow entries after the round duration", async function () {
+      await time.increase(raffleDuration);
+      await expect(
+        raffle.connect(player1).enter({ value: entryFee })
+      ).to.be.revertedWith("Raffle period has ended");
+      expect(await raffle.isOpen()).to.equal(false);
+    });
+  });
+
+  describe("Picking a winner", function () {
+    beforeEach(async function () {
+      await raffle.connect(player1).enter({ value: entryFee });
+      await raffle.connect(player2).enter({ value: entryFee });
+    });
+
+    it("Should only allow owner to pick winner", async function () {
+      await expect(
+        raffle.connect(player1).pickWinner()
+      ).to.be.revertedWith("Only owner can call this function");
+    });
+
+    it("Should request randomness and mark the request pending", async function () {
+      await expect(raffle.connect(owner).pickWinner()).to.emit(raffle, "RandomnessRequested");
+      expect(await raffle.isRequestPending()).to.equal(true);
+      expect((await client.getInfo()).isOpen).to.equal(false);
+    });
+
+    it("Should reject a second request while one is pending", async function () {
+      await requestWinner();
+      await expect(
+        raffle.connect(owner).pickWinner()
+      ).to.be.revertedWith("VRF request already pending");
+    });
+
+    it("Should block entries while a request is pending", async function () {
+      const [, , , player3] = await ethers.getSigners();
+      await requestWinner();
+      await expect(
+        raffle.connect(player3).enter({ value: entryFee })
+      ).to.be.revertedWith("Winner selection pending");
+    });
+
+    it("Should credit the winner and start the next round on fulfillment", async function () {
+      const requestId = await requestWinner();
+      const prize = entryFee * 2n;
+
+      await expect(vrfCoordinator.fulfillRandomWordsWithOverride(requestId, await raffle.getAddress(), [1]))
+        .to.emit(raffle, "PrizeClaimable").withArgs(player2.address, prize, 1n)
+        .and.to.emit(raffle, "WinnerPicked").withArgs(player2.address, prize);
+
+      const info = await client.getInfo();
+      expect(info.playerCount).to.equal(0);
+      expect(info.prizePool).to.equal(0n);
+      expect(info.lastWinner).to.equal(player2.address);
+      expect(info.lastWinAmount).to.equal(prize);
+      expect(info.roundNumber).to.equal(2);
+      expect(await raffle.isRequestPending()).to.equal(false);
+
+      const claim = await raffle.connect(player2).claim();
+      await expect(claim).to.emit(raffle, "PrizeClaimed").withArgs(player2.address, prize);
+      await expect(claim).to.changeEtherBalances([raffle, player2], [-prize, prize]);
+      await expect(raffle.connect(player2).claim()).to.be.revertedWith("Nothing to claim");
+    });
+
+    it("Should open the next round even when the winner rejects ETH", async function () {
+      const RevertingReceiver = await ethers.getContractFactory("RevertingReceiver");
+      const receiver = await RevertingReceiver.deploy();
+      await receiver.enter(await raffle.getAddress(), { value: entryFee });
+
+      // player1, player2, then the receiver: random word 2 picks the receiver
+      const requestId = await requestWinner();
+      await expect(vrfCoordinator.fulfillRandomWordsWithOverride(requestId, await raffle.getAddress(), [2]))
+        .to.emit(vrfCoordinator, "RandomWordsFulfilled").withArgs(requestId, anyValue, anyValue, true);
+
+      expect(await raffle.claimable(receiver.target)).to.equal(entryFee * 3n);
+      expect(await raffle.isRequestPending()).to.equal(false);
+      await expect(raffle.connect(player1).enter({ value: entryFee })).to.emit(raffle, "PlayerEntered");
+    });
+
+    it("Should let the owner request again once a request times out", async function () {
+      const requestId = await requestWinner();
+      await expect(raffle.connect(owner).retryRequest()).to.be.revertedWith("VRF request not timed out");
+      await expect(raffle.connect(player1).retryRequest()).to.be.revertedWith("Only owner can call this function");
+
+      await time.increase(await raffle.REQUEST_TIMEOUT());
+      const retryId = client.requestIdFrom(await (await raffle.connect(owner).retryRequest()).wait());
+      expect(retryId).to.not.equal(requestId);
+      expect(await raffle.lastRequestId()).to.equal(retryId);
+
+      // A late answer to the replaced request is ignored
+      await vrfCoordinator.fulfillRandomWordsWithOverride(requestId, await raffle.getAddress(), [1]);
+      expect(await raffle.isRequestPending()).to.equal(true);
+      expect(await raffle.lastWinner()).to.equal(ethers.ZeroAddress);
+
+      await vrfCoordinator.fulfillRandomWordsWithOverride(retryId, await raffle.getAddress(), [1]);
+      expect(await raffle.lastWinner()).to.equal(player2.address);
+      await expect(raffle.connect(owner).retryRequest()).to.be.revertedWith("No VRF request pending");
+    });
+
+    it("Should only accept fulfillment from the coordinator", async function () {
+      const requestId = await requestWinner();
+      await expect(
+        raffle.connect(owner).rawFulfillRandomWords(requestId, [1])
+      ).to.be.revertedWithCustomError(raffle, "OnlyCoordinatorCanFulfill");
+    });
+  });
+
+  describe("Raffle management", function () {
+    it("Should restart the round timer on startNewRaffle", async function () {
+      const newFee = ethers.parseEther("0.02");
+      await time.increase(raffleDuration);
+      await expect(raffle.connect(owner).startNewRaffle(newFee))
+        .to.emit(raffle, "RaffleStarted")
+        .withArgs(newFee);
+      expect(await raffle.getTimeRemaining()).to.equal(raffleDuration);
+      expect(await raffle.entryFee()).to.equal(newFee);
+    });
+
+    it("Should not allow entries when closed", async function () {
+      await raffle.connect(owner).closeRaffle();
+      await expect(
+        raffle.connect(player1).enter({ value: entryFee })
+      ).to.be.revertedWith("Raffle is not active");
+    });
+  });
+});
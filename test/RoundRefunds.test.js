@@ -0,0 +1,317 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { setBalance, time } from "@nomicfoundation/hardhat-network-helpers";
+
+const { ethers } = hre;
+
+// Every game refunds cancelled rounds through RoundRefunds. Each setup knows
+// how to pay `count` stakes into the current round, how to draw it and which
+// round is being played.
+const GAMES = {
+  Raffle: {
+    stake: ethers.parseEther("0.01"),
+    noPlayers: "No players in the raffle",
+    async deploy() {
+      const Raffle = await ethers.getContractFactory("Raffle");
+      return Raffle.deploy(this.stake);
+    },
+    enter(contract, player, count = 1n) {
+      return contract.connect(player).buyTickets(count, { value: this.stake * count });
+    },
+    draw: (contract) => contract.pickWinner(),
+    round: (contract) => contract.roundId(),
+    players: (contract) => contract.getPlayers(),
+    prizePool: (contract) => contract.getPrizePool(),
+    winnerEvent: "WinnerPicked"
+  },
+
+  RaffleVRF: {
+    stake: ethers.parseEther("0.01"),
+    noPlayers: "No players in the raffle",
+    async deploy() {
+      const VRFCoordinatorV2Mock = await ethers.getContractFactory("VRFCoordinatorV2Mock");
+      this.coordinator = await VRFCoordinatorV2Mock.deploy(0, 0);
+      await this.coordinator.createSubscription();
+
+      // Rounds outlast the fee timelock
+      const RaffleVRF = await ethers.getContractFactory("RaffleVRF");
+      const contract = await RaffleVRF.deploy(
+        await this.coordinator.getAddress(), ethers.ZeroHash, 1, 500000, this.stake, 365 * 86400
+      );
+      await this.coordinator.addConsumer(1, await contract.getAddress());
+      return contract;
+    },
+    // Every entry is a single ticket
+    async enter(contract, player, count = 1n) {
+      let tx;
+      for (let i = 0n; i < count; i++) {
+        tx = await contract.connect(player).enter({ value: this.stake });
+      }
+      return tx;
+    },
+    // The fulfillment draws the winner, unless the request cancelled the round
+    async draw(contract) {
+      const request = await contract.pickWinner();
+      const requested = (await request.wait()).logs
+        .map((log) => contract.interface.parseLog(log))
+        .find((event) => event && event.name === "RandomnessRequested");
+      return requested ? this.coordinator.fulfillRandomWords(requested.args.requestId, contract.target) : request;
+    },
+    round: (contract) => contract.roundNumber(),
+    players: (contract) => contract.getPlayers(),
+    prizePool: (contract) => contract.getPrizePool(),
+    winnerEvent: "WinnerPicked"
+  },
+
+  EthRewardPool: {
+    stake: ethers.parseEther("0.1"),
+    noPlayers: "No participants",
+    async deploy() {
+      const EthRewardPool = await ethers.getContractFactory("EthRewardPool");
+      return EthRewardPool.deploy();
+    },
+    enter(contract, player, count = 1n) {
+      return contract.connect(player).joinPool({ value: this.stake * count });
+    },
+    async draw(contract) {
+      const end = (await contract.roundStart()) + (await contract.ROUND_DURATION());
+      if (BigInt(await time.latest()) < end) await time.increaseTo(end);
+      return contract.distributeReward();
+    },
+    round: (contract) => contract.roundId(),
+    players: (contract) => contract.getParticipants(),
+    prizePool: (contract) => contract.getPoolBalance(),
+    winnerEvent: "RewardDistributed"
+  }
+};
+
+describe("RoundRefunds", function () {
+  let owner;
+  let player1;
+  let player2;
+  let player3;
+
+  beforeEach(async function () {
+    [owner, player1, player2, player3] = await ethers.getSigners();
+  });
+
+  for (const [name, game] of Object.entries(GAMES)) {
+    describe(name, function () {
+      const { stake } = game;
+      let contract;
+      let round;
+
+      // player1 pays one stake and player2 three, then the owner cancels
+      async function cancelRound() {
+        await game.enter(contract, player1);
+        await game.enter(contract, player2, 3n);
+        return contract.cancelRound();
+      }
+
+      beforeEach(async function () {
+        contract = await game.deploy();
+        round = await game.round(contract);
+      });
+
+      it("Should let the owner cancel the round and set its pot aside", async function () {
+        await expect(cancelRound()).to.emit(contract, "RoundCancelled").withArgs(round, stake * 4n);
+
+        expect(await contract.roundCancelled(round)).to.equal(true);
+        expect(await game.round(contract)).to.equal(round + 1n);
+        expect(await game.players(contract)).to.deep.equal([]);
+        expect(await contract.refundsOwed()).to.equal(stake * 4n);
+        expect(await game.prizePool(contract)).to.equal(0n);
+      });
+
+      it("Should set aside only what the players paid in", async function () {
+        await game.enter(contract, player1);
+        // ETH that did not come from an entry, e.g. a selfdestruct
+        const stray = ethers.parseEther("1");
+        await setBalance(contract.target, (await ethers.provider.getBalance(contract.target)) + stray);
+
+        await expect(contract.cancelRound()).to.emit(contract, "RoundCancelled").withArgs(round, stake);
+        expect(await contract.refundsOwed()).to.equal(stake);
+        expect(await game.prizePool(contract)).to.equal(stray);
+      });
+
+      it("Should refund each player exactly what they paid", async function () {
+        await cancelRound();
+        expect(await contract.getRefund(round, player1.address)).to.equal(stake);
+        expect(await contract.getRefund(round, player2.address)).to.equal(stake * 3n);
+        expect(await contract.getRefund(round, player3.address)).to.equal(0n);
+
+        const tx = await contract.connect(player2).claimRefund(round);
+        await expect(tx).to.emit(contract, "RefundClaimed").withArgs(player2.address, round, stake * 3n);
+        await expect(tx).to.changeEtherBalances([contract, player2], [-stake * 3n, stake * 3n]);
+        expect(await contract.getRefund(round, player2.address)).to.equal(0n);
+        expect(await contract.refundsOwed()).to.equal(stake);
+      });
+
+      it("Should keep unclaimed refunds out of later rounds", async function () {
+        await cancelRound();
+        await contract.connect(player1).claimRefund(round);
+
+        await game.enter(contract, player3);
+        expect(await game.prizePool(contract)).to.equal(stake);
+        const receipt = await (await game.draw(contract)).wait();
+        const [winner, amount] = receipt.logs
+          .map((log) => contract.interface.parseLog(log))
+          .find((event) => event && event.name === game.winnerEvent).args;
+        expect(winner).to.equal(player3.address);
+        expect(amount).to.equal(stake);
+
+        // player2 can still come back for theirs
+        await expect(contract.connect(player2).claimRefund(round)).to.changeEtherBalance(player2, stake * 3n);
+        expect(await contract.refundsOwed()).to.equal(0n);
+      });
+
+      it("Should refund a player only once", async function () {
+        await cancelRound();
+        await contract.connect(player1).claimRefund(round);
+
+        await expect(contract.connect(player1).claimRefund(round)).to.be.revertedWith("Nothing to refund");
+        await expect(contract.connect(player3).claimRefund(round)).to.be.revertedWith("Nothing to refund");
+        await expect(contract.connect(player1).claimRefund(round + 1n)).to.be.revertedWith("Round not cancelled");
+      });
+
+      it("Should put players who enter again into the next round", async function () {
+        await cancelRound();
+        await game.enter(contract, player1, 2n);
+
+        // The new entry neither adds to the refund nor is refunded with it
+        expect(await contract.getRefund(round, player1.address)).to.equal(stake);
+        await contract.connect(player1).claimRefund(round);
+        expect(await game.prizePool(contract)).to.equal(stake * 2n);
+        expect(await contract.getRefund(round + 1n, player1.address)).to.equal(0n);
+        await expect(contract.connect(player1).claimRefund(round + 1n)).to.be.revertedWith("Round not cancelled");
+      });
+
+      it("Should refund in full whatever the protocol fee", async function () {
+        await game.enter(contract, player1);
+        await contract.scheduleFeeChange(1000n);
+        await time.increase(await contract.FEE_CHANGE_DELAY());
+        await contract.cancelRound();
+
+        await expect(contract.connect(player1).claimRefund(round)).to.changeEtherBalance(player1, stake);
+        expect(await contract.accruedFees()).to.equal(0n);
+      });
+
+      it("Should cancel a round drawn with fewer than the minimum players", async function () {
+        await expect(contract.setMinPlayers(3n)).to.emit(contract, "MinPlayersChanged").withArgs(3n);
+        await game.enter(contract, player1);
+        await game.enter(contract, player2);
+
+        await expect(game.draw(contract))
+          .to.emit(contract, "RoundCancelled")
+          .withArgs(round, stake * 2n)
+          .and.not.to.emit(contract, game.winnerEvent);
+        expect(await contract.getRefund(round, player2.address)).to.equal(stake);
+
+        for (const player of [player1, player2, player3]) {
+          await game.enter(contract, player);
+        }
+        await expect(game.draw(contract)).to.emit(contract, game.winnerEvent);
+        expect(await contract.roundCancelled(round + 1n)).to.equal(false);
+      });
+
+      it("Should keep cancelling and the minimum to the owner", async function () {
+        const onlyOwner = "Only owner can call this function";
+        await expect(contract.cancelRound()).to.be.revertedWith(game.noPlayers);
+        await game.enter(contract, player1);
+
+        await expect(contract.connect(player1).cancelRound()).to.be.revertedWith(onlyOwner);
+        await expect(contract.connect(player1).setMinPlayers(2n)).to.be.revertedWith(onlyOwner);
+        await expect(contract.setMinPlayers(0n)).to.be.revertedWith("Minimum players must be at least 1");
+        expect(await contract.minPlayers()).to.equal(1n);
+      });
+    });
+  }
+
+  describe("Cancelling raffles", function () {
+    const entryFee = GAMES.Raffle.stake;
+    let raffle;
+
+    beforeEach(async function () {
+      raffle = await GAMES.Raffle.deploy();
+    });
+
+    it("Should let the owner refund a closed raffle", async function () {
+      await raffle.connect(player1).enter({ value: entryFee });
+      await raffle.closeRaffle();
+      await expect(raffle.pickWinner()).to.be.revertedWith("Raffle is not active");
+
+      await raffle.cancelRound();
+      await expect(raffle.connect(player1).claimRefund(1n)).to.changeEtherBalance(player1, entryFee);
+      expect(await ethers.provider.getBalance(raffle.target)).to.equal(0n);
+    });
+
+    it("Should refund tickets at the cancelled round's entry fee", async function () {
+      await raffle.connect(player1).buyTickets(2n, { value: entryFee * 2n });
+      await raffle.cancelRound();
+      await raffle.startNewRaffle(entryFee * 5n);
+
+      expect(await raffle.getRefund(1n, player1.address)).to.equal(entryFee * 2n);
+      await expect(raffle.connect(player1).claimRefund(1n)).to.changeEtherBalance(player1, entryFee * 2n);
+    });
+
+    it("Should block re-entering claimRefund from the refund", async function () {
+      const ReentrantRefundAttacker = await ethers.getContractFactory("ReentrantRefundAttacker");
+      const attacker = await ReentrantRefundAttacker.deploy(await raffle.getAddress());
+      await attacker.enter({ value: entryFee });
+      await raffle.connect(player1).enter({ value: entryFee });
+      await raffle.cancelRound();
+
+      await attacker.claimRefund(1n);
+
+      expect(await attacker.refunds()).to.equal(1n);
+      expect(await attacker.reentered()).to.equal(false);
+      expect(await attacker.failure()).to.equal("Nothing to refund");
+      expect(await ethers.provider.getBalance(attacker.target)).to.equal(entryFee);
+      expect(await raffle.refundsOwed()).to.equal(entryFee);
+    });
+  });
+
+  describe("Cancelling VRF draws", function () {
+    const game = GAMES.RaffleVRF;
+    let raffle;
+
+    beforeEach(async function () {
+      raffle = await game.deploy();
+    });
+
+    it("Should let the owner cancel a pending draw and ignore its late answer", async function () {
+      await game.enter(raffle, player1, 2n);
+      const request = await (await raffle.pickWinner()).wait();
+      const { requestId } = request.logs
+        .map((log) => raffle.interface.parseLog(log))
+        .find((event) => event && event.name === "RandomnessRequested").args;
+
+      await expect(raffle.cancelRound()).to.emit(raffle, "RoundCancelled").withArgs(1n, game.stake * 2n);
+      expect(await raffle.isRequestPending()).to.equal(false);
+      await expect(game.coordinator.fulfillRandomWords(requestId, raffle.target)).not.to.emit(raffle, "WinnerPicked");
+      expect(await raffle.claimable(player1.address)).to.equal(0n);
+
+      await expect(raffle.connect(player1).claimRefund(1n)).to.changeEtherBalance(player1, game.stake * 2n);
+      await expect(raffle.retryRequest()).to.be.revertedWith("No VRF request pending");
+    });
+
+    it("Should count players rather than entries against the minimum", async function () {
+      await raffle.setMinPlayers(2n);
+      await game.enter(raffle, player1, 3n);
+      await expect(game.draw(raffle)).to.emit(raffle, "RoundCancelled").withArgs(1n, game.stake * 3n);
+
+      await game.enter(raffle, player1);
+      await game.enter(raffle, player2);
+      await expect(game.draw(raffle)).to.emit(raffle, "WinnerPicked");
+    });
+
+    it("Should let the owner refund a closed raffle", async function () {
+      await game.enter(raffle, player1);
+      await raffle.closeRaffle();
+
+      await raffle.cancelRound();
+      await expect(raffle.connect(player1).claimRefund(1n)).to.changeEtherBalance(player1, game.stake);
+      expect(await ethers.provider.getBalance(raffle.target)).to.equal(0n);
+    });
+  });
+});